@@ -0,0 +1,161 @@
+jest.mock("../../utils/logger");
+jest.mock("../../services/openSearchService");
+jest.mock("../../services/notificationService");
+jest.mock("../../services/giteaService");
+jest.mock("../../services/syncQueueService");
+jest.mock("../../services/submissionService");
+jest.mock("../../services/approvalPolicyService");
+jest.mock("../../services/reviewerRoutingService");
+jest.mock("../../services/webhookDeliveryService");
+
+const express = require("express");
+const request = require("supertest");
+const GiteaService = require("../../services/giteaService");
+const WebhookDeliveryService = require("../../services/webhookDeliveryService");
+const webhookRoutes = require("../webhookController");
+
+const giteaService = GiteaService.mock.instances[0];
+const webhookDeliveryService = WebhookDeliveryService.mock.instances[0];
+
+// Mounted the way app.js mounts it, keeping the raw body for signatures
+const app = express();
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString("utf8");
+    },
+  })
+);
+app.use("/api/webhooks", webhookRoutes);
+
+const payload = { action: "pushed", repository: { name: "cdm-data" } };
+const deliver = () =>
+  request(app)
+    .post("/api/webhooks/git")
+    .set("X-Gitea-Event", "push")
+    .set("X-Gitea-Delivery", "d-1")
+    .send(payload);
+
+describe("POST /api/webhooks/git", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    giteaService.provider = {
+      name: "gitea",
+      verifyWebhook: jest.fn(() => ({ valid: true })),
+      normalizeWebhook: jest.fn((headers, body) => ({
+        event: headers["x-gitea-event"],
+        payload: body,
+      })),
+      getDeliveryId: jest.fn((headers) => headers["x-gitea-delivery"]),
+    };
+    webhookDeliveryService.complete.mockImplementation(
+      async (delivery, outcome) => ({ ...delivery, ...outcome })
+    );
+  });
+
+  it("refuses a delivery with an invalid signature", async () => {
+    giteaService.provider.verifyWebhook.mockReturnValue({
+      valid: false,
+      error: "Invalid signature",
+    });
+
+    const response = await deliver();
+
+    expect(response.status).toBe(401);
+    expect(webhookDeliveryService.claim).not.toHaveBeenCalled();
+  });
+
+  it("answers a payload the provider cannot read with 400", async () => {
+    giteaService.provider.normalizeWebhook.mockImplementation(() => {
+      throw new TypeError("Cannot read properties of undefined");
+    });
+
+    const response = await deliver();
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({
+      success: false,
+      error: "Malformed webhook payload",
+    });
+    expect(webhookDeliveryService.claim).not.toHaveBeenCalled();
+  });
+
+  it("answers 503 when the delivery log cannot be written", async () => {
+    webhookDeliveryService.claim.mockRejectedValue(
+      new Error("OpenSearch unavailable")
+    );
+
+    const response = await deliver();
+
+    expect(response.status).toBe(503);
+    expect(response.body.error).toBe("Webhook delivery log unavailable");
+  });
+
+  it("answers 409 for a delivery still being processed", async () => {
+    webhookDeliveryService.claim.mockResolvedValue({
+      duplicate: { deliveryId: "d-1", status: "processing" },
+    });
+
+    const response = await deliver();
+
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({
+      duplicate: true,
+      status: "processing",
+    });
+  });
+
+  it("acknowledges a delivery already processed without processing it", async () => {
+    webhookDeliveryService.claim.mockResolvedValue({
+      duplicate: { deliveryId: "d-0", status: "processed" },
+    });
+
+    const response = await deliver();
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      duplicate: true,
+      deliveryId: "d-0",
+    });
+    expect(webhookDeliveryService.complete).not.toHaveBeenCalled();
+  });
+
+  it("processes a claimed delivery and records it", async () => {
+    webhookDeliveryService.claim.mockResolvedValue({
+      delivery: { deliveryId: "d-1", event: "push", payload },
+    });
+
+    const response = await deliver();
+
+    expect(response.status).toBe(200);
+    expect(webhookDeliveryService.claim).toHaveBeenCalledWith(
+      expect.objectContaining({
+        deliveryId: "d-1",
+        event: "push",
+        rawBody: JSON.stringify(payload),
+      })
+    );
+    expect(webhookDeliveryService.complete).toHaveBeenCalledWith(
+      expect.objectContaining({ deliveryId: "d-1" }),
+      { status: "processed" }
+    );
+  });
+});
+
+describe("POST /api/webhooks/deliveries/:deliveryId/redeliver", () => {
+  it("answers with the status of a delivery that cannot be redelivered", async () => {
+    webhookDeliveryService.redeliver.mockRejectedValue(
+      Object.assign(new Error("Webhook delivery d-1 is processed"), {
+        statusCode: 409,
+      })
+    );
+
+    const response = await request(app).post(
+      "/api/webhooks/deliveries/d-1/redeliver"
+    );
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe("Webhook delivery d-1 is processed");
+  });
+});
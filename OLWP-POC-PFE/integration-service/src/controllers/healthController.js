@@ -1,8 +1,10 @@
 const express = require("express");
 const axios = require("axios");
 const logger = require("../utils/logger");
+const { createGitProvider } = require("../providers");
 
 const router = express.Router();
+const gitProvider = createGitProvider();
 
 // Health check endpoint
 router.get("/", async (req, res) => {
@@ -14,21 +16,16 @@ router.get("/", async (req, res) => {
   };
 
   try {
-    // Check Gitea connectivity
+    // Check git provider connectivity, reported under the provider's name
     try {
-      const giteaResponse = await axios.get(
-        `${process.env.GITEA_URL}/api/v1/version`,
-        {
-          timeout: 5000,
-        }
-      );
-      healthCheck.services.gitea = {
+      const { version } = await gitProvider.getVersion();
+      healthCheck.services[gitProvider.name] = {
         status: "healthy",
-        version: giteaResponse.data.version,
+        version,
         responseTime: Date.now(),
       };
     } catch (error) {
-      healthCheck.services.gitea = {
+      healthCheck.services[gitProvider.name] = {
         status: "unhealthy",
         error: error.message,
       };
@@ -55,7 +52,7 @@ router.get("/", async (req, res) => {
     }
 
     // Check if any critical services are down
-    const criticalServices = ["gitea", "opensearch"];
+    const criticalServices = [gitProvider.name, "opensearch"];
     const unhealthyServices = criticalServices.filter(
       (service) => healthCheck.services[service]?.status === "unhealthy"
     );
@@ -90,7 +87,8 @@ router.get("/detailed", async (req, res) => {
     cpu: process.cpuUsage(),
     services: {},
     configuration: {
-      gitea_url: process.env.GITEA_URL,
+      git_provider: gitProvider.name,
+      git_url: gitProvider.apiUrl,
       opensearch_url: process.env.OPENSEARCH_URL,
       moqui_url: process.env.MOQUI_URL,
     },
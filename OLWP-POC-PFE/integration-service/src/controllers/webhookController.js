@@ -1,94 +1,325 @@
 const express = require("express");
-const crypto = require("crypto");
 const logger = require("../utils/logger");
-const MoquiService = require("../services/moquiService");
 const OpenSearchService = require("../services/openSearchService");
 const NotificationService = require("../services/notificationService");
+const GiteaService = require("../services/giteaService");
+const SyncQueueService = require("../services/syncQueueService");
+const SubmissionService = require("../services/submissionService");
+const ApprovalPolicyService = require("../services/approvalPolicyService");
+const ReviewerRoutingService = require("../services/reviewerRoutingService");
+const WebhookDeliveryService = require("../services/webhookDeliveryService");
+const { validateCdmContact } = require("../models/cdmModels");
 
 const router = express.Router();
-const moquiService = new MoquiService();
 const openSearchService = new OpenSearchService();
 const notificationService = new NotificationService();
+const giteaService = new GiteaService();
+const syncQueueService = new SyncQueueService();
+const submissionService = new SubmissionService();
+const approvalPolicyService = new ApprovalPolicyService();
+const reviewerRoutingService = new ReviewerRoutingService();
+const webhookDeliveryService = new WebhookDeliveryService();
 
-// Webhook secret for validation (should be set in environment)
-const WEBHOOK_SECRET =
-  process.env.GITEA_WEBHOOK_SECRET || "your-webhook-secret";
+// Close submission pull requests whose CI validation failed
+const CLOSE_FAILED_SUBMISSIONS =
+  process.env.CLOSE_FAILED_SUBMISSIONS === "true";
 
-// Middleware to verify webhook signature
-const verifyWebhookSignature = (req, res, next) => {
-  const signature = req.headers["x-gitea-signature"];
-  const payload = req.rawBody;
+// Gitea users allowed to run slash commands on submission pull requests;
+// empty allows no one, as anyone able to comment on the data repository
+// could otherwise approve a submission
+const SUBMISSION_COMMAND_USERS = (process.env.SUBMISSION_COMMAND_USERS || "")
+  .split(",")
+  .map((user) => user.trim())
+  .filter(Boolean);
 
-  if (!signature) {
-    logger.warn("Webhook received without signature");
-    return res.status(401).json({ error: "Missing signature" });
-  }
+const SUBMISSION_COMMANDS = ["approve-sync", "skip-moqui"];
 
-  const expectedSignature = crypto
-    .createHmac("sha256", WEBHOOK_SECRET)
-    .update(payload)
-    .digest("hex");
+// Review events, the activity they record and the submission state they
+// lead to
+const REVIEW_EVENTS = {
+  pull_request_review_approved: { type: "review_approved", state: "approved" },
+  pull_request_review_rejected: {
+    type: "changes_requested",
+    state: "changes_requested",
+  },
+  pull_request_review_comment: { type: "review_comment", state: null },
+};
 
-  logger.debug("Verifying webhook signature", { signature, expectedSignature });
+// Middleware to verify webhook signature, the way the git provider signs.
+// A signature that cannot even be checked is as invalid as a wrong one.
+const verifyWebhookSignature = (req, res, next) => {
+  let verification;
+  try {
+    verification = giteaService.provider.verifyWebhook(
+      req.headers,
+      req.rawBody
+    );
+  } catch (verifyError) {
+    verification = { valid: false, error: "Invalid signature" };
+  }
+  const { valid, error } = verification;
 
-  if (
-    !crypto.timingSafeEqual(
-      Buffer.from(signature),
-      Buffer.from(expectedSignature)
-    )
-  ) {
-    logger.warn("Webhook signature verification failed");
-    return res.status(401).json({ error: "Invalid signature" });
+  if (!valid) {
+    logger.warn("Webhook signature verification failed", {
+      provider: giteaService.provider.name,
+      error,
+    });
+    return res.status(401).json({ error });
   }
 
   next();
 };
 
-// POST /api/webhooks/gitea - Handle Gitea webhooks
-router.post("/gitea", verifyWebhookSignature, async (req, res) => {
-  const { action, pull_request, repository } = req.body;
-  const webhookId = `webhook-${Date.now()}-${Math.random()
-    .toString(36)
-    .substr(2, 9)}`;
+// POST /api/webhooks/git - Handle git provider webhooks, normalized to
+// Gitea's events; /gitea stays for webhooks registered before providers.
+// Each delivery is logged, and one already processed is acknowledged
+// without processing it again.
+router.post(["/git", "/gitea"], verifyWebhookSignature, async (req, res) => {
+  const webhookId = generateWebhookId();
 
-  logger.info("Gitea webhook received", {
+  let event;
+  let payload;
+  let deliveryId;
+  try {
+    ({ event, payload } = giteaService.provider.normalizeWebhook(
+      req.headers,
+      req.body
+    ));
+    deliveryId = giteaService.provider.getDeliveryId(req.headers);
+  } catch (error) {
+    logger.warn("Malformed webhook payload", {
+      webhookId,
+      provider: giteaService.provider.name,
+      error: error.message,
+    });
+    return res.status(400).json({
+      success: false,
+      error: "Malformed webhook payload",
+      webhookId,
+      message: error.message,
+    });
+  }
+
+  logger.info("Git webhook received", {
     webhookId,
-    action,
-    repository: repository?.name,
-    pullRequest: pull_request?.number,
+    deliveryId,
+    provider: giteaService.provider.name,
+    event,
+    action: payload.action,
+    repository: payload.repository?.name,
+    pullRequest: payload.pull_request?.number,
   });
 
+  let claim;
   try {
-    // Handle repository deleted event
-    if (action === "deleted" && repository) {
-      await handleRepositoryDeleted(repository, webhookId);
-    }
-    // Handle pull request events
-    else if (pull_request && action === "closed" && pull_request.merged) {
-      await handlePullRequestMerged(pull_request, repository, webhookId);
-    } else if (pull_request && action === "opened") {
-      await handlePullRequestOpened(pull_request, repository, webhookId);
-    } else if (pull_request && action === "synchronized") {
-      await handlePullRequestUpdated(pull_request, repository, webhookId);
-    }
+    claim = await webhookDeliveryService.claim({
+      deliveryId,
+      provider: giteaService.provider.name,
+      event,
+      payload,
+      rawBody: req.rawBody,
+      webhookId,
+    });
+  } catch (error) {
+    // Without the delivery log a redelivery could not be told apart, so the
+    // provider is left to retry
+    logger.error("Failed to record webhook delivery", {
+      webhookId,
+      deliveryId,
+      error: error.message,
+    });
+    return res.status(503).json({
+      success: false,
+      error: "Webhook delivery log unavailable",
+      webhookId,
+    });
+  }
+
+  if (claim.duplicate) {
+    const inProgress = claim.duplicate.status === "processing";
+    logger.info("Skipping duplicate webhook delivery", {
+      webhookId,
+      deliveryId,
+      duplicateOf: claim.duplicate.deliveryId,
+      status: claim.duplicate.status,
+    });
+    return res.status(inProgress ? 409 : 200).json({
+      success: !inProgress,
+      duplicate: true,
+      message: inProgress
+        ? "Webhook delivery is already being processed"
+        : "Webhook delivery was already processed",
+      deliveryId: claim.duplicate.deliveryId,
+      status: claim.duplicate.status,
+    });
+  }
+
+  try {
+    await processDelivery(claim.delivery, webhookId);
 
     res.status(200).json({
       success: true,
       message: "Webhook processed successfully",
       webhookId,
-      action,
+      deliveryId: claim.delivery.deliveryId,
+      action: payload.action,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Webhook processing failed",
+      webhookId,
+      deliveryId: claim.delivery.deliveryId,
     });
+  }
+});
+
+function generateWebhookId() {
+  return `webhook-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Process a claimed delivery and record its outcome in the delivery log
+async function processDelivery(delivery, webhookId) {
+  try {
+    await dispatchWebhook(delivery.event, delivery.payload, webhookId);
   } catch (error) {
     logger.error("Webhook processing failed", {
       webhookId,
+      deliveryId: delivery.deliveryId,
       error: error.message,
       stack: error.stack,
     });
+    await recordDeliveryOutcome(delivery, {
+      status: "failed",
+      error: error.message,
+    });
+    throw error;
+  }
 
-    res.status(500).json({
+  return recordDeliveryOutcome(delivery, { status: "processed" });
+}
+
+// A delivery left processing can be claimed again once it times out, so
+// failing to record the outcome does not fail the delivery
+async function recordDeliveryOutcome(delivery, outcome) {
+  try {
+    return await webhookDeliveryService.complete(delivery, outcome);
+  } catch (error) {
+    logger.error("Failed to record webhook delivery outcome", {
+      deliveryId: delivery.deliveryId,
+      status: outcome.status,
+      error: error.message,
+    });
+    return { ...delivery, ...outcome };
+  }
+}
+
+async function dispatchWebhook(event, payload, webhookId) {
+  const { action, pull_request, repository, sender } = payload;
+
+  // Commit status events carry no action
+  if (event === "status") {
+    await handleCommitStatus(payload, webhookId);
+  }
+  // Review events carry the pull request and the review
+  else if (REVIEW_EVENTS[event] && pull_request) {
+    await handlePullRequestReview(
+      pull_request,
+      payload.review,
+      event,
+      webhookId,
+      sender
+    );
+  }
+  // Comment events carry the issue, and an action of their own
+  else if (["issue_comment", "pull_request_comment"].includes(event)) {
+    await handlePullRequestComment(payload, webhookId);
+  }
+  // Handle repository deleted event
+  else if (action === "deleted" && repository) {
+    await handleRepositoryDeleted(repository, webhookId);
+  }
+  // Handle pull request events
+  else if (pull_request && action === "closed" && pull_request.merged) {
+    await handlePullRequestMerged(pull_request, repository, webhookId);
+  } else if (pull_request && action === "closed") {
+    await handlePullRequestRejected(
+      pull_request,
+      repository,
+      webhookId,
+      sender
+    );
+  } else if (pull_request && action === "opened") {
+    await handlePullRequestOpened(pull_request, repository, webhookId);
+  } else if (pull_request && action === "synchronized") {
+    await handlePullRequestUpdated(pull_request, repository, webhookId, sender);
+  }
+}
+
+// GET /api/webhooks/deliveries - Logged webhook deliveries, newest first,
+// filtered by status, event or pull request
+router.get("/deliveries", async (req, res) => {
+  try {
+    const { status, event, pullRequestNumber } = req.query;
+    const result = await webhookDeliveryService.listDeliveries({
+      status,
+      event,
+      pullRequestNumber: pullRequestNumber
+        ? parseInt(pullRequestNumber)
+        : undefined,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0,
+    });
+
+    res.json({
+      success: true,
+      data: result.deliveries,
+      total: result.total,
+      byStatus: result.byStatus,
+    });
+  } catch (error) {
+    logger.error("Failed to list webhook deliveries", {
+      error: error.message,
+    });
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: "Webhook processing failed",
+      error: "Failed to list webhook deliveries",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver - Process a failed
+// delivery again from its logged payload
+router.post("/deliveries/:deliveryId/redeliver", async (req, res) => {
+  const webhookId = generateWebhookId();
+
+  try {
+    const delivery = await webhookDeliveryService.redeliver(
+      req.params.deliveryId,
+      webhookId
+    );
+    logger.info("Redelivering webhook", {
       webhookId,
+      deliveryId: delivery.deliveryId,
+      event: delivery.event,
+      attempts: delivery.attempts,
+    });
+
+    const processed = await processDelivery(delivery, webhookId);
+    res.json({
+      success: true,
+      message: "Webhook delivery processed successfully",
+      webhookId,
+      data: { ...processed, payload: undefined },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: "Webhook redelivery failed",
+      webhookId,
+      deliveryId: req.params.deliveryId,
+      message: error.message,
     });
   }
 });
@@ -102,74 +333,367 @@ async function handlePullRequestMerged(pullRequest, repository, webhookId) {
     mergedBy: pullRequest.merged_by?.login,
   });
 
+  let submission = null;
   try {
-    // Extract contact data from the merged changes
-    const contactData = await extractContactDataFromPR(pullRequest, repository);
-    logger.debug("Extracted contact data", { contactData });
+    submission = await submissionService.recordMerge(pullRequest);
+  } catch (error) {
+    logger.warn("Failed to record submission merge", {
+      webhookId,
+      pullRequestNumber: pullRequest.number,
+      error: error.message,
+    });
+  }
 
-    if (contactData) {
-      // Phase 4: Send to Moqui Framework
-      const moquiResult = await moquiService.createContact(contactData);
+  // Reviewers keep a submission out of Moqui with /skip-moqui
+  const skipMoqui = submission?.skipMoqui === true;
 
-      if (moquiResult.success) {
-        logger.info("Contact successfully sent to Moqui", {
-          webhookId,
-          contactId: contactData.contactId,
-          moquiId: moquiResult.moquiId,
-        });
+  // Read the contact files as they were merged, not as they were submitted
+  const changes = await extractContactChangesFromPR(
+    pullRequest,
+    pullRequest.merge_commit_sha || pullRequest.head?.sha
+  );
 
-        // Update contact in OpenSearch with Moqui ID
-        await openSearchService.updateContact(contactData.contactId, {
-          moquiId: moquiResult.moquiId,
-          syncStatus: "synced",
-          syncedAt: new Date().toISOString(),
-        });
+  if (changes.length === 0) {
+    logger.info("Merged pull request does not change any contact file", {
+      webhookId,
+      pullRequestNumber: pullRequest.number,
+    });
+    await completeUnsyncedSubmission(
+      submission,
+      "No contact changes to sync",
+      webhookId
+    );
+    return;
+  }
 
-        // Send success notification
-        await notificationService.sendNotification({
-          type: "contact_synced",
-          title: "Contact Successfully Synced to Moqui",
-          message: `Contact ${contactData.fullName} has been successfully synced to Moqui framework`,
-          metadata: {
-            contactId: contactData.contactId,
-            moquiId: moquiResult.moquiId,
-            pullRequestNumber: pullRequest.number,
-          },
-        });
+  const failures = [];
+
+  // Apply deletions last, so a merge survivor is synced before its victims
+  // are linked to it
+  const orderedChanges = [
+    ...changes.filter((change) => change.changeType !== "deleted"),
+    ...changes.filter((change) => change.changeType === "deleted"),
+  ];
+
+  for (const change of orderedChanges) {
+    try {
+      if (change.error) {
+        throw new Error(
+          `Invalid contact file ${change.filePath}: ${change.error}`
+        );
+      }
+
+      if (change.changeType === "deleted") {
+        await applyMergedContactDeletion(
+          change,
+          pullRequest,
+          webhookId,
+          skipMoqui
+        );
       } else {
-        throw new Error(`Moqui integration failed: ${moquiResult.error}`);
+        await applyMergedContactChange(
+          change,
+          pullRequest,
+          webhookId,
+          skipMoqui
+        );
       }
+    } catch (error) {
+      logger.error("Failed to process merged contact change", {
+        webhookId,
+        error: error.message,
+        contactId: change.contactId,
+        changeType: change.changeType,
+        pullRequestNumber: pullRequest.number,
+      });
+      failures.push({ contactId: change.contactId, error: error.message });
+      await submissionService
+        .recordContactSync(
+          pullRequest.number,
+          change.contactId,
+          "failed",
+          error.message
+        )
+        .catch((recordError) =>
+          logger.warn("Failed to record submission sync", {
+            webhookId,
+            pullRequestNumber: pullRequest.number,
+            error: recordError.message,
+          })
+        );
     }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(
+      `Failed to process ${failures.length} of ${
+        changes.length
+      } contact change(s): ${failures
+        .map((failure) => `${failure.contactId} (${failure.error})`)
+        .join(", ")}`
+    );
+  }
+
+  if (skipMoqui) {
+    await completeUnsyncedSubmission(
+      submission,
+      "Moqui sync skipped with /skip-moqui",
+      webhookId
+    );
+  }
+}
+
+// A merged submission with nothing to sync to Moqui is done right away,
+// rather than waiting for sync jobs that never run
+async function completeUnsyncedSubmission(submission, reason, webhookId) {
+  if (!submission) {
+    return;
+  }
+
+  try {
+    await submissionService.recordSyncSkipped(
+      submission.pullRequestNumber,
+      reason
+    );
   } catch (error) {
-    logger.error("Failed to process merged pull request", {
+    logger.warn("Failed to complete unsynced submission", {
       webhookId,
+      submissionId: submission.submissionId,
       error: error.message,
+    });
+  }
+}
+
+// Store an added or modified contact in OpenSearch and sync it to Moqui
+async function applyMergedContactChange(
+  change,
+  pullRequest,
+  webhookId,
+  skipMoqui = false
+) {
+  const contactData = change.contact;
+  const existingContact = await openSearchService.getContactById(
+    change.contactId
+  );
+
+  // Store the merged record so reviewer edits replace the submitted version
+  if (existingContact) {
+    await openSearchService.updateContact(change.contactId, {
+      ...contactData,
+      gitSha: change.sha,
+    });
+  } else {
+    await openSearchService.indexContact({
+      ...contactData,
+      gitSha: change.sha,
+    });
+  }
+
+  if (skipMoqui) {
+    logger.info("Moqui sync skipped for merged contact", {
+      webhookId,
+      contactId: contactData.contactId,
       pullRequestNumber: pullRequest.number,
     });
+    return;
+  }
 
-    // // Update contact status to indicate sync failure
-    // if (contactData?.contactId) {
-    //   await openSearchService.updateContact(contactData.contactId, {
-    //     syncStatus: "failed",
-    //     syncError: error.message,
-    //     syncAttemptedAt: new Date().toISOString(),
-    //   });
-    // }
-
-    // // Send failure notification
-    // await notificationService.sendNotification({
-    //   type: "sync_failed",
-    //   title: "Contact Sync to Moqui Failed",
-    //   message: `Failed to sync contact to Moqui framework: ${error.message}`,
-    //   metadata: {
-    //     contactId: contactData?.contactId,
-    //     pullRequestNumber: pullRequest.number,
-    //     error: error.message,
-    //   },
-    // });
+  // Phase 4: Queue the Moqui sync and make the first attempt right away;
+  // failed attempts are retried by the sync queue worker
+  const job = await syncQueueService.enqueue({
+    contactId: contactData.contactId,
+    contactData,
+    source: "webhook",
+    pullRequestNumber: pullRequest.number,
+  });
+  const syncResult = await syncQueueService.runJob(job.jobId);
 
-    throw error;
+  logger.info("Contact sync to Moqui processed", {
+    webhookId,
+    contactId: contactData.contactId,
+    changeType: change.changeType,
+    syncStatus: syncResult.status,
+    moquiId: syncResult.moquiId,
+  });
+}
+
+// Remove a deleted contact from OpenSearch and disable it in Moqui; a contact
+// removed by a merge is also linked to the survivor in Moqui
+async function applyMergedContactDeletion(
+  change,
+  pullRequest,
+  webhookId,
+  skipMoqui = false
+) {
+  const existingContact = await openSearchService.getContactById(
+    change.contactId
+  );
+  const mergedInto =
+    change.submission?.operation === "merge"
+      ? change.submission.survivorId
+      : null;
+
+  // Capture the Moqui party before the contact document is removed
+  const job = skipMoqui
+    ? null
+    : await syncQueueService.enqueue({
+        contactId: change.contactId,
+        operation: mergedInto ? "merge" : "delete",
+        moquiId: existingContact?.moquiId,
+        mergedInto,
+        source: "webhook",
+        pullRequestNumber: pullRequest.number,
+      });
+
+  if (existingContact) {
+    await openSearchService.deleteContact(change.contactId);
+  }
+
+  if (job) {
+    await syncQueueService.runJob(job.jobId);
+  }
+
+  logger.info("Deleted contact processed", {
+    webhookId,
+    contactId: change.contactId,
+    moquiId: existingContact?.moquiId,
+    mergedInto,
+    skipMoqui,
+  });
+
+  const contactName = existingContact?.fullName || change.contactId;
+  await notificationService.sendNotification({
+    type: mergedInto ? "contact_merged" : "contact_deleted",
+    title: mergedInto ? "Contact Merged" : "Contact Deleted",
+    message: mergedInto
+      ? `Contact ${contactName} has been merged into contact ${mergedInto}`
+      : `Contact ${contactName} has been removed from the data repository`,
+    metadata: {
+      contactId: change.contactId,
+      moquiId: existingContact?.moquiId,
+      mergedInto: mergedInto || undefined,
+      mergeId: change.submission?.mergeId,
+      submissionId: change.submission?.submissionId,
+      pullRequestNumber: pullRequest.number,
+    },
+  });
+}
+
+// Handle pull request closed without merge - Withdraw the submission
+async function handlePullRequestRejected(
+  pullRequest,
+  repository,
+  webhookId,
+  sender
+) {
+  const rejectedBy = sender?.login || pullRequest.user?.login;
+  logger.info("Processing rejected pull request", {
+    webhookId,
+    pullRequestNumber: pullRequest.number,
+    title: pullRequest.title,
+    rejectedBy,
+  });
+
+  let comment = null;
+  try {
+    comment = await giteaService.getLatestPullRequestComment(
+      pullRequest.number,
+      rejectedBy
+    );
+  } catch (error) {
+    logger.warn("Failed to read closing comment", {
+      webhookId,
+      pullRequestNumber: pullRequest.number,
+      error: error.message,
+    });
   }
+
+  let submission = null;
+  try {
+    submission = await submissionService.recordRejection(
+      pullRequest,
+      rejectedBy,
+      comment?.body || null
+    );
+  } catch (error) {
+    logger.warn("Failed to record submission rejection", {
+      webhookId,
+      pullRequestNumber: pullRequest.number,
+      error: error.message,
+    });
+  }
+
+  // New contacts are indexed when submitted; take the ones that never
+  // reached main out of search
+  const changes = await extractContactChangesFromPR(
+    pullRequest,
+    pullRequest.head?.sha
+  );
+  const inReview = await giteaService.getContactIdsInReview();
+  const removedContactIds = [];
+
+  for (const change of changes) {
+    if (change.changeType !== "added" || inReview.has(change.contactId)) {
+      continue;
+    }
+
+    try {
+      const mainFile = await giteaService.getFileContent(
+        giteaService.getContactFilePath(change.contactId)
+      );
+      const indexedContact = await openSearchService.getContactById(
+        change.contactId
+      );
+      if (!mainFile && indexedContact) {
+        await openSearchService.deleteContact(change.contactId);
+        removedContactIds.push(change.contactId);
+      }
+    } catch (error) {
+      logger.error("Failed to remove rejected contact from the index", {
+        webhookId,
+        contactId: change.contactId,
+        pullRequestNumber: pullRequest.number,
+        error: error.message,
+      });
+    }
+  }
+
+  if (pullRequest.head?.ref) {
+    try {
+      await giteaService.deleteBranch(pullRequest.head.ref);
+    } catch (error) {
+      logger.warn("Failed to delete rejected submission branch", {
+        webhookId,
+        branchName: pullRequest.head.ref,
+        error: error.message,
+      });
+    }
+  }
+
+  // The janitor reports the pull requests it closes in its own summary
+  if (submission?.state === "abandoned") {
+    return;
+  }
+
+  await notificationService.sendNotification({
+    type: "submission_rejected",
+    title: "Submission Rejected",
+    message: `Pull request #${
+      pullRequest.number
+    } was closed without merging by ${rejectedBy}${
+      comment?.body ? `: ${comment.body}` : ""
+    }`,
+    metadata: {
+      submissionId: submission?.submissionId,
+      pullRequestNumber: pullRequest.number,
+      contactIds: submission?.contactIds,
+      submittedBy: submission?.submittedBy,
+      rejectedBy,
+      commentUrl: comment?.html_url,
+      removedContactIds,
+      reviewUrl: pullRequest.html_url,
+    },
+  });
 }
 
 // Handle pull request opened - Start review process
@@ -182,24 +706,60 @@ async function handlePullRequestOpened(pullRequest, repository, webhookId) {
   });
 
   try {
+    const submission = await submissionService.recordPullRequest(pullRequest);
+
     // Extract contact data for notification
-    const contactData = await extractContactDataFromPR(pullRequest, repository);
+    const changes = await extractContactChangesFromPR(
+      pullRequest,
+      pullRequest.head?.sha
+    );
+    const contactNames = changes
+      .map((change) => change.contact?.fullName || change.contactId)
+      .join(", ");
+
+    // Route the review by the submitted contacts; deleted contacts are only
+    // left in the index
+    let review = null;
+    if (submission) {
+      try {
+        const contacts = [];
+        for (const change of changes) {
+          const contact =
+            change.contact ||
+            (await openSearchService.getContactById(change.contactId));
+          if (contact) {
+            contacts.push(contact);
+          }
+        }
+        review = await reviewerRoutingService.assign(submission, contacts);
+      } catch (error) {
+        logger.warn("Failed to assign submission reviewers", {
+          pullRequestNumber: pullRequest.number,
+          error: error.message,
+        });
+      }
+    }
 
     // Send notification to reviewers
     await notificationService.sendNotification({
       type: "review_requested",
       title: "New Contact Data Submitted for Review",
-      message: `Pull request #${pullRequest.number} contains new contact data that requires review`,
+      message: `Pull request #${
+        pullRequest.number
+      } contains new contact data that requires review${
+        review ? ` from ${review.reviewers.join(", ")}` : ""
+      }`,
       metadata: {
         pullRequestNumber: pullRequest.number,
-        contactName: contactData?.fullName,
+        contactName: contactNames || undefined,
         submittedBy: pullRequest.user?.login,
         reviewUrl: pullRequest.html_url,
+        reviewers: review?.reviewers,
+        routingRule: review?.rule,
+        reviewTeam: review?.team,
+        reviewDueAt: review?.dueAt,
       },
     });
-
-    // Auto-assign reviewers if configured
-    // This would typically be done through Gitea's API
   } catch (error) {
     logger.error("Failed to process new pull request", {
       webhookId,
@@ -210,15 +770,23 @@ async function handlePullRequestOpened(pullRequest, repository, webhookId) {
 }
 
 // Handle pull request updated - Re-validate
-async function handlePullRequestUpdated(pullRequest, repository, webhookId) {
+async function handlePullRequestUpdated(
+  pullRequest,
+  repository,
+  webhookId,
+  sender
+) {
   logger.info("Processing pull request update", {
     webhookId,
     pullRequestNumber: pullRequest.number,
     title: pullRequest.title,
   });
 
-  // The CI/CD pipeline will handle re-validation automatically
-  // We just log and notify if needed
+  // The CI/CD pipeline re-validates the new head; its status events update
+  // the submission
+  await submissionService.recordPullRequest(pullRequest, {
+    actor: sender?.login,
+  });
 
   await notificationService.sendNotification({
     type: "review_updated",
@@ -231,36 +799,392 @@ async function handlePullRequestUpdated(pullRequest, repository, webhookId) {
   });
 }
 
-// Extract contact data from pull request changes
-async function extractContactDataFromPR(pullRequest, repository) {
+// Handle commit status - Record the CI validation of a submission
+async function handleCommitStatus(status, webhookId) {
+  logger.info("Processing commit status", {
+    webhookId,
+    sha: status.sha,
+    context: status.context,
+    state: status.state,
+  });
+
+  const result = await submissionService.recordCommitStatus(status);
+  if (!result) {
+    logger.info("Commit status is not for a submission pull request", {
+      webhookId,
+      sha: status.sha,
+    });
+    return;
+  }
+
+  const { submission, previousState } = result;
+  const { validation } = submission;
+  if (validation.state === previousState || validation.state === "pending") {
+    return;
+  }
+
+  const failed = validation.state === "failed";
+  if (failed && CLOSE_FAILED_SUBMISSIONS) {
+    await rejectFailedSubmission(submission);
+  }
+
+  await notificationService.sendNotification({
+    type: failed ? "validation_failed" : "validation_passed",
+    title: failed ? "Submission Failed Validation" : "Submission Validated",
+    message: failed
+      ? `Pull request #${submission.pullRequestNumber} failed CDM validation: ${validation.description}`
+      : `Pull request #${submission.pullRequestNumber} passed CDM validation and is ready for review`,
+    metadata: {
+      submissionId: submission.submissionId,
+      pullRequestNumber: submission.pullRequestNumber,
+      contactIds: submission.contactIds,
+      submittedBy: submission.submittedBy,
+      headSha: validation.headSha,
+      reportUrl: validation.targetUrl,
+      reviewUrl: submission.pullRequestUrl,
+    },
+  });
+
+  if (!failed) {
+    await enforceApprovalPolicy(submission, webhookId);
+  }
+}
+
+// Merge the submission or request its reviews as its approval policy says
+async function enforceApprovalPolicy(submission, webhookId) {
+  try {
+    await approvalPolicyService.enforce(submission);
+  } catch (error) {
+    logger.error("Failed to apply approval policy", {
+      webhookId,
+      submissionId: submission.submissionId,
+      error: error.message,
+    });
+  }
+}
+
+// Explain the failed checks on the pull request and close it
+async function rejectFailedSubmission(submission) {
+  const failedChecks = submission.validation.checks.filter((check) =>
+    ["failure", "error"].includes(check.state)
+  );
+
+  try {
+    await giteaService.commentOnPullRequest(
+      submission.pullRequestNumber,
+      `## CDM Validation Failed
+
+This submission was closed because its validation checks failed:
+${failedChecks
+  .map(
+    (check) =>
+      `- **${check.context}:** ${check.description || check.state}${
+        check.targetUrl ? ` ([details](${check.targetUrl}))` : ""
+      }`
+  )
+  .join("\n")}
+
+Submit the corrected contact data again to create a new pull request.`
+    );
+    await giteaService.closePullRequest(submission.pullRequestNumber);
+  } catch (error) {
+    logger.error("Failed to close submission that failed validation", {
+      submissionId: submission.submissionId,
+      pullRequestNumber: submission.pullRequestNumber,
+      error: error.message,
+    });
+  }
+}
+
+// Handle pull request review - Record it on the submission
+async function handlePullRequestReview(
+  pullRequest,
+  review,
+  event,
+  webhookId,
+  sender
+) {
+  const { type, state } = REVIEW_EVENTS[event];
+  const reviewer = sender?.login;
+  logger.info("Processing pull request review", {
+    webhookId,
+    pullRequestNumber: pullRequest.number,
+    type,
+    reviewer,
+  });
+
+  const result = await submissionService.recordActivity(
+    pullRequest.number,
+    {
+      type,
+      actor: reviewer,
+      body: review?.content || null,
+      headSha: pullRequest.head?.sha,
+      url: pullRequest.html_url,
+    },
+    state
+  );
+  if (!result) {
+    logger.info("Review is not for a submission pull request", {
+      webhookId,
+      pullRequestNumber: pullRequest.number,
+    });
+    return;
+  }
+
+  const { submission } = result;
+  if (type === "review_approved") {
+    await enforceApprovalPolicy(submission, webhookId);
+  }
+  if (type !== "changes_requested") {
+    return;
+  }
+
+  await notificationService.sendNotification({
+    type: "changes_requested",
+    title: "Changes Requested",
+    message: `${reviewer} requested changes to pull request #${
+      pullRequest.number
+    }${review?.content ? `: ${review.content}` : ""}`,
+    metadata: {
+      submissionId: submission.submissionId,
+      pullRequestNumber: pullRequest.number,
+      contactIds: submission.contactIds,
+      recipient: submission.submittedBy,
+      reviewer,
+      reviewUrl: pullRequest.html_url,
+    },
+  });
+}
+
+// Handle pull request comment - Record it and run its slash command, if any
+async function handlePullRequestComment(payload, webhookId) {
+  const { action, issue, comment, sender } = payload;
+  if (action !== "created" || !(payload.is_pull || issue?.pull_request)) {
+    return;
+  }
+
+  const author = comment?.user?.login || sender?.login;
+  const command = parseSubmissionCommand(comment?.body);
+  logger.info("Processing pull request comment", {
+    webhookId,
+    pullRequestNumber: issue.number,
+    author,
+    command,
+  });
+
+  const result = await submissionService.recordActivity(issue.number, {
+    type: command ? "command" : "comment",
+    actor: author,
+    body: comment?.body || null,
+    command: command || undefined,
+    commentId: comment?.id,
+    url: comment?.html_url,
+  });
+  if (!result || !command) {
+    return;
+  }
+
+  // The service account's own comments never run commands
+  if (
+    author === giteaService.username ||
+    !SUBMISSION_COMMAND_USERS.includes(author)
+  ) {
+    await replyToCommand(
+      result.submission,
+      `@${author} is not allowed to run \`/${command}\`.`
+    );
+    return;
+  }
+
+  await runSubmissionCommand(command, result.submission, author, webhookId);
+}
+
+// The command on a line of its own in a comment, e.g. "/approve-sync"
+function parseSubmissionCommand(body) {
+  const line = (body || "")
+    .split("\n")
+    .map((text) => text.trim())
+    .find((text) =>
+      SUBMISSION_COMMANDS.some((command) => text === `/${command}`)
+    );
+  return line ? line.slice(1) : null;
+}
+
+async function runSubmissionCommand(command, submission, actor, webhookId) {
+  const closed = [
+    "merged",
+    "synced",
+    "sync_failed",
+    "rejected",
+    "abandoned",
+  ].includes(submission.state);
+  let reply;
+
+  try {
+    if (closed) {
+      reply = `Ignored \`/${command}\`: the submission is already ${submission.state}.`;
+    } else if (command === "skip-moqui") {
+      await submissionService.skipMoquiSync(submission);
+      reply = `Moqui sync skipped by @${actor}: the contacts will only be stored in OpenSearch when this pull request merges.`;
+    } else if (submission.validation?.state !== "passed") {
+      reply = `Cannot approve: CDM validation is ${
+        submission.validation?.state || "pending"
+      }.`;
+    } else {
+      const approved = await submissionService.approveSync(submission, actor);
+      reply = describeApproval(
+        actor,
+        await approvalPolicyService.enforce(approved)
+      );
+    }
+  } catch (error) {
+    logger.error("Submission command failed", {
+      webhookId,
+      command,
+      submissionId: submission.submissionId,
+      error: error.message,
+    });
+    reply = `\`/${command}\` failed: ${error.message}`;
+  }
+
+  await replyToCommand(submission, reply);
+}
+
+// What an /approve-sync led to under the submission's approval policy
+function describeApproval(actor, approval) {
+  if (!approval) {
+    return `Approval by @${actor} recorded, but the approval policies are not loaded: merge the pull request manually.`;
+  }
+  if (approval.status === "merge_requested") {
+    return `Approved by @${actor}: policy ${approval.policy} is satisfied, merging and syncing the contacts to Moqui.`;
+  }
+  if (approval.status === "merge_failed") {
+    return `Approved by @${actor}, but the merge failed: ${approval.error}`;
+  }
+  if (approval.status === "manual") {
+    return `Approval by @${actor} recorded: no approval policy applies to this submission, merge the pull request manually.`;
+  }
+  return `Approval by @${actor} recorded: policy ${approval.policy} needs ${
+    approval.requiredApprovals
+  } approval(s)${approval.role ? ` from ${approval.role}` : ""}, ${
+    approval.approvedBy.length
+  } so far.`;
+}
+
+async function replyToCommand(submission, body) {
   try {
-    // This is a simplified extraction - in practice, you'd need to analyze
-    // the actual file changes in the pull request
+    await giteaService.commentOnPullRequest(submission.pullRequestNumber, body);
+  } catch (error) {
+    logger.warn("Failed to reply to submission command", {
+      submissionId: submission.submissionId,
+      pullRequestNumber: submission.pullRequestNumber,
+      error: error.message,
+    });
+  }
+}
+
+// Extract contact changes from the files of a pull request at the given ref
+async function extractContactChangesFromPR(pullRequest, ref) {
+  const files = await giteaService.getPullRequestFiles(pullRequest.number);
+  const changes = [];
+  const submissions = {};
 
-    // For now, we'll extract from the PR title and description
-    const titleMatch = pullRequest.title.match(/Add Contact: (.+)/);
-    if (!titleMatch) {
-      return null;
+  for (const file of files) {
+    // Submission metadata tells whether the change is a create, update or delete
+    if (
+      /^metadata\/submissions\/[^/]+\.json$/.test(file.filename) &&
+      file.status === "added"
+    ) {
+      const submission = await extractSubmissionMetadata(file.filename, ref);
+      // Batch imports list every contact in one submission file
+      const submissionContactIds = submission?.contactIds || [
+        submission?.contactId,
+      ];
+      submissionContactIds.filter(Boolean).forEach((contactId) => {
+        submissions[contactId] = submission;
+      });
+      continue;
     }
 
-    const fullName = titleMatch[1];
+    const contactId = giteaService.getContactIdFromPath(file.filename);
 
-    // Extract additional info from description if available
-    const body = pullRequest.body || "";
-    const contactId = body.match(/\*\*Contact ID:\*\* (.+)/);
-    const emailMatch = body.match(/\*\*Email:\*\* (.+)/);
-    const companyMatch = body.match(/\*\*Company:\*\* (.+)/);
+    // A contact file renamed to another id removes the previous contact
+    const previousContactId = giteaService.getContactIdFromPath(
+      file.previous_filename
+    );
+    if (
+      file.status === "renamed" &&
+      previousContactId &&
+      previousContactId !== contactId
+    ) {
+      changes.push({
+        contactId: previousContactId,
+        changeType: "deleted",
+        filePath: file.previous_filename,
+      });
+    }
 
-    return {
-      fullName,
-      emailAddress: emailMatch ? emailMatch[1] : null,
-      company: companyMatch ? companyMatch[1] : null,
-      contactId: contactId ? contactId[1] : null,
+    if (!contactId) {
+      continue;
+    }
+
+    if (file.status === "deleted" || file.status === "removed") {
+      changes.push({
+        contactId,
+        changeType: "deleted",
+        filePath: file.filename,
+      });
+      continue;
+    }
+
+    const change = {
+      contactId,
+      changeType: file.status === "added" ? "added" : "modified",
+      filePath: file.filename,
     };
+
+    try {
+      const fileContent = await giteaService.getFileContent(file.filename, ref);
+      if (!fileContent) {
+        throw new Error(`File not found at ${ref}`);
+      }
+
+      change.contact = validateCdmContact(JSON.parse(fileContent.content));
+      change.sha = fileContent.sha;
+
+      if (change.contact.contactId !== contactId) {
+        throw new Error(
+          `contactId ${change.contact.contactId} does not match file name`
+        );
+      }
+    } catch (error) {
+      logger.error("Failed to extract contact data from PR", {
+        error: error.message,
+        filePath: file.filename,
+        pullRequestNumber: pullRequest.number,
+      });
+      change.error = error.message;
+    }
+
+    changes.push(change);
+  }
+
+  return changes.map((change) => ({
+    ...change,
+    submission: submissions[change.contactId],
+  }));
+}
+
+// Read a submission metadata file, ignoring files that cannot be parsed
+async function extractSubmissionMetadata(filePath, ref) {
+  try {
+    const fileContent = await giteaService.getFileContent(filePath, ref);
+    return fileContent ? JSON.parse(fileContent.content) : null;
   } catch (error) {
-    logger.error("Failed to extract contact data from PR", {
+    logger.warn("Failed to read submission metadata", {
+      filePath,
       error: error.message,
-      pullRequestNumber: pullRequest.number,
     });
     return null;
   }
@@ -299,22 +1223,28 @@ async function handleRepositoryDeleted(repository, webhookId) {
   }
 }
 
-// POST /api/webhooks/test - Test webhook endpoint
+// POST /api/webhooks/test - Replay merge processing for an existing pull request
 router.post("/test", async (req, res) => {
-  const testWebhook = {
-    action: "test",
-    repository: { name: "cdm-data" },
-    pull_request: {
-      number: 999,
-      title: "Add Contact: Test User",
-      body: "**Email:** test@example.com\n**Company:** Test Corp",
-      merged: true,
-      user: { login: "test-user" },
-      html_url: "https://git.example.com/test/pr/999",
-    },
-  };
+  const { pullRequestNumber } = req.body;
+
+  if (!pullRequestNumber) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      message: "pullRequestNumber is required",
+    });
+  }
 
   try {
+    const pullRequest = await giteaService.getPullRequest(
+      parseInt(pullRequestNumber)
+    );
+    const testWebhook = {
+      action: "test",
+      repository: { name: giteaService.repoName },
+      pull_request: pullRequest,
+    };
+
     await handlePullRequestMerged(
       testWebhook.pull_request,
       testWebhook.repository,
@@ -324,7 +1254,12 @@ router.post("/test", async (req, res) => {
     res.json({
       success: true,
       message: "Test webhook processed successfully",
-      testData: testWebhook,
+      testData: {
+        action: testWebhook.action,
+        repository: testWebhook.repository,
+        pullRequestNumber: pullRequest.number,
+        mergeCommitSha: pullRequest.merge_commit_sha,
+      },
     });
   } catch (error) {
     res.status(500).json({
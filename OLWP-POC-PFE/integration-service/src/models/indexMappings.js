@@ -0,0 +1,337 @@
+// Numbered mapping versions of the indices the service manages. Each index is
+// created as <alias>_v<version> and read and written through its alias, so
+// adding a version here makes a migration pending for existing deployments.
+//
+// A version's transform is a painless script applied to every document while
+// it is reindexed into that version. Migrations can start from any earlier
+// version (or from an index created before versioning), so transforms must
+// leave an already-transformed document unchanged. Pending transforms run as
+// one script, so their variable names must not clash.
+
+const contactsV1Properties = {
+  contactId: { type: "keyword" },
+  fullName: {
+    type: "text",
+    fields: {
+      keyword: { type: "keyword" },
+    },
+  },
+  emailAddress: { type: "keyword" },
+  phoneNumber: { type: "keyword" },
+  company: {
+    type: "text",
+    fields: {
+      keyword: { type: "keyword" },
+    },
+  },
+  city: { type: "keyword" },
+  stateProvince: { type: "keyword" },
+  country: { type: "keyword" },
+  jobTitle: { type: "keyword" },
+  department: { type: "keyword" },
+  preferredContactMethod: { type: "keyword" },
+  isActive: { type: "boolean" },
+  tags: { type: "keyword" },
+  createdOn: { type: "date" },
+  modifiedOn: { type: "date" },
+  createdBy: { type: "keyword" },
+  modifiedBy: { type: "keyword" },
+  gitSha: { type: "keyword" },
+  moquiId: { type: "keyword" },
+  syncStatus: { type: "keyword" },
+  syncError: { type: "text" },
+  syncAttempts: { type: "integer" },
+  syncedAt: { type: "date" },
+  syncAttemptedAt: { type: "date" },
+  lastSyncType: { type: "keyword" },
+};
+
+// Same normalization as normalizePhoneNumber in utils/contactMatching
+const fillPhoneNormalized = `
+def phone = ctx._source.phoneNumber;
+if (phone != null && ctx._source.phoneNormalized == null) {
+  StringBuilder digits = new StringBuilder();
+  for (char c : phone.toString().toCharArray()) {
+    if (Character.isDigit(c)) {
+      digits.append(c);
+    }
+  }
+  if (digits.length() >= 7) {
+    ctx._source.phoneNormalized = digits.substring(Math.max(0, digits.length() - 9));
+  }
+}
+`;
+
+const submissionsV1Properties = {
+  submissionId: { type: "keyword" },
+  operation: { type: "keyword" },
+  contactIds: { type: "keyword" },
+  pullRequestNumber: { type: "integer" },
+  pullRequestUrl: { type: "keyword", index: false },
+  branchName: { type: "keyword" },
+  headSha: { type: "keyword" },
+  submittedBy: { type: "keyword" },
+  source: { type: "keyword" },
+  validation: {
+    properties: {
+      state: { type: "keyword" },
+      headSha: { type: "keyword" },
+      description: { type: "text" },
+      targetUrl: { type: "keyword", index: false },
+      checks: { type: "object", enabled: false },
+      updatedAt: { type: "date" },
+    },
+  },
+  state: { type: "keyword" },
+  stateChangedAt: { type: "date" },
+  transitions: {
+    properties: {
+      from: { type: "keyword" },
+      to: { type: "keyword" },
+      actor: { type: "keyword" },
+      reason: { type: "text" },
+      at: { type: "date" },
+    },
+  },
+  mergeCommitSha: { type: "keyword" },
+  sync: { type: "object", enabled: false },
+  activity: {
+    properties: {
+      type: { type: "keyword" },
+      actor: { type: "keyword" },
+      body: { type: "text" },
+      command: { type: "keyword" },
+      commentId: { type: "long" },
+      url: { type: "keyword", index: false },
+      headSha: { type: "keyword" },
+      at: { type: "date" },
+    },
+  },
+  skipMoqui: { type: "boolean" },
+  approval: {
+    properties: {
+      policy: { type: "keyword" },
+      policyVersion: { type: "integer" },
+      mode: { type: "keyword" },
+      requiredApprovals: { type: "integer" },
+      role: { type: "keyword" },
+      approvedBy: { type: "keyword" },
+      reviewersRequested: { type: "keyword" },
+      reviewersRequestedFor: { type: "keyword" },
+      status: { type: "keyword" },
+      error: { type: "text" },
+      evaluatedAt: { type: "date" },
+    },
+  },
+  review: {
+    properties: {
+      routingVersion: { type: "integer" },
+      rule: { type: "keyword" },
+      team: { type: "keyword" },
+      reviewers: { type: "keyword" },
+      assignedAt: { type: "date" },
+      dueAt: { type: "date" },
+      respondedAt: { type: "date" },
+      reassignments: { type: "integer" },
+      escalated: { type: "boolean" },
+      escalatedAt: { type: "date" },
+      escalatedTo: { type: "keyword" },
+    },
+  },
+  createdAt: { type: "date" },
+  updatedAt: { type: "date" },
+};
+
+const indexMappings = {
+  contacts: {
+    versions: [
+      {
+        version: 1,
+        description: "Initial contacts mapping",
+        mappings: { properties: contactsV1Properties },
+      },
+      {
+        version: 2,
+        description: "Add phoneNormalized for duplicate detection",
+        mappings: {
+          properties: {
+            ...contactsV1Properties,
+            phoneNormalized: { type: "keyword" },
+          },
+        },
+        transform: fillPhoneNormalized,
+      },
+      {
+        version: 3,
+        description: "Add validationStatus from the submission's CI checks",
+        mappings: {
+          properties: {
+            ...contactsV1Properties,
+            phoneNormalized: { type: "keyword" },
+            validationStatus: { type: "keyword" },
+          },
+        },
+      },
+    ],
+  },
+  reference: {
+    versions: [
+      {
+        version: 1,
+        description: "Initial reference data mapping",
+        mappings: {
+          properties: {
+            type: { type: "keyword" },
+            category: { type: "keyword" },
+            value: { type: "keyword" },
+            label: {
+              type: "text",
+              fields: {
+                keyword: { type: "keyword" },
+                sort: {
+                  type: "text",
+                  fielddata: true,
+                },
+              },
+            },
+            description: { type: "text" },
+            sortOrder: { type: "integer" },
+            isActive: { type: "boolean" },
+            metadata: { type: "object" },
+            createdAt: { type: "date" },
+            updatedAt: { type: "date" },
+          },
+        },
+      },
+    ],
+  },
+  notifications: {
+    versions: [
+      {
+        version: 1,
+        description: "Initial notifications mapping",
+        mappings: {
+          properties: {
+            id: { type: "keyword" },
+            type: { type: "keyword" },
+            title: {
+              type: "text",
+              fields: { keyword: { type: "keyword" } },
+            },
+            message: { type: "text" },
+            metadata: { type: "object" },
+            timestamp: { type: "date" },
+            status: { type: "keyword" },
+            read: { type: "boolean" },
+            readAt: { type: "date" },
+            results: { type: "object" },
+            error: { type: "text" },
+          },
+        },
+      },
+    ],
+  },
+  syncQueue: {
+    versions: [
+      {
+        version: 1,
+        description: "Initial Moqui sync queue mapping",
+        mappings: {
+          properties: {
+            jobId: { type: "keyword" },
+            contactId: { type: "keyword" },
+            operation: { type: "keyword" },
+            payload: { type: "object", enabled: false },
+            moquiId: { type: "keyword" },
+            mergedInto: { type: "keyword" },
+            status: { type: "keyword" },
+            attempts: { type: "integer" },
+            maxAttempts: { type: "integer" },
+            nextAttemptAt: { type: "date" },
+            lockedUntil: { type: "date" },
+            lastError: { type: "text" },
+            source: { type: "keyword" },
+            pullRequestNumber: { type: "integer" },
+            discardedBy: { type: "keyword" },
+            createdAt: { type: "date" },
+            updatedAt: { type: "date" },
+            completedAt: { type: "date" },
+          },
+        },
+      },
+    ],
+  },
+  submissions: {
+    versions: [
+      {
+        version: 1,
+        description: "Initial submissions mapping",
+        mappings: { properties: submissionsV1Properties },
+      },
+    ],
+  },
+  webhookDeliveries: {
+    versions: [
+      {
+        version: 1,
+        description: "Initial webhook delivery log mapping",
+        mappings: {
+          properties: {
+            deliveryId: { type: "keyword" },
+            provider: { type: "keyword" },
+            event: { type: "keyword" },
+            action: { type: "keyword" },
+            repository: { type: "keyword" },
+            pullRequestNumber: { type: "integer" },
+            payloadHash: { type: "keyword" },
+            payload: { type: "object", enabled: false },
+            status: { type: "keyword" },
+            attempts: { type: "integer" },
+            webhookId: { type: "keyword" },
+            error: { type: "text" },
+            receivedAt: { type: "date" },
+            updatedAt: { type: "date" },
+            completedAt: { type: "date" },
+          },
+        },
+      },
+    ],
+  },
+  reviewRotations: {
+    versions: [
+      {
+        version: 1,
+        description: "Initial review rotation mapping",
+        mappings: {
+          properties: {
+            team: { type: "keyword" },
+            lastReviewer: { type: "keyword" },
+            updatedAt: { type: "date" },
+          },
+        },
+      },
+    ],
+  },
+};
+
+const getLatestVersion = (key) => {
+  const { versions } = indexMappings[key];
+  return versions[versions.length - 1];
+};
+
+const getMappingVersion = (key, version) =>
+  indexMappings[key].versions.find((entry) => entry.version === version) ||
+  null;
+
+// Versions newer than the given one, oldest first
+const getPendingVersions = (key, currentVersion) =>
+  indexMappings[key].versions.filter(
+    (entry) => entry.version > (currentVersion || 0)
+  );
+
+module.exports = {
+  indexMappings,
+  getLatestVersion,
+  getMappingVersion,
+  getPendingVersions,
+};
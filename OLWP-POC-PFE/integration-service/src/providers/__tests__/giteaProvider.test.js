@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+const GiteaProvider = require("../giteaProvider");
+
+// Recorded webhook deliveries, each with the secret it was signed with, the
+// request headers (X-Gitea-Event and X-Gitea-Event-Type) and body, and the
+// parts of the normalized event and the delivery ID it must produce
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "gitea");
+const fixtures = fs
+  .readdirSync(FIXTURES_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .sort()
+  .map((file) => [
+    file,
+    JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), "utf8")),
+  ]);
+
+describe("GiteaProvider webhooks", () => {
+  const provider = new GiteaProvider();
+
+  describe.each(fixtures)("%s", (file, fixture) => {
+    const rawBody = JSON.stringify(fixture.body);
+    const { deliveryId, ...expected } = fixture.expected;
+
+    beforeEach(() => {
+      provider.webhookSecret = fixture.secret;
+    });
+
+    it("accepts the signature of the body", () => {
+      expect(provider.verifyWebhook(fixture.headers, rawBody)).toEqual({
+        valid: true,
+      });
+    });
+
+    it("rejects a changed body", () => {
+      expect(provider.verifyWebhook(fixture.headers, `${rawBody} `)).toEqual({
+        valid: false,
+        error: "Invalid signature",
+      });
+    });
+
+    it("reads the delivery ID", () => {
+      expect(provider.getDeliveryId(fixture.headers)).toBe(deliveryId);
+    });
+
+    it("normalizes the event", () => {
+      expect(
+        provider.normalizeWebhook(fixture.headers, fixture.body)
+      ).toMatchObject(expected);
+    });
+  });
+
+  it("names review events the way X-Gitea-Event-Type does", () => {
+    const reviews = fixtures.filter(([, fixture]) =>
+      fixture.headers["x-gitea-event-type"].startsWith("pull_request_review_")
+    );
+
+    expect(reviews).toHaveLength(3);
+    reviews.forEach(([, fixture]) => {
+      expect(
+        provider.normalizeWebhook(fixture.headers, fixture.body).event
+      ).toBe(fixture.headers["x-gitea-event-type"]);
+    });
+  });
+
+  it("rejects a delivery without a signature", () => {
+    expect(provider.verifyWebhook({}, "{}")).toEqual({
+      valid: false,
+      error: "Missing signature",
+    });
+  });
+
+  it("has no delivery ID without the delivery header", () => {
+    expect(provider.getDeliveryId({})).toBeNull();
+  });
+});
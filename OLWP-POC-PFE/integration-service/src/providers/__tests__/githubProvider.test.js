@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+const GitHubProvider = require("../githubProvider");
+
+// Recorded webhook deliveries, each with the secret it was signed with, the
+// request headers and body, and the parts of the normalized event and the
+// delivery ID it must produce
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "github");
+const fixtures = fs
+  .readdirSync(FIXTURES_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .sort()
+  .map((file) => [
+    file,
+    JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), "utf8")),
+  ]);
+
+describe("GitHubProvider webhooks", () => {
+  const provider = new GitHubProvider();
+
+  describe.each(fixtures)("%s", (file, fixture) => {
+    const rawBody = JSON.stringify(fixture.body);
+    const { deliveryId, ...expected } = fixture.expected;
+
+    beforeEach(() => {
+      provider.webhookSecret = fixture.secret;
+    });
+
+    it("accepts the signature of the body", () => {
+      expect(provider.verifyWebhook(fixture.headers, rawBody)).toEqual({
+        valid: true,
+      });
+    });
+
+    it("rejects a changed body", () => {
+      expect(provider.verifyWebhook(fixture.headers, `${rawBody} `)).toEqual({
+        valid: false,
+        error: "Invalid signature",
+      });
+    });
+
+    it("reads the delivery ID", () => {
+      expect(provider.getDeliveryId(fixture.headers)).toBe(deliveryId);
+    });
+
+    it("normalizes the event", () => {
+      expect(
+        provider.normalizeWebhook(fixture.headers, fixture.body)
+      ).toMatchObject(expected);
+    });
+  });
+
+  it("rejects a delivery without a signature", () => {
+    expect(provider.verifyWebhook({}, "{}")).toEqual({
+      valid: false,
+      error: "Missing signature",
+    });
+  });
+
+  it("has no delivery ID without the delivery header", () => {
+    expect(provider.getDeliveryId({})).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+const GitLabProvider = require("../gitlabProvider");
+
+// Recorded webhook deliveries, each with the secret token GitLab sends, the
+// request headers and body, and the parts of the normalized event and the
+// delivery ID it must produce
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "gitlab");
+const fixtures = fs
+  .readdirSync(FIXTURES_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .sort()
+  .map((file) => [
+    file,
+    JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), "utf8")),
+  ]);
+
+describe("GitLabProvider webhooks", () => {
+  const provider = new GitLabProvider();
+
+  describe.each(fixtures)("%s", (file, fixture) => {
+    const rawBody = JSON.stringify(fixture.body);
+    const { deliveryId, ...expected } = fixture.expected;
+
+    beforeEach(() => {
+      provider.webhookSecret = fixture.secret;
+    });
+
+    it("accepts the secret token", () => {
+      expect(provider.verifyWebhook(fixture.headers, rawBody)).toEqual({
+        valid: true,
+      });
+    });
+
+    // The token does not cover the body, only the secret is checked
+    it("rejects another secret token", () => {
+      provider.webhookSecret = `${fixture.secret}-rotated`;
+      expect(provider.verifyWebhook(fixture.headers, rawBody)).toEqual({
+        valid: false,
+        error: "Invalid signature",
+      });
+    });
+
+    it("reads the delivery ID", () => {
+      expect(provider.getDeliveryId(fixture.headers)).toBe(deliveryId);
+    });
+
+    it("normalizes the event", () => {
+      expect(
+        provider.normalizeWebhook(fixture.headers, fixture.body)
+      ).toMatchObject(expected);
+    });
+  });
+
+  it("rejects a delivery without a signature", () => {
+    expect(provider.verifyWebhook({}, "{}")).toEqual({
+      valid: false,
+      error: "Missing signature",
+    });
+  });
+
+  it("prefers the Idempotency-Key, which stays the same on retries", () => {
+    expect(
+      provider.getDeliveryId({
+        "idempotency-key": "retry-key",
+        "x-gitlab-event-uuid": "event-uuid",
+      })
+    ).toBe("retry-key");
+  });
+
+  it("has no delivery ID without the delivery headers", () => {
+    expect(provider.getDeliveryId({})).toBeNull();
+  });
+});
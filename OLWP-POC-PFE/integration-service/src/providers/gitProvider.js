@@ -0,0 +1,328 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const logger = require("../utils/logger");
+
+// GIT_* settings fall back to the GITEA_* ones deployments already have
+const readSetting = (key, fallback) =>
+  process.env[`GIT_${key}`] || process.env[`GITEA_${key}`] || fallback;
+
+// Constant-time comparison that also rejects values of different lengths
+const safeEqual = (actual, expected) => {
+  const actualBuffer = Buffer.from(String(actual));
+  const expectedBuffer = Buffer.from(String(expected));
+  return (
+    actualBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(actualBuffer, expectedBuffer)
+  );
+};
+
+// Operations a git hosting API adapter implements for the rest of the
+// service. Adapters return the shapes the service was first written against,
+// which are Gitea's:
+//
+// - pull requests: { number, title, body, state, merged, merged_at,
+//   merged_by: { login }, merge_commit_sha, html_url, user: { login },
+//   head: { ref, sha }, base: { ref }, created_at, updated_at }, with
+//   merge_commit_sha only set once merged
+// - changed files: { filename, previous_filename, status } with status one of
+//   added, modified, deleted or renamed
+// - commit statuses: { context, status, description, target_url, updated_at }
+//   with status one of pending, success, failure or error
+// - commits: { sha, commit: { message, author: { name, email, date } },
+//   author: { login } }
+// - comments: { id, body, user: { login }, html_url, created_at }
+// - webhooks: { event, payload } as Gitea names and sends them
+//
+// HTTP failures are thrown as axios errors, so callers keep reading
+// error.response.status.
+class GitProvider {
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+    this.baseUrl = (readSetting("URL") || "").replace(/\/+$/, "");
+    this.token = readSetting("TOKEN");
+    this.username = readSetting("USERNAME", "gitea_admin");
+    this.repoOwner = readSetting("REPO_OWNER", "gitea_admin");
+    this.repoName = readSetting("REPO_NAME", "cdm-data");
+    this.webhookSecret = readSetting("WEBHOOK_SECRET", "your-webhook-secret");
+  }
+
+  createClient(apiUrl, headers) {
+    this.apiUrl = apiUrl;
+    const client = axios.create({
+      baseURL: apiUrl,
+      headers: { ...headers, "Content-Type": "application/json" },
+      timeout: 30000,
+    });
+
+    client.interceptors.request.use(
+      (config) => {
+        logger.info(
+          `${this.label} API Request: ${config.method?.toUpperCase()} ${
+            config.url
+          }`
+        );
+        return config;
+      },
+      (error) => {
+        logger.error(`${this.label} API Request Error:`, {
+          message: error.message,
+          code: error.code,
+          config: {
+            url: error.config?.url,
+            method: error.config?.method,
+          },
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    client.interceptors.response.use(
+      (response) => {
+        logger.info(
+          `${this.label} API Response: ${response.status} ${response.config.url}`
+        );
+        return response;
+      },
+      (error) => {
+        logger.error(`${this.label} API Response Error:`, {
+          status: error.response?.status,
+          statusText: error.response?.statusText,
+          data: error.response?.data,
+          url: error.config?.url,
+          method: error.config?.method,
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    return client;
+  }
+
+  // Read pages until one comes back short
+  async collectPages(fetchPage, limit) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      const pageItems = await fetchPage(page);
+      items.push(...pageItems);
+
+      if (pageItems.length < limit) {
+        break;
+      }
+    }
+    return items;
+  }
+
+  // An error shaped like an HTTP 409 from the API
+  conflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    error.response = { status: 409, data: { message } };
+    return error;
+  }
+
+  // For APIs that cannot pin the blob a change replaces: check the files
+  // still have the SHAs the caller read, so concurrent edits are not
+  // overwritten
+  async assertFileShas(files, ref) {
+    for (const file of files.filter((candidate) => candidate.sha)) {
+      const current = await this.getFile(file.path, ref);
+      if (current?.sha !== file.sha) {
+        throw this.conflictError(
+          `${file.path} has changed since version ${file.sha}`
+        );
+      }
+    }
+  }
+
+  verifyHmacSignature(signature, rawBody, prefix = "") {
+    if (!signature) {
+      return { valid: false, error: "Missing signature" };
+    }
+
+    const expectedSignature = crypto
+      .createHmac("sha256", this.webhookSecret)
+      .update(rawBody || "")
+      .digest("hex");
+
+    return safeEqual(signature, `${prefix}${expectedSignature}`)
+      ? { valid: true }
+      : { valid: false, error: "Invalid signature" };
+  }
+
+  // For providers that send the webhook secret itself
+  verifySecretToken(token) {
+    if (!token) {
+      return { valid: false, error: "Missing signature" };
+    }
+    return safeEqual(token, this.webhookSecret)
+      ? { valid: true }
+      : { valid: false, error: "Invalid signature" };
+  }
+
+  notSupported(operation) {
+    const error = new Error(`${operation} is not supported by ${this.label}`);
+    error.statusCode = 501;
+    return error;
+  }
+
+  // { version } of the server, for health checks
+  async getVersion() {
+    throw this.notSupported("getVersion");
+  }
+
+  // { name, description, size, created_at, updated_at }, or null when the
+  // repository does not exist
+  async getRepository() {
+    throw this.notSupported("getRepository");
+  }
+
+  async createRepository({ description }) {
+    throw this.notSupported("createRepository");
+  }
+
+  async getBranchSha(branch) {
+    throw this.notSupported("getBranchSha");
+  }
+
+  // [{ name, commit: { id, timestamp } }], timestamp being the date of the
+  // head commit or null when the API does not list it
+  async listBranches() {
+    throw this.notSupported("listBranches");
+  }
+
+  // Throws a 409 when the branch already exists
+  async createBranch(name, sha) {
+    throw this.notSupported("createBranch");
+  }
+
+  async deleteBranch(name) {
+    throw this.notSupported("deleteBranch");
+  }
+
+  // { content, sha, size } with the content decoded, or null when the file
+  // does not exist at the ref
+  async getFile(filePath, ref) {
+    throw this.notSupported("getFile");
+  }
+
+  // Files directly inside a directory at a ref as [{ path, sha, size }]
+  async listDirectory(dirPath, ref) {
+    throw this.notSupported("listDirectory");
+  }
+
+  async getBlob(sha) {
+    throw this.notSupported("getBlob");
+  }
+
+  // Write files in one commit, see GiteaService.commitFiles. Returns
+  // { sha } of the commit.
+  async commitFiles(files, message, { branch, newBranch, author }) {
+    throw this.notSupported("commitFiles");
+  }
+
+  // Commits on a ref that touched a file, newest first
+  async getFileCommits(filePath, { ref, page, limit }) {
+    throw this.notSupported("getFileCommits");
+  }
+
+  // The pull request a commit was merged through, or null
+  async getCommitPullRequest(sha) {
+    throw this.notSupported("getCommitPullRequest");
+  }
+
+  // state is open, closed or all
+  async listPullRequests({ state }) {
+    throw this.notSupported("listPullRequests");
+  }
+
+  async getPullRequest(number) {
+    throw this.notSupported("getPullRequest");
+  }
+
+  async getPullRequestFiles(number) {
+    throw this.notSupported("getPullRequestFiles");
+  }
+
+  async createPullRequest({ title, head, base, body }) {
+    throw this.notSupported("createPullRequest");
+  }
+
+  async mergePullRequest(number, mergeMethod) {
+    throw this.notSupported("mergePullRequest");
+  }
+
+  async closePullRequest(number) {
+    throw this.notSupported("closePullRequest");
+  }
+
+  // Oldest first
+  async listPullRequestComments(number) {
+    throw this.notSupported("listPullRequestComments");
+  }
+
+  async commentOnPullRequest(number, body) {
+    throw this.notSupported("commentOnPullRequest");
+  }
+
+  async requestReviewers(number, reviewers) {
+    throw this.notSupported("requestReviewers");
+  }
+
+  async cancelReviewRequests(number, reviewers) {
+    throw this.notSupported("cancelReviewRequests");
+  }
+
+  // Statuses and checks reported for a commit
+  async getCommitStatuses(sha) {
+    throw this.notSupported("getCommitStatuses");
+  }
+
+  // { branch, requiredChecks, pushAllowlist } of a branch, or null when it
+  // is not protected. pushAllowlist is null when anyone with write access can
+  // push; requiredChecks are status contexts, which may end in a wildcard.
+  async getBranchProtection(branch) {
+    throw this.notSupported("getBranchProtection");
+  }
+
+  // Create or replace the protection of a branch
+  async setBranchProtection(branch, { requiredChecks, pushAllowlist }) {
+    throw this.notSupported("setBranchProtection");
+  }
+
+  // [{ id, url, contentType, events, active }], events in Gitea's names
+  async listWebhooks() {
+    throw this.notSupported("listWebhooks");
+  }
+
+  async createWebhook({ url, secret, events }) {
+    throw this.notSupported("createWebhook");
+  }
+
+  async updateWebhook(id, { url, secret, events }) {
+    throw this.notSupported("updateWebhook");
+  }
+
+  // { login, email, full_name }, or null for an unknown user
+  async getUser(username) {
+    throw this.notSupported("getUser");
+  }
+
+  // { valid, error } for a webhook request's headers and raw body
+  verifyWebhook(headers, rawBody) {
+    throw this.notSupported("verifyWebhook");
+  }
+
+  // ID the provider gives a webhook delivery, kept when the same delivery is
+  // sent again, or null when it sends none
+  getDeliveryId(headers) {
+    return null;
+  }
+
+  // { event, payload } of a webhook request in Gitea's terms
+  normalizeWebhook(headers, body) {
+    throw this.notSupported("normalizeWebhook");
+  }
+}
+
+module.exports = GitProvider;
@@ -0,0 +1,441 @@
+const GitProvider = require("./gitProvider");
+
+// X-Gitea-Event names review events after the review alone; the service uses
+// the names X-Gitea-Event-Type gives them. Other events keep their
+// X-Gitea-Event name, as X-Gitea-Event-Type splits them further (a comment
+// on a pull request arrives as issue_comment / pull_request_comment).
+const REVIEW_EVENTS = {
+  pull_request_approved: "pull_request_review_approved",
+  pull_request_rejected: "pull_request_review_rejected",
+  pull_request_comment: "pull_request_review_comment",
+};
+
+// Gitea's API already speaks the shapes the service uses, so most calls pass
+// responses through unchanged
+class GiteaProvider extends GitProvider {
+  constructor() {
+    super("gitea", "Gitea");
+    this.client = this.createClient(`${this.baseUrl}/api/v1`, {
+      Authorization: `token ${this.token}`,
+    });
+    this.repoPath = `/repos/${this.repoOwner}/${this.repoName}`;
+  }
+
+  async getVersion() {
+    const response = await this.client.get("/version", { timeout: 5000 });
+    return { version: response.data.version };
+  }
+
+  async getRepository() {
+    try {
+      const response = await this.client.get(this.repoPath);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async createRepository({ description }) {
+    const response = await this.client.post("/user/repos", {
+      name: this.repoName,
+      description,
+      private: false,
+      auto_init: true,
+      gitignores: "Node",
+      license: "MIT",
+      readme: "Default",
+    });
+    return response.data;
+  }
+
+  async getBranchSha(branch) {
+    const response = await this.client.get(
+      `${this.repoPath}/branches/${branch}`
+    );
+    return response.data.commit.id;
+  }
+
+  async listBranches() {
+    const limit = 50;
+    return this.collectPages(async (page) => {
+      const response = await this.client.get(`${this.repoPath}/branches`, {
+        params: { page, limit },
+      });
+      return Array.isArray(response.data) ? response.data : [];
+    }, limit);
+  }
+
+  async createBranch(name, sha) {
+    try {
+      await this.client.post(`${this.repoPath}/branches`, {
+        new_branch_name: name,
+        old_ref_name: sha,
+      });
+    } catch (error) {
+      if ([409, 422].includes(error.response?.status)) {
+        throw this.conflictError(`Branch ${name} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async deleteBranch(name) {
+    await this.client.delete(`${this.repoPath}/branches/${name}`);
+  }
+
+  async getFile(filePath, ref) {
+    try {
+      const response = await this.client.get(
+        `${this.repoPath}/contents/${filePath}`,
+        { params: { ref } }
+      );
+
+      if (response.data.status === 404) {
+        return null;
+      }
+
+      return {
+        content: Buffer.from(response.data.content, "base64").toString("utf8"),
+        sha: response.data.sha,
+        size: response.data.size,
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Read through the paginated trees API so large directories are not
+  // listed in one response
+  async listDirectory(dirPath, ref) {
+    const parentPath = dirPath.split("/").slice(0, -1).join("/");
+    let directory;
+
+    try {
+      const response = await this.client.get(
+        `${this.repoPath}/contents/${parentPath}`,
+        { params: { ref } }
+      );
+      directory = (Array.isArray(response.data) ? response.data : []).find(
+        (entry) => entry.path === dirPath && entry.type === "dir"
+      );
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+
+    if (!directory) {
+      return [];
+    }
+
+    const perPage = 1000;
+    const files = [];
+    for (let page = 1; ; page++) {
+      const response = await this.client.get(
+        `${this.repoPath}/git/trees/${directory.sha}`,
+        { params: { page, per_page: perPage } }
+      );
+      const entries = response.data.tree || [];
+
+      entries
+        .filter((entry) => entry.type === "blob")
+        .forEach((entry) => {
+          files.push({
+            path: `${dirPath}/${entry.path}`,
+            sha: entry.sha,
+            size: entry.size,
+          });
+        });
+
+      if (
+        entries.length < perPage ||
+        page * perPage >= (response.data.total_count || 0)
+      ) {
+        break;
+      }
+    }
+
+    return files;
+  }
+
+  async getBlob(sha) {
+    const response = await this.client.get(`${this.repoPath}/git/blobs/${sha}`);
+    return Buffer.from(
+      response.data.content,
+      response.data.encoding === "base64" ? "base64" : "utf8"
+    ).toString("utf8");
+  }
+
+  // The change-files endpoint checks each SHA and creates newBranch with the
+  // commit itself
+  async commitFiles(files, message, { branch, newBranch, author }) {
+    const response = await this.client.post(`${this.repoPath}/contents`, {
+      message,
+      branch,
+      new_branch: newBranch || undefined,
+      author: author || undefined,
+      committer: author || undefined,
+      files: files.map((file) => ({
+        operation: file.operation,
+        path: file.path,
+        content:
+          file.content === undefined
+            ? undefined
+            : Buffer.from(file.content).toString("base64"),
+        sha: file.sha || undefined,
+      })),
+    });
+    return { sha: response.data.commit?.sha };
+  }
+
+  async getFileCommits(filePath, { ref, page, limit }) {
+    try {
+      const response = await this.client.get(`${this.repoPath}/commits`, {
+        params: {
+          sha: ref,
+          path: filePath,
+          page,
+          limit,
+          stat: false,
+          verification: false,
+          files: false,
+        },
+      });
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      // An empty repository or unknown ref has no history
+      if ([404, 409].includes(error.response?.status)) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async getCommitPullRequest(sha) {
+    try {
+      const response = await this.client.get(
+        `${this.repoPath}/commits/${sha}/pull`
+      );
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async listPullRequests({ state = "open" } = {}) {
+    const limit = 50;
+    return this.collectPages(async (page) => {
+      const response = await this.client.get(`${this.repoPath}/pulls`, {
+        params: { state, page, limit },
+      });
+      return Array.isArray(response.data) ? response.data : [];
+    }, limit);
+  }
+
+  async getPullRequest(number) {
+    const response = await this.client.get(`${this.repoPath}/pulls/${number}`);
+    return response.data;
+  }
+
+  async getPullRequestFiles(number) {
+    const limit = 50;
+    return this.collectPages(async (page) => {
+      const response = await this.client.get(
+        `${this.repoPath}/pulls/${number}/files`,
+        { params: { page, limit } }
+      );
+      return Array.isArray(response.data) ? response.data : [];
+    }, limit);
+  }
+
+  async createPullRequest({ title, head, base, body }) {
+    const response = await this.client.post(`${this.repoPath}/pulls`, {
+      title,
+      head,
+      base,
+      body,
+    });
+    return response.data;
+  }
+
+  async mergePullRequest(number, mergeMethod) {
+    const response = await this.client.post(
+      `${this.repoPath}/pulls/${number}/merge`,
+      { Do: mergeMethod }
+    );
+    return response.data;
+  }
+
+  async closePullRequest(number) {
+    const response = await this.client.patch(
+      `${this.repoPath}/pulls/${number}`,
+      { state: "closed" }
+    );
+    return response.data;
+  }
+
+  // Pull request comments go through the issues API
+  async listPullRequestComments(number) {
+    const response = await this.client.get(
+      `${this.repoPath}/issues/${number}/comments`
+    );
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
+  async commentOnPullRequest(number, body) {
+    const response = await this.client.post(
+      `${this.repoPath}/issues/${number}/comments`,
+      { body }
+    );
+    return response.data;
+  }
+
+  async requestReviewers(number, reviewers) {
+    const response = await this.client.post(
+      `${this.repoPath}/pulls/${number}/requested_reviewers`,
+      { reviewers }
+    );
+    return response.data;
+  }
+
+  async cancelReviewRequests(number, reviewers) {
+    await this.client.delete(
+      `${this.repoPath}/pulls/${number}/requested_reviewers`,
+      { data: { reviewers } }
+    );
+  }
+
+  // CI runs report one status per job, newest first
+  async getCommitStatuses(sha) {
+    const limit = 50;
+    return this.collectPages(async (page) => {
+      const response = await this.client.get(
+        `${this.repoPath}/commits/${sha}/statuses`,
+        { params: { page, limit, sort: "recentupdate" } }
+      );
+      return Array.isArray(response.data) ? response.data : [];
+    }, limit);
+  }
+
+  async getUser(username) {
+    try {
+      const response = await this.client.get(
+        `/users/${encodeURIComponent(username)}`
+      );
+      return {
+        login: response.data.login,
+        email: response.data.email,
+        full_name: response.data.full_name,
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getBranchProtection(branch) {
+    try {
+      const response = await this.client.get(
+        `${this.repoPath}/branch_protections/${encodeURIComponent(branch)}`
+      );
+      const rule = response.data;
+      let pushAllowlist = [];
+      if (rule.enable_push) {
+        pushAllowlist = rule.enable_push_whitelist
+          ? rule.push_whitelist_usernames || []
+          : null;
+      }
+      return {
+        branch: rule.rule_name || rule.branch_name,
+        requiredChecks: rule.enable_status_check
+          ? rule.status_check_contexts || []
+          : [],
+        pushAllowlist,
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async setBranchProtection(branch, { requiredChecks, pushAllowlist }) {
+    const rule = {
+      enable_status_check: requiredChecks.length > 0,
+      status_check_contexts: requiredChecks,
+      enable_push: pushAllowlist === null || pushAllowlist.length > 0,
+      enable_push_whitelist: pushAllowlist !== null,
+      push_whitelist_usernames: pushAllowlist || [],
+    };
+
+    if (await this.getBranchProtection(branch)) {
+      await this.client.patch(
+        `${this.repoPath}/branch_protections/${encodeURIComponent(branch)}`,
+        rule
+      );
+    } else {
+      await this.client.post(`${this.repoPath}/branch_protections`, {
+        rule_name: branch,
+        branch_name: branch,
+        ...rule,
+      });
+    }
+  }
+
+  async listWebhooks() {
+    const response = await this.client.get(`${this.repoPath}/hooks`);
+    return (Array.isArray(response.data) ? response.data : []).map((hook) => ({
+      id: hook.id,
+      url: hook.config?.url,
+      contentType: hook.config?.content_type,
+      events: hook.events || [],
+      active: hook.active,
+    }));
+  }
+
+  async createWebhook({ url, secret, events }) {
+    const response = await this.client.post(`${this.repoPath}/hooks`, {
+      type: "gitea",
+      config: { url, content_type: "json", secret },
+      events,
+      active: true,
+    });
+    return { id: response.data.id };
+  }
+
+  async updateWebhook(id, { url, secret, events }) {
+    await this.client.patch(`${this.repoPath}/hooks/${id}`, {
+      config: { url, content_type: "json", secret },
+      events,
+      active: true,
+    });
+  }
+
+  // X-Gitea-Signature is the hex HMAC-SHA256 of the body
+  verifyWebhook(headers, rawBody) {
+    return this.verifyHmacSignature(headers["x-gitea-signature"], rawBody);
+  }
+
+  getDeliveryId(headers) {
+    return headers["x-gitea-delivery"] || null;
+  }
+
+  normalizeWebhook(headers, body) {
+    const event = headers["x-gitea-event"];
+    return { event: REVIEW_EVENTS[event] || event, payload: body };
+  }
+}
+
+module.exports = GiteaProvider;
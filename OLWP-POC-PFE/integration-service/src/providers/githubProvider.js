@@ -0,0 +1,556 @@
+const GitProvider = require("./gitProvider");
+
+// Check run conclusions as commit status states
+const CHECK_CONCLUSIONS = {
+  success: "success",
+  neutral: "success",
+  skipped: "success",
+  failure: "failure",
+  timed_out: "failure",
+  action_required: "failure",
+  cancelled: "error",
+  stale: "error",
+};
+
+const REVIEW_EVENTS = {
+  approved: "pull_request_review_approved",
+  changes_requested: "pull_request_review_rejected",
+  commented: "pull_request_review_comment",
+};
+
+const PULL_REQUEST_ACTIONS = { synchronize: "synchronized" };
+
+// GitHub and GitHub Enterprise Server. GIT_URL is the server's web address;
+// it is left empty for github.com.
+class GitHubProvider extends GitProvider {
+  constructor() {
+    super("github", "GitHub");
+    const apiUrl =
+      !this.baseUrl || this.baseUrl === "https://github.com"
+        ? "https://api.github.com"
+        : `${this.baseUrl}/api/v3`;
+    this.client = this.createClient(apiUrl, {
+      Authorization: `Bearer ${this.token}`,
+      Accept: "application/vnd.github+json",
+    });
+    this.repoPath = `/repos/${this.repoOwner}/${this.repoName}`;
+  }
+
+  normalizePullRequest(pullRequest) {
+    return {
+      number: pullRequest.number,
+      title: pullRequest.title,
+      body: pullRequest.body,
+      state: pullRequest.state,
+      merged: pullRequest.merged ?? Boolean(pullRequest.merged_at),
+      merged_at: pullRequest.merged_at,
+      merged_by: pullRequest.merged_by
+        ? { login: pullRequest.merged_by.login }
+        : null,
+      // GitHub fills this with a test merge while the pull request is open
+      merge_commit_sha: pullRequest.merged_at
+        ? pullRequest.merge_commit_sha
+        : null,
+      html_url: pullRequest.html_url,
+      user: { login: pullRequest.user?.login },
+      head: { ref: pullRequest.head?.ref, sha: pullRequest.head?.sha },
+      base: { ref: pullRequest.base?.ref },
+      created_at: pullRequest.created_at,
+      updated_at: pullRequest.updated_at,
+    };
+  }
+
+  normalizeRepository(repository) {
+    return repository
+      ? {
+          id: repository.id,
+          name: repository.name,
+          full_name: repository.full_name,
+        }
+      : undefined;
+  }
+
+  async getVersion() {
+    const response = await this.client.get("/meta", { timeout: 5000 });
+    return { version: response.data.installed_version || "github.com" };
+  }
+
+  async getRepository() {
+    try {
+      const response = await this.client.get(this.repoPath);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async createRepository({ description }) {
+    const response = await this.client.post(
+      this.repoOwner === this.username
+        ? "/user/repos"
+        : `/orgs/${this.repoOwner}/repos`,
+      {
+        name: this.repoName,
+        description,
+        private: false,
+        auto_init: true,
+        gitignore_template: "Node",
+        license_template: "mit",
+      }
+    );
+    return response.data;
+  }
+
+  async getBranchSha(branch) {
+    const response = await this.client.get(
+      `${this.repoPath}/branches/${branch}`
+    );
+    return response.data.commit.sha;
+  }
+
+  async listBranches() {
+    const limit = 100;
+    const branches = await this.collectPages(async (page) => {
+      const response = await this.client.get(`${this.repoPath}/branches`, {
+        params: { page, per_page: limit },
+      });
+      return response.data;
+    }, limit);
+    return branches.map((branch) => ({
+      name: branch.name,
+      // The branches API does not give the commit date
+      commit: { id: branch.commit.sha, timestamp: null },
+    }));
+  }
+
+  async createBranch(name, sha) {
+    try {
+      await this.client.post(`${this.repoPath}/git/refs`, {
+        ref: `refs/heads/${name}`,
+        sha,
+      });
+    } catch (error) {
+      if (error.response?.status === 422) {
+        throw this.conflictError(`Branch ${name} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async deleteBranch(name) {
+    await this.client.delete(`${this.repoPath}/git/refs/heads/${name}`);
+  }
+
+  async getFile(filePath, ref) {
+    try {
+      const response = await this.client.get(
+        `${this.repoPath}/contents/${filePath}`,
+        { params: { ref } }
+      );
+      if (Array.isArray(response.data) || response.data.type !== "file") {
+        return null;
+      }
+
+      return {
+        content: Buffer.from(response.data.content, "base64").toString("utf8"),
+        sha: response.data.sha,
+        size: response.data.size,
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async listDirectory(dirPath, ref) {
+    const parentPath = dirPath.split("/").slice(0, -1).join("/");
+    let directory;
+
+    try {
+      const response = await this.client.get(
+        `${this.repoPath}/contents/${parentPath}`,
+        { params: { ref } }
+      );
+      directory = (Array.isArray(response.data) ? response.data : []).find(
+        (entry) => entry.path === dirPath && entry.type === "dir"
+      );
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+
+    if (!directory) {
+      return [];
+    }
+
+    // The trees API returns up to 100,000 entries in one response
+    const response = await this.client.get(
+      `${this.repoPath}/git/trees/${directory.sha}`
+    );
+    return (response.data.tree || [])
+      .filter((entry) => entry.type === "blob")
+      .map((entry) => ({
+        path: `${dirPath}/${entry.path}`,
+        sha: entry.sha,
+        size: entry.size,
+      }));
+  }
+
+  async getBlob(sha) {
+    const response = await this.client.get(`${this.repoPath}/git/blobs/${sha}`);
+    return Buffer.from(
+      response.data.content,
+      response.data.encoding === "base64" ? "base64" : "utf8"
+    ).toString("utf8");
+  }
+
+  // Built with the Git data API: one tree and one commit on top of the
+  // branch, and the branch ref is only created or moved once the commit
+  // exists
+  async commitFiles(files, message, { branch, newBranch, author }) {
+    const baseSha = await this.getBranchSha(branch);
+    await this.assertFileShas(files, baseSha);
+
+    const baseCommit = await this.client.get(
+      `${this.repoPath}/git/commits/${baseSha}`
+    );
+    const tree = await this.client.post(`${this.repoPath}/git/trees`, {
+      base_tree: baseCommit.data.tree.sha,
+      tree: files.map((file) =>
+        file.operation === "delete"
+          ? { path: file.path, mode: "100644", type: "blob", sha: null }
+          : {
+              path: file.path,
+              mode: "100644",
+              type: "blob",
+              content: file.content,
+            }
+      ),
+    });
+    const identity = author
+      ? { ...author, date: new Date().toISOString() }
+      : undefined;
+    const commit = await this.client.post(`${this.repoPath}/git/commits`, {
+      message,
+      tree: tree.data.sha,
+      parents: [baseSha],
+      author: identity,
+      committer: identity,
+    });
+
+    if (newBranch) {
+      await this.createBranch(newBranch, commit.data.sha);
+    } else {
+      await this.client.patch(`${this.repoPath}/git/refs/heads/${branch}`, {
+        sha: commit.data.sha,
+        force: false,
+      });
+    }
+    return { sha: commit.data.sha };
+  }
+
+  async getFileCommits(filePath, { ref, page, limit }) {
+    try {
+      const response = await this.client.get(`${this.repoPath}/commits`, {
+        params: { sha: ref, path: filePath, page, per_page: limit },
+      });
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      // An empty repository or unknown ref has no history
+      if ([404, 409].includes(error.response?.status)) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async getCommitPullRequest(sha) {
+    try {
+      const response = await this.client.get(
+        `${this.repoPath}/commits/${sha}/pulls`
+      );
+      const pullRequest = (response.data || []).find(
+        (candidate) => candidate.merged_at
+      );
+      return pullRequest ? this.normalizePullRequest(pullRequest) : null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async listPullRequests({ state = "open" } = {}) {
+    const limit = 50;
+    const pullRequests = await this.collectPages(async (page) => {
+      const response = await this.client.get(`${this.repoPath}/pulls`, {
+        params: { state, page, per_page: limit },
+      });
+      return response.data;
+    }, limit);
+    return pullRequests.map((pullRequest) =>
+      this.normalizePullRequest(pullRequest)
+    );
+  }
+
+  async getPullRequest(number) {
+    const response = await this.client.get(`${this.repoPath}/pulls/${number}`);
+    return this.normalizePullRequest(response.data);
+  }
+
+  async getPullRequestFiles(number) {
+    const limit = 100;
+    const files = await this.collectPages(async (page) => {
+      const response = await this.client.get(
+        `${this.repoPath}/pulls/${number}/files`,
+        { params: { page, per_page: limit } }
+      );
+      return response.data;
+    }, limit);
+    return files.map((file) => ({
+      filename: file.filename,
+      previous_filename: file.previous_filename,
+      status: file.status === "removed" ? "deleted" : file.status,
+    }));
+  }
+
+  async createPullRequest({ title, head, base, body }) {
+    const response = await this.client.post(`${this.repoPath}/pulls`, {
+      title,
+      head,
+      base,
+      body,
+    });
+    return this.normalizePullRequest(response.data);
+  }
+
+  async mergePullRequest(number, mergeMethod) {
+    const response = await this.client.put(
+      `${this.repoPath}/pulls/${number}/merge`,
+      {
+        merge_method: ["squash", "rebase"].includes(mergeMethod)
+          ? mergeMethod
+          : "merge",
+      }
+    );
+    return response.data;
+  }
+
+  async closePullRequest(number) {
+    const response = await this.client.patch(
+      `${this.repoPath}/pulls/${number}`,
+      { state: "closed" }
+    );
+    return this.normalizePullRequest(response.data);
+  }
+
+  async listPullRequestComments(number) {
+    const limit = 100;
+    return this.collectPages(async (page) => {
+      const response = await this.client.get(
+        `${this.repoPath}/issues/${number}/comments`,
+        { params: { page, per_page: limit } }
+      );
+      return response.data;
+    }, limit);
+  }
+
+  async commentOnPullRequest(number, body) {
+    const response = await this.client.post(
+      `${this.repoPath}/issues/${number}/comments`,
+      { body }
+    );
+    return response.data;
+  }
+
+  async requestReviewers(number, reviewers) {
+    const response = await this.client.post(
+      `${this.repoPath}/pulls/${number}/requested_reviewers`,
+      { reviewers }
+    );
+    return response.data;
+  }
+
+  async cancelReviewRequests(number, reviewers) {
+    await this.client.delete(
+      `${this.repoPath}/pulls/${number}/requested_reviewers`,
+      { data: { reviewers } }
+    );
+  }
+
+  // GitHub Actions jobs report check runs rather than commit statuses, so
+  // both are read; a check run's context is its job name
+  async getCommitStatuses(sha) {
+    const [statuses, checkRuns] = await Promise.all([
+      this.client.get(`${this.repoPath}/commits/${sha}/statuses`, {
+        params: { per_page: 100 },
+      }),
+      this.client.get(`${this.repoPath}/commits/${sha}/check-runs`, {
+        params: { per_page: 100 },
+      }),
+    ]);
+
+    return [
+      ...statuses.data.map((status) => ({
+        context: status.context,
+        status: status.state,
+        description: status.description,
+        target_url: status.target_url,
+        updated_at: status.updated_at,
+      })),
+      ...(checkRuns.data.check_runs || []).map((checkRun) =>
+        this.normalizeCheckRun(checkRun)
+      ),
+    ];
+  }
+
+  normalizeCheckRun(checkRun) {
+    return {
+      context: checkRun.name,
+      status:
+        checkRun.status === "completed"
+          ? CHECK_CONCLUSIONS[checkRun.conclusion] || "error"
+          : "pending",
+      description: checkRun.output?.title || checkRun.conclusion || "",
+      target_url: checkRun.html_url || checkRun.details_url,
+      updated_at: checkRun.completed_at || checkRun.started_at,
+    };
+  }
+
+  async getUser(username) {
+    try {
+      const response = await this.client.get(
+        `/users/${encodeURIComponent(username)}`
+      );
+      return {
+        login: response.data.login,
+        email: response.data.email,
+        full_name: response.data.name,
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // X-Hub-Signature-256 is "sha256=" and the hex HMAC-SHA256 of the body
+  verifyWebhook(headers, rawBody) {
+    return this.verifyHmacSignature(
+      headers["x-hub-signature-256"],
+      rawBody,
+      "sha256="
+    );
+  }
+
+  getDeliveryId(headers) {
+    return headers["x-github-delivery"] || null;
+  }
+
+  normalizeWebhook(headers, body) {
+    const event = headers["x-github-event"];
+    const common = {
+      repository: this.normalizeRepository(body.repository),
+      sender: body.sender ? { login: body.sender.login } : undefined,
+    };
+
+    switch (event) {
+      case "pull_request":
+        return {
+          event,
+          payload: {
+            ...common,
+            action: PULL_REQUEST_ACTIONS[body.action] || body.action,
+            pull_request: this.normalizePullRequest(body.pull_request),
+          },
+        };
+
+      case "pull_request_review":
+        return {
+          event:
+            REVIEW_EVENTS[body.review?.state?.toLowerCase()] ||
+            "pull_request_review",
+          payload: {
+            ...common,
+            action: "reviewed",
+            pull_request: this.normalizePullRequest(body.pull_request),
+            review: { content: body.review?.body || "" },
+          },
+        };
+
+      case "issue_comment":
+      case "pull_request_review_comment": {
+        const number = body.issue?.number || body.pull_request?.number;
+        const isPull = Boolean(body.issue?.pull_request || body.pull_request);
+        return {
+          event:
+            event === "issue_comment"
+              ? "issue_comment"
+              : "pull_request_comment",
+          payload: {
+            ...common,
+            action: body.action,
+            is_pull: isPull,
+            issue: { number, pull_request: isPull ? {} : null },
+            comment: {
+              id: body.comment?.id,
+              body: body.comment?.body,
+              user: { login: body.comment?.user?.login },
+              html_url: body.comment?.html_url,
+            },
+          },
+        };
+      }
+
+      case "status":
+        return {
+          event,
+          payload: {
+            ...common,
+            sha: body.sha,
+            state: body.state,
+            context: body.context,
+            description: body.description,
+            target_url: body.target_url,
+          },
+        };
+
+      // Completed check runs are handled like commit statuses
+      case "check_run": {
+        const checkRun = this.normalizeCheckRun(body.check_run || {});
+        return {
+          event: "status",
+          payload: {
+            ...common,
+            sha: body.check_run?.head_sha,
+            state: checkRun.status,
+            context: checkRun.context,
+            description: checkRun.description,
+            target_url: checkRun.target_url,
+          },
+        };
+      }
+
+      case "repository":
+        return { event, payload: { ...common, action: body.action } };
+
+      // Other events are not acted on; their repository is left out so an
+      // action such as "deleted" is not taken for the repository's
+      default:
+        return {
+          event,
+          payload: { action: body.action, sender: common.sender },
+        };
+    }
+  }
+}
+
+module.exports = GitHubProvider;
@@ -0,0 +1,580 @@
+const GitProvider = require("./gitProvider");
+
+// GitLab job and pipeline statuses as commit status states
+const PIPELINE_STATUSES = {
+  success: "success",
+  failed: "failure",
+  canceled: "error",
+  skipped: "error",
+};
+
+// Merge request hook actions in Gitea's terms; "update" only counts as a
+// push when it carries the previous head
+const MERGE_REQUEST_ACTIONS = {
+  open: "opened",
+  reopen: "reopened",
+  close: "closed",
+  merge: "closed",
+};
+
+// GitLab, self-managed or gitlab.com. Merge requests are addressed by their
+// iid, which plays the pull request number.
+class GitLabProvider extends GitProvider {
+  constructor() {
+    super("gitlab", "GitLab");
+    this.baseUrl = this.baseUrl || "https://gitlab.com";
+    this.client = this.createClient(`${this.baseUrl}/api/v4`, {
+      "PRIVATE-TOKEN": this.token,
+    });
+    this.projectPath = `/projects/${encodeURIComponent(
+      `${this.repoOwner}/${this.repoName}`
+    )}`;
+  }
+
+  normalizeStatus(status) {
+    return PIPELINE_STATUSES[status] || "pending";
+  }
+
+  normalizeMergeRequest(mergeRequest) {
+    return {
+      number: mergeRequest.iid,
+      title: mergeRequest.title,
+      body: mergeRequest.description,
+      state: mergeRequest.state === "opened" ? "open" : "closed",
+      merged: mergeRequest.state === "merged",
+      merged_at: mergeRequest.merged_at || null,
+      merged_by: mergeRequest.merged_by
+        ? { login: mergeRequest.merged_by.username }
+        : null,
+      merge_commit_sha:
+        mergeRequest.merge_commit_sha || mergeRequest.squash_commit_sha || null,
+      html_url: mergeRequest.web_url,
+      user: { login: mergeRequest.author?.username },
+      head: { ref: mergeRequest.source_branch, sha: mergeRequest.sha },
+      base: { ref: mergeRequest.target_branch },
+      created_at: mergeRequest.created_at,
+      updated_at: mergeRequest.updated_at,
+    };
+  }
+
+  normalizeNote(note, number) {
+    return {
+      id: note.id,
+      body: note.body,
+      user: { login: note.author?.username },
+      html_url: `${this.baseUrl}/${this.repoOwner}/${this.repoName}/-/merge_requests/${number}#note_${note.id}`,
+      created_at: note.created_at,
+    };
+  }
+
+  async getVersion() {
+    const response = await this.client.get("/version", { timeout: 5000 });
+    return { version: response.data.version };
+  }
+
+  async getRepository() {
+    try {
+      const response = await this.client.get(this.projectPath);
+      return {
+        name: response.data.path,
+        description: response.data.description,
+        size: response.data.statistics?.repository_size,
+        created_at: response.data.created_at,
+        updated_at: response.data.last_activity_at,
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async createRepository({ description }) {
+    let namespaceId;
+    if (this.repoOwner !== this.username) {
+      const namespace = await this.client.get(
+        `/namespaces/${encodeURIComponent(this.repoOwner)}`
+      );
+      namespaceId = namespace.data.id;
+    }
+
+    const response = await this.client.post("/projects", {
+      name: this.repoName,
+      path: this.repoName,
+      namespace_id: namespaceId,
+      description,
+      visibility: "public",
+      initialize_with_readme: true,
+      default_branch: "main",
+    });
+    return response.data;
+  }
+
+  async getBranchSha(branch) {
+    const response = await this.client.get(
+      `${this.projectPath}/repository/branches/${encodeURIComponent(branch)}`
+    );
+    return response.data.commit.id;
+  }
+
+  async listBranches() {
+    const limit = 100;
+    const branches = await this.collectPages(async (page) => {
+      const response = await this.client.get(
+        `${this.projectPath}/repository/branches`,
+        { params: { page, per_page: limit } }
+      );
+      return response.data;
+    }, limit);
+    return branches.map((branch) => ({
+      name: branch.name,
+      commit: { id: branch.commit.id, timestamp: branch.commit.committed_date },
+    }));
+  }
+
+  async createBranch(name, sha) {
+    try {
+      await this.client.post(`${this.projectPath}/repository/branches`, {
+        branch: name,
+        ref: sha,
+      });
+    } catch (error) {
+      if (
+        error.response?.status === 400 &&
+        /already exists/i.test(error.response.data?.message || "")
+      ) {
+        throw this.conflictError(`Branch ${name} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async deleteBranch(name) {
+    await this.client.delete(
+      `${this.projectPath}/repository/branches/${encodeURIComponent(name)}`
+    );
+  }
+
+  async getFile(filePath, ref) {
+    try {
+      const response = await this.client.get(
+        `${this.projectPath}/repository/files/${encodeURIComponent(filePath)}`,
+        { params: { ref } }
+      );
+      return {
+        content: Buffer.from(response.data.content, "base64").toString("utf8"),
+        sha: response.data.blob_id,
+        size: response.data.size,
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async listDirectory(dirPath, ref) {
+    const limit = 100;
+    try {
+      const entries = await this.collectPages(async (page) => {
+        const response = await this.client.get(
+          `${this.projectPath}/repository/tree`,
+          { params: { path: dirPath, ref, page, per_page: limit } }
+        );
+        return response.data;
+      }, limit);
+
+      return entries
+        .filter((entry) => entry.type === "blob")
+        .map((entry) => ({ path: entry.path, sha: entry.id }));
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async getBlob(sha) {
+    const response = await this.client.get(
+      `${this.projectPath}/repository/blobs/${sha}`
+    );
+    return Buffer.from(
+      response.data.content,
+      response.data.encoding === "base64" ? "base64" : "utf8"
+    ).toString("utf8");
+  }
+
+  // The commits API applies every action in one commit and only creates
+  // newBranch when it succeeds. GitLab always records the token owner as
+  // committer, so only the author can be the submitter.
+  async commitFiles(files, message, { branch, newBranch, author }) {
+    await this.assertFileShas(files, branch);
+
+    const response = await this.client.post(
+      `${this.projectPath}/repository/commits`,
+      {
+        branch: newBranch || branch,
+        start_branch: newBranch ? branch : undefined,
+        commit_message: message,
+        author_name: author?.name,
+        author_email: author?.email,
+        actions: files.map((file) => ({
+          action: file.operation,
+          file_path: file.path,
+          content:
+            file.content === undefined
+              ? undefined
+              : Buffer.from(file.content).toString("base64"),
+          encoding: file.content === undefined ? undefined : "base64",
+        })),
+      }
+    );
+    return { sha: response.data.id };
+  }
+
+  async getFileCommits(filePath, { ref, page, limit }) {
+    try {
+      const response = await this.client.get(
+        `${this.projectPath}/repository/commits`,
+        { params: { ref_name: ref, path: filePath, page, per_page: limit } }
+      );
+      return (response.data || []).map((commit) => ({
+        sha: commit.id,
+        commit: {
+          message: commit.message,
+          author: {
+            name: commit.author_name,
+            email: commit.author_email,
+            date: commit.authored_date,
+          },
+        },
+        author: null,
+        created: commit.created_at,
+      }));
+    } catch (error) {
+      // An empty repository or unknown ref has no history
+      if (error.response?.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async getCommitPullRequest(sha) {
+    try {
+      const response = await this.client.get(
+        `${this.projectPath}/repository/commits/${sha}/merge_requests`
+      );
+      const mergeRequest = (response.data || []).find(
+        (candidate) => candidate.state === "merged"
+      );
+      return mergeRequest ? this.normalizeMergeRequest(mergeRequest) : null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async listPullRequests({ state = "open" } = {}) {
+    const limit = 50;
+    const mergeRequests = await this.collectPages(async (page) => {
+      const response = await this.client.get(
+        `${this.projectPath}/merge_requests`,
+        {
+          params: {
+            state: { open: "opened", closed: "closed" }[state] || "all",
+            page,
+            per_page: limit,
+          },
+        }
+      );
+      return response.data;
+    }, limit);
+    return mergeRequests.map((mergeRequest) =>
+      this.normalizeMergeRequest(mergeRequest)
+    );
+  }
+
+  async getPullRequest(number) {
+    const response = await this.client.get(
+      `${this.projectPath}/merge_requests/${number}`
+    );
+    return this.normalizeMergeRequest(response.data);
+  }
+
+  async getPullRequestFiles(number) {
+    const limit = 100;
+    const diffs = await this.collectPages(async (page) => {
+      const response = await this.client.get(
+        `${this.projectPath}/merge_requests/${number}/diffs`,
+        { params: { page, per_page: limit } }
+      );
+      return response.data;
+    }, limit);
+
+    return diffs.map((diff) => ({
+      filename: diff.new_path,
+      previous_filename: diff.renamed_file ? diff.old_path : undefined,
+      status: diff.new_file
+        ? "added"
+        : diff.deleted_file
+        ? "deleted"
+        : diff.renamed_file
+        ? "renamed"
+        : "modified",
+    }));
+  }
+
+  async createPullRequest({ title, head, base, body }) {
+    const response = await this.client.post(
+      `${this.projectPath}/merge_requests`,
+      {
+        title,
+        source_branch: head,
+        target_branch: base,
+        description: body,
+      }
+    );
+    return this.normalizeMergeRequest(response.data);
+  }
+
+  async mergePullRequest(number, mergeMethod) {
+    const response = await this.client.put(
+      `${this.projectPath}/merge_requests/${number}/merge`,
+      { squash: mergeMethod === "squash" }
+    );
+    return response.data;
+  }
+
+  async closePullRequest(number) {
+    const response = await this.client.put(
+      `${this.projectPath}/merge_requests/${number}`,
+      { state_event: "close" }
+    );
+    return this.normalizeMergeRequest(response.data);
+  }
+
+  // System notes (label changes, pushes...) are not comments
+  async listPullRequestComments(number) {
+    const limit = 100;
+    const notes = await this.collectPages(async (page) => {
+      const response = await this.client.get(
+        `${this.projectPath}/merge_requests/${number}/notes`,
+        {
+          params: {
+            sort: "asc",
+            order_by: "created_at",
+            page,
+            per_page: limit,
+          },
+        }
+      );
+      return response.data;
+    }, limit);
+    return notes
+      .filter((note) => !note.system)
+      .map((note) => this.normalizeNote(note, number));
+  }
+
+  async commentOnPullRequest(number, body) {
+    const response = await this.client.post(
+      `${this.projectPath}/merge_requests/${number}/notes`,
+      { body }
+    );
+    return this.normalizeNote(response.data, number);
+  }
+
+  // Reviewers are set by user id on the merge request itself
+  async getUserIds(usernames) {
+    const ids = [];
+    for (const username of usernames) {
+      const response = await this.client.get("/users", {
+        params: { username },
+      });
+      if (response.data[0]) {
+        ids.push(response.data[0].id);
+      }
+    }
+    return ids;
+  }
+
+  async requestReviewers(number, reviewers) {
+    const mergeRequest = await this.client.get(
+      `${this.projectPath}/merge_requests/${number}`
+    );
+    const reviewerIds = new Set([
+      ...(mergeRequest.data.reviewers || []).map((reviewer) => reviewer.id),
+      ...(await this.getUserIds(reviewers)),
+    ]);
+    const response = await this.client.put(
+      `${this.projectPath}/merge_requests/${number}`,
+      { reviewer_ids: [...reviewerIds] }
+    );
+    return response.data;
+  }
+
+  async cancelReviewRequests(number, reviewers) {
+    const mergeRequest = await this.client.get(
+      `${this.projectPath}/merge_requests/${number}`
+    );
+    await this.client.put(`${this.projectPath}/merge_requests/${number}`, {
+      reviewer_ids: (mergeRequest.data.reviewers || [])
+        .filter((reviewer) => !reviewers.includes(reviewer.username))
+        .map((reviewer) => reviewer.id),
+    });
+  }
+
+  // CI jobs report one status per job, named after the job
+  async getCommitStatuses(sha) {
+    const limit = 100;
+    const statuses = await this.collectPages(async (page) => {
+      const response = await this.client.get(
+        `${this.projectPath}/repository/commits/${sha}/statuses`,
+        { params: { all: true, page, per_page: limit } }
+      );
+      return response.data;
+    }, limit);
+
+    return statuses.map((status) => ({
+      context: status.name,
+      status: this.normalizeStatus(status.status),
+      description: status.description || status.status,
+      target_url: status.target_url,
+      updated_at: status.finished_at || status.started_at || status.created_at,
+    }));
+  }
+
+  async getUser(username) {
+    const response = await this.client.get("/users", { params: { username } });
+    const user = response.data[0];
+    return user
+      ? {
+          login: user.username,
+          email: user.email || user.public_email,
+          full_name: user.name,
+        }
+      : null;
+  }
+
+  // X-Gitlab-Token carries the webhook's secret token as is
+  verifyWebhook(headers) {
+    return this.verifySecretToken(headers["x-gitlab-token"]);
+  }
+
+  // Idempotency-Key stays the same when GitLab retries a delivery; older
+  // versions only send the event UUID
+  getDeliveryId(headers) {
+    return headers["idempotency-key"] || headers["x-gitlab-event-uuid"] || null;
+  }
+
+  normalizeWebhook(headers, body) {
+    const event = headers["x-gitlab-event"];
+    const attributes = body.object_attributes || {};
+    const common = {
+      repository: body.project
+        ? {
+            id: body.project.id,
+            name: body.project.path || body.project.name,
+            full_name: body.project.path_with_namespace,
+          }
+        : undefined,
+      sender: body.user ? { login: body.user.username } : undefined,
+    };
+
+    switch (event) {
+      case "Merge Request Hook": {
+        const merged = attributes.action === "merge";
+        const pullRequest = {
+          ...this.normalizeMergeRequest({
+            ...attributes,
+            web_url: attributes.url,
+            sha: attributes.last_commit?.id,
+            author: attributes.action === "open" ? body.user : undefined,
+          }),
+          merged,
+          merged_by: merged ? common.sender : null,
+          merged_at: merged ? attributes.updated_at : null,
+        };
+
+        // Approvals are the only review GitLab reports
+        if (attributes.action === "approved") {
+          return {
+            event: "pull_request_review_approved",
+            payload: {
+              ...common,
+              action: "reviewed",
+              pull_request: pullRequest,
+              review: { content: "" },
+            },
+          };
+        }
+
+        return {
+          event: "pull_request",
+          payload: {
+            ...common,
+            action:
+              attributes.action === "update" && attributes.oldrev
+                ? "synchronized"
+                : MERGE_REQUEST_ACTIONS[attributes.action] || attributes.action,
+            pull_request: pullRequest,
+          },
+        };
+      }
+
+      case "Note Hook": {
+        const isPull = attributes.noteable_type === "MergeRequest";
+        return {
+          event: "issue_comment",
+          payload: {
+            ...common,
+            action: "created",
+            is_pull: isPull,
+            issue: {
+              number: isPull ? body.merge_request?.iid : body.issue?.iid,
+              pull_request: isPull ? {} : null,
+            },
+            comment: {
+              id: attributes.id,
+              body: attributes.note,
+              user: { login: body.user?.username },
+              html_url: attributes.url,
+            },
+          },
+        };
+      }
+
+      // Pipelines are handled like commit statuses; the job statuses are
+      // read back for the validation report
+      case "Pipeline Hook":
+        return {
+          event: "status",
+          payload: {
+            ...common,
+            sha: attributes.sha,
+            state: this.normalizeStatus(attributes.status),
+            context: attributes.name || "pipeline",
+            description: attributes.detailed_status || attributes.status,
+            target_url: body.project
+              ? `${body.project.web_url}/-/pipelines/${attributes.id}`
+              : undefined,
+          },
+        };
+
+      // Other events are not acted on; their project is left out so an
+      // action such as "deleted" is not taken for the repository's
+      default:
+        return {
+          event,
+          payload: { action: attributes.action, sender: common.sender },
+        };
+    }
+  }
+}
+
+module.exports = GitLabProvider;
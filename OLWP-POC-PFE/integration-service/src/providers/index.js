@@ -0,0 +1,27 @@
+const GiteaProvider = require("./giteaProvider");
+const GitHubProvider = require("./githubProvider");
+const GitLabProvider = require("./gitlabProvider");
+
+const GIT_PROVIDERS = {
+  gitea: GiteaProvider,
+  github: GitHubProvider,
+  gitlab: GitLabProvider,
+};
+
+// The adapter named by GIT_PROVIDER, Gitea by default
+const createGitProvider = (name = process.env.GIT_PROVIDER || "gitea") => {
+  const Provider = GIT_PROVIDERS[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(
+      `Unknown git provider ${name}, expected one of ${Object.keys(
+        GIT_PROVIDERS
+      ).join(", ")}`
+    );
+  }
+  return new Provider();
+};
+
+module.exports = {
+  GIT_PROVIDERS,
+  createGitProvider,
+};
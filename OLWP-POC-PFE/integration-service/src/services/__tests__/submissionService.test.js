@@ -0,0 +1,303 @@
+jest.mock("../../utils/logger");
+jest.mock("../openSearchService");
+jest.mock("../giteaService");
+
+const SubmissionService = require("../submissionService");
+
+// The submissions index in memory, with the sequence numbers OpenSearch
+// checks conditional writes against. A write queued with writeMeanwhile
+// lands between the service reading a submission and saving it, like a
+// webhook processed at the same time.
+const createClient = () => {
+  const docs = new Map();
+  const meanwhile = [];
+  let seqNo = 0;
+
+  const conflict = () =>
+    Object.assign(new Error("version_conflict_engine_exception"), {
+      meta: { statusCode: 409 },
+    });
+  const save = (id, source) => {
+    docs.set(id, { source: structuredClone(source), seqNo: ++seqNo });
+  };
+
+  return {
+    docs,
+    save,
+    writeMeanwhile: (change) => meanwhile.push(change),
+    get: jest.fn(async ({ id }) => {
+      const doc = docs.get(id);
+      if (!doc) {
+        throw Object.assign(new Error("Not Found"), {
+          meta: { statusCode: 404 },
+        });
+      }
+      return {
+        body: {
+          _source: structuredClone(doc.source),
+          _seq_no: doc.seqNo,
+          _primary_term: 1,
+        },
+      };
+    }),
+    index: jest.fn(async (params) => {
+      const change = meanwhile.shift();
+      if (change && docs.has(params.id)) {
+        const doc = docs.get(params.id);
+        save(params.id, change(structuredClone(doc.source)));
+      }
+
+      const doc = docs.get(params.id);
+      if (
+        (params.op_type === "create" && doc) ||
+        (params.if_seq_no !== undefined && doc?.seqNo !== params.if_seq_no)
+      ) {
+        throw conflict();
+      }
+      save(params.id, params.body);
+      return { body: { _seq_no: seqNo, _primary_term: 1 } };
+    }),
+    search: jest.fn(async ({ body }) => {
+      const [[field, value]] = Object.entries(body.query.term);
+      const hits = [...docs.values()]
+        .filter((doc) => doc.source[field] === value)
+        .map((doc) => ({ _source: structuredClone(doc.source) }));
+      return { body: { hits: { hits } } };
+    }),
+  };
+};
+
+const submission = (state) => ({
+  submissionId: "s-1",
+  pullRequestNumber: 7,
+  headSha: "abc123",
+  contactIds: ["c-1"],
+  state,
+  transitions: [],
+  activity: [],
+});
+
+describe("SubmissionService", () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    service = new SubmissionService();
+    client = createClient();
+    service.openSearchService.client = client;
+    service.submissionsIndex = "submissions";
+  });
+
+  const stored = () => client.docs.get("s-1").source;
+
+  describe("transitions", () => {
+    it("records a move with who made it and why", () => {
+      const current = submission("in_review");
+
+      expect(
+        service.transition(current, "approved", "data-steward-1", "LGTM")
+      ).toBe(true);
+      expect(current.state).toBe("approved");
+      expect(current.transitions).toEqual([
+        expect.objectContaining({
+          from: "in_review",
+          to: "approved",
+          actor: "data-steward-1",
+          reason: "LGTM",
+        }),
+      ]);
+    });
+
+    it.each([
+      ["validating", "approved"],
+      ["merged", "approved"],
+      ["merged", "in_review"],
+      ["sync_failed", "merged"],
+      ["synced", "sync_failed"],
+      ["rejected", "in_review"],
+      ["abandoned", "merged"],
+    ])("ignores a webhook moving %s to %s", (from, to) => {
+      const current = submission(from);
+
+      expect(service.transition(current, to, "ci")).toBe(false);
+      expect(current).toEqual(submission(from));
+    });
+
+    it.each([
+      ["merged", "approved"],
+      ["rejected", "approved"],
+      ["validating", "approved"],
+      ["synced", "abandoned"],
+    ])("refuses a user moving %s to %s", (from, to) => {
+      const current = submission(from);
+
+      expect(() =>
+        service.requireTransition(current, to, "data-steward-1")
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 409,
+          message: `Submission s-1 is ${from} and cannot move to ${to}`,
+        })
+      );
+      expect(current.transitions).toEqual([]);
+    });
+
+    it("lets a user confirm the state a submission is already in", () => {
+      const current = submission("approved");
+
+      expect(
+        service.requireTransition(current, "approved", "data-steward-2")
+      ).toBe(false);
+    });
+  });
+
+  describe("updateSubmission", () => {
+    beforeEach(() => {
+      client.save("s-1", submission("in_review"));
+    });
+
+    it("saves the change at the version it read", async () => {
+      const updated = await service.updateSubmission("s-1", (current) => {
+        current.skipMoqui = true;
+      });
+
+      expect(updated.skipMoqui).toBe(true);
+      expect(stored().skipMoqui).toBe(true);
+      expect(client.index).toHaveBeenCalledWith(
+        expect.objectContaining({ if_seq_no: 1, if_primary_term: 1 })
+      );
+    });
+
+    it("applies the change again to a submission saved meanwhile", async () => {
+      client.writeMeanwhile((current) => ({
+        ...current,
+        activity: [{ type: "review_comment", actor: "data-steward-2" }],
+      }));
+      const apply = jest.fn((current) => {
+        current.skipMoqui = true;
+      });
+
+      await service.updateSubmission("s-1", apply);
+
+      expect(apply).toHaveBeenCalledTimes(2);
+      expect(client.index).toHaveBeenCalledTimes(2);
+      expect(stored()).toMatchObject({
+        skipMoqui: true,
+        activity: [{ type: "review_comment", actor: "data-steward-2" }],
+      });
+    });
+
+    it("gives up after five conflicting writes", async () => {
+      for (let write = 0; write < 5; write++) {
+        client.writeMeanwhile((current) => ({
+          ...current,
+          updatedAt: `write-${write}`,
+        }));
+      }
+
+      await expect(
+        service.updateSubmission("s-1", (current) => {
+          current.skipMoqui = true;
+        })
+      ).rejects.toMatchObject({ meta: { statusCode: 409 } });
+      expect(client.index).toHaveBeenCalledTimes(5);
+      expect(stored()).toMatchObject({ updatedAt: "write-4" });
+      expect(stored().skipMoqui).toBeUndefined();
+    });
+
+    it("does not retry other errors", async () => {
+      client.index.mockRejectedValueOnce(
+        Object.assign(new Error("cluster_block_exception"), {
+          meta: { statusCode: 403 },
+        })
+      );
+
+      await expect(
+        service.updateSubmission("s-1", (current) => {
+          current.skipMoqui = true;
+        })
+      ).rejects.toThrow("cluster_block_exception");
+      expect(client.index).toHaveBeenCalledTimes(1);
+    });
+
+    it("writes nothing when the change is refused", async () => {
+      const updated = await service.updateSubmission("s-1", () => false);
+
+      expect(updated.state).toBe("in_review");
+      expect(client.index).not.toHaveBeenCalled();
+    });
+
+    it("returns null for an unknown submission", async () => {
+      expect(await service.updateSubmission("s-404", jest.fn())).toBeNull();
+    });
+  });
+
+  describe("re-validation against the saved state", () => {
+    beforeEach(() => {
+      client.save("s-1", submission("in_review"));
+    });
+
+    it("approves a submission reviewed meanwhile", async () => {
+      client.writeMeanwhile((current) => ({
+        ...current,
+        activity: [{ type: "review_comment", actor: "data-steward-2" }],
+      }));
+
+      const approved = await service.approveSync(
+        submission("in_review"),
+        "data-steward-1"
+      );
+
+      expect(approved.state).toBe("approved");
+      expect(stored().activity.map((entry) => entry.type)).toEqual([
+        "review_comment",
+        "review_approved",
+      ]);
+    });
+
+    it("refuses /approve-sync on a submission merged meanwhile", async () => {
+      client.writeMeanwhile((current) => {
+        service.transition(current, "merged", "data-steward-2");
+        return current;
+      });
+
+      await expect(
+        service.approveSync(submission("in_review"), "data-steward-1")
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: "Submission s-1 is merged and cannot move to approved",
+      });
+      expect(stored()).toMatchObject({ state: "merged", activity: [] });
+      expect(client.index).toHaveBeenCalledTimes(1);
+    });
+
+    it("ignores a rejection recorded after the merge it raced", async () => {
+      client.writeMeanwhile((current) => {
+        service.transition(current, "merged", "data-steward-2");
+        return current;
+      });
+
+      const rejected = await service.recordRejection(
+        { number: 7 },
+        "data-steward-1"
+      );
+
+      expect(rejected.state).toBe("merged");
+      expect(stored().transitions.map((entry) => entry.to)).toEqual(["merged"]);
+    });
+
+    it("creates a submission recorded meanwhile by updating it", async () => {
+      const apply = jest.fn((current) => {
+        current.headSha = "def456";
+      });
+
+      const created = await service.createSubmission(
+        { ...submission(null), state: undefined },
+        apply
+      );
+
+      expect(apply).toHaveBeenCalledTimes(2);
+      expect(created).toMatchObject({ state: "in_review", headSha: "def456" });
+    });
+  });
+});
@@ -0,0 +1,322 @@
+jest.mock("../../utils/logger");
+jest.mock("../openSearchService");
+jest.mock("../moquiService");
+jest.mock("../notificationService");
+jest.mock("../submissionService");
+
+const SyncQueueService = require("../syncQueueService");
+
+// The queue index in memory, with the sequence numbers OpenSearch checks
+// conditional writes against
+const createClient = () => {
+  const docs = new Map();
+  let seqNo = 0;
+
+  const conflict = () =>
+    Object.assign(new Error("version_conflict_engine_exception"), {
+      meta: { statusCode: 409 },
+    });
+  const checkVersion = (doc, params) => {
+    if (
+      params.if_seq_no !== undefined &&
+      (!doc || doc.seqNo !== params.if_seq_no)
+    ) {
+      throw conflict();
+    }
+  };
+
+  return {
+    docs,
+    get: jest.fn(async ({ id }) => {
+      const doc = docs.get(id);
+      if (!doc) {
+        throw Object.assign(new Error("Not Found"), {
+          meta: { statusCode: 404 },
+          body: { found: false },
+        });
+      }
+      return {
+        body: {
+          _source: structuredClone(doc.source),
+          _seq_no: doc.seqNo,
+          _primary_term: 1,
+        },
+      };
+    }),
+    index: jest.fn(async (params) => {
+      const doc = docs.get(params.id);
+      if (params.op_type === "create" && doc) {
+        throw conflict();
+      }
+      checkVersion(doc, params);
+      docs.set(params.id, {
+        source: structuredClone(params.body),
+        seqNo: ++seqNo,
+      });
+      return { body: { _seq_no: seqNo, _primary_term: 1 } };
+    }),
+    update: jest.fn(async (params) => {
+      const doc = docs.get(params.id);
+      checkVersion(doc, params);
+      doc.source = { ...doc.source, ...params.body.doc };
+      doc.seqNo = ++seqNo;
+      return { body: { _seq_no: seqNo, _primary_term: 1 } };
+    }),
+  };
+};
+
+// A Moqui call that answers when the test says so
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+const contact = (fullName) => ({ contactId: "c-1", fullName });
+
+describe("SyncQueueService", () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    service = new SyncQueueService();
+    client = createClient();
+    service.openSearchService.client = client;
+    service.queueIndex = "sync-queue";
+    service.maxAttempts = 3;
+    service.baseDelayMs = 1000;
+    service.maxDelayMs = 1500;
+    service.openSearchService.getContactById.mockResolvedValue({
+      contactId: "c-1",
+    });
+  });
+
+  const job = () => client.docs.get("c-1").source;
+  const contactUpdates = () =>
+    service.openSearchService.updateContact.mock.calls.map(([, doc]) => doc);
+  const notificationTypes = () =>
+    service.notificationService.sendNotification.mock.calls.map(
+      ([notification]) => notification.type
+    );
+
+  describe("claim and lock", () => {
+    it("runs a queued job once when two attempts claim it together", async () => {
+      service.moquiService.createContact.mockResolvedValue({
+        success: true,
+        moquiId: "P-1",
+      });
+      await service.enqueue({ contactId: "c-1", contactData: contact("A") });
+
+      const results = await Promise.all([
+        service.runJob("c-1"),
+        service.runJob("c-1"),
+      ]);
+
+      expect(service.moquiService.createContact).toHaveBeenCalledTimes(1);
+      expect(results.filter((result) => result.skipped)).toHaveLength(1);
+      expect(job()).toMatchObject({
+        status: "synced",
+        moquiId: "P-1",
+        lockedUntil: null,
+      });
+    });
+
+    it("skips a job locked by a running attempt", async () => {
+      const moqui = deferred();
+      service.moquiService.createContact.mockReturnValue(moqui.promise);
+      await service.enqueue({ contactId: "c-1", contactData: contact("A") });
+
+      const running = service.runJob("c-1");
+      await new Promise(setImmediate);
+
+      expect(await service.runJob("c-1")).toMatchObject({ skipped: true });
+      moqui.resolve({ success: true, moquiId: "P-1" });
+      expect(await running).toMatchObject({ success: true, status: "synced" });
+    });
+
+    it("takes over a job whose lock expired", async () => {
+      service.moquiService.createContact.mockResolvedValue({
+        success: true,
+        moquiId: "P-1",
+      });
+      await service.enqueue({ contactId: "c-1", contactData: contact("A") });
+      client.docs.get("c-1").source.lockedUntil = new Date(
+        Date.now() - 1000
+      ).toISOString();
+
+      expect(await service.runJob("c-1")).toMatchObject({ success: true });
+    });
+
+    it("does not run a job that is already synced", async () => {
+      service.moquiService.createContact.mockResolvedValue({
+        success: true,
+        moquiId: "P-1",
+      });
+      await service.enqueue({ contactId: "c-1", contactData: contact("A") });
+      await service.runJob("c-1");
+
+      expect(await service.runJob("c-1")).toMatchObject({ skipped: true });
+      expect(service.moquiService.createContact).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("backoff", () => {
+    beforeEach(() => {
+      service.moquiService.createContact.mockResolvedValue({
+        success: false,
+        error: "Moqui is down",
+      });
+    });
+
+    it("doubles the delay up to the maximum, then gives up", async () => {
+      await service.enqueue({ contactId: "c-1", contactData: contact("A") });
+      const delays = [];
+
+      for (let attempt = 1; attempt < service.maxAttempts; attempt++) {
+        const startedAt = Date.now();
+        const result = await service.runJob("c-1");
+        expect(result).toMatchObject({ status: "retrying", attempts: attempt });
+        delays.push(new Date(result.nextAttemptAt).getTime() - startedAt);
+      }
+      const last = await service.runJob("c-1");
+
+      expect(delays[0]).toBeGreaterThanOrEqual(1000);
+      expect(delays[0]).toBeLessThan(1500);
+      expect(delays[1]).toBeGreaterThanOrEqual(1500);
+      expect(delays[1]).toBeLessThan(2000);
+      expect(last).toMatchObject({
+        status: "dead",
+        attempts: 3,
+        nextAttemptAt: null,
+        error: "Moqui is down",
+      });
+      expect(job()).toMatchObject({ status: "dead", lockedUntil: null });
+    });
+
+    it("reports the contact and notifies only once the job is dead", async () => {
+      await service.enqueue({ contactId: "c-1", contactData: contact("A") });
+
+      await service.runJob("c-1");
+      expect(notificationTypes()).toEqual([]);
+      await service.runJob("c-1");
+      await service.runJob("c-1");
+
+      expect(notificationTypes()).toEqual(["sync_failed"]);
+      expect(contactUpdates().map((doc) => doc.syncStatus)).toEqual([
+        "pending",
+        "retrying",
+        "retrying",
+        "dead",
+      ]);
+    });
+
+    it("starts over when a dead job is retried", async () => {
+      await service.enqueue({ contactId: "c-1", contactData: contact("A") });
+      for (let attempt = 0; attempt < service.maxAttempts; attempt++) {
+        await service.runJob("c-1");
+      }
+      service.moquiService.createContact.mockResolvedValue({
+        success: true,
+        moquiId: "P-1",
+      });
+
+      expect(await service.retryJob("c-1")).toMatchObject({
+        status: "synced",
+        attempts: 1,
+      });
+    });
+  });
+
+  describe("queued again during an attempt", () => {
+    let moqui;
+    let running;
+
+    beforeEach(async () => {
+      moqui = deferred();
+      service.moquiService.createContact.mockReturnValueOnce(moqui.promise);
+      await service.enqueue({
+        contactId: "c-1",
+        contactData: contact("A"),
+        pullRequestNumber: 7,
+      });
+      running = service.runJob("c-1");
+      await new Promise(setImmediate);
+
+      await service.enqueue({
+        contactId: "c-1",
+        contactData: contact("B"),
+        pullRequestNumber: 8,
+      });
+      service.openSearchService.updateContact.mockClear();
+    });
+
+    it("keeps the running attempt's lock on the newer job", async () => {
+      expect(job()).toMatchObject({ status: "pending", payload: contact("B") });
+      expect(await service.runJob("c-1")).toMatchObject({ skipped: true });
+
+      moqui.resolve({ success: true, moquiId: "P-1" });
+      await running;
+    });
+
+    it("leaves the newer job to run once the attempt ends", async () => {
+      moqui.resolve({ success: true, moquiId: "P-1" });
+
+      expect(await running).toMatchObject({ superseded: true });
+      expect(job()).toMatchObject({
+        status: "pending",
+        attempts: 0,
+        lockedUntil: null,
+        payload: contact("B"),
+      });
+    });
+
+    it("only links the Moqui party created by the superseded attempt", async () => {
+      moqui.resolve({ success: true, moquiId: "P-1" });
+      await running;
+
+      expect(contactUpdates()).toEqual([{ moquiId: "P-1" }]);
+      expect(notificationTypes()).toEqual([]);
+      expect(
+        service.submissionService.recordContactSync
+      ).not.toHaveBeenCalled();
+    });
+
+    it("reports nothing for a superseded attempt that failed", async () => {
+      moqui.resolve({ success: false, error: "Moqui is down" });
+
+      expect(await running).toMatchObject({
+        success: false,
+        superseded: true,
+      });
+      expect(contactUpdates()).toEqual([]);
+      expect(job()).toMatchObject({ status: "pending", lastError: null });
+    });
+
+    it("syncs the newer change on the next attempt", async () => {
+      moqui.resolve({ success: true, moquiId: "P-1" });
+      await running;
+      service.openSearchService.getContactById.mockResolvedValue({
+        contactId: "c-1",
+        moquiId: "P-1",
+      });
+      service.moquiService.updateContact.mockResolvedValue({
+        success: true,
+        moquiId: "P-1",
+      });
+
+      expect(await service.runJob("c-1")).toMatchObject({ status: "synced" });
+      expect(service.moquiService.updateContact).toHaveBeenCalledWith(
+        "P-1",
+        contact("B")
+      );
+      expect(service.submissionService.recordContactSync).toHaveBeenCalledWith(
+        8,
+        "c-1",
+        "synced",
+        null
+      );
+    });
+  });
+});
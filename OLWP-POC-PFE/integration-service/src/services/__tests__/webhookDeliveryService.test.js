@@ -0,0 +1,290 @@
+jest.mock("../openSearchService");
+
+const WebhookDeliveryService = require("../webhookDeliveryService");
+
+// The delivery log in memory, with the sequence numbers OpenSearch checks
+// conditional writes against and the term filters the log searches with
+const createClient = () => {
+  const docs = new Map();
+  let seqNo = 0;
+
+  const conflict = () =>
+    Object.assign(new Error("version_conflict_engine_exception"), {
+      meta: { statusCode: 409 },
+    });
+  const matches = (source, clause) =>
+    Object.entries(clause.term).every(([field, value]) =>
+      [].concat(value).includes(source[field])
+    );
+
+  return {
+    docs,
+    get: jest.fn(async ({ id }) => {
+      const doc = docs.get(id);
+      if (!doc) {
+        throw Object.assign(new Error("Not Found"), {
+          meta: { statusCode: 404 },
+        });
+      }
+      return {
+        body: {
+          _source: structuredClone(doc.source),
+          _seq_no: doc.seqNo,
+          _primary_term: 1,
+        },
+      };
+    }),
+    index: jest.fn(async (params) => {
+      if (params.op_type === "create" && docs.has(params.id)) {
+        throw conflict();
+      }
+      docs.set(params.id, {
+        source: structuredClone(params.body),
+        seqNo: ++seqNo,
+      });
+      return { body: { _seq_no: seqNo, _primary_term: 1 } };
+    }),
+    update: jest.fn(async (params) => {
+      const doc = docs.get(params.id);
+      if (params.if_seq_no !== undefined && doc.seqNo !== params.if_seq_no) {
+        throw conflict();
+      }
+      doc.source = { ...doc.source, ...params.body.doc };
+      doc.seqNo = ++seqNo;
+      return { body: { _seq_no: seqNo, _primary_term: 1 } };
+    }),
+    search: jest.fn(async ({ body }) => {
+      const { filter = [], must_not: mustNot = [] } = body.query.bool;
+      const hits = [...docs.values()]
+        .map((doc) => doc.source)
+        .filter(
+          (source) =>
+            filter.every((clause) => matches(source, clause)) &&
+            !mustNot.some((clause) => matches(source, clause))
+        )
+        .slice(0, body.size)
+        .map((source) => ({ _source: structuredClone(source) }));
+      return { body: { hits: { hits, total: { value: hits.length } } } };
+    }),
+  };
+};
+
+const rawBody = JSON.stringify({
+  action: "opened",
+  pull_request: { number: 7 },
+});
+const delivery = (deliveryId, body = rawBody) => ({
+  deliveryId,
+  provider: "gitea",
+  event: "pull_request",
+  payload: JSON.parse(body),
+  rawBody: body,
+  webhookId: `webhook-${deliveryId}`,
+});
+
+describe("WebhookDeliveryService", () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    service = new WebhookDeliveryService();
+    client = createClient();
+    service.openSearchService.client = client;
+    service.deliveriesIndex = "webhook-deliveries";
+    service.processingTimeoutMs = 60 * 1000;
+  });
+
+  const stored = (deliveryId) => client.docs.get(deliveryId).source;
+  const claimAndComplete = async (deliveryId, status, body) => {
+    const claim = await service.claim(delivery(deliveryId, body));
+    return service.complete(claim.delivery, {
+      status,
+      error: status === "failed" ? "OpenSearch unavailable" : null,
+    });
+  };
+
+  describe("claim", () => {
+    it("records a new delivery as processing", async () => {
+      const claim = await service.claim(delivery("d-1"));
+
+      expect(claim.delivery).toMatchObject({
+        deliveryId: "d-1",
+        status: "processing",
+        attempts: 1,
+        pullRequestNumber: 7,
+        payloadHash: service.hashPayload(rawBody),
+      });
+      expect(stored("d-1").status).toBe("processing");
+    });
+
+    it("skips a delivery that is being processed", async () => {
+      await service.claim(delivery("d-1"));
+
+      expect(await service.claim(delivery("d-1"))).toMatchObject({
+        duplicate: { deliveryId: "d-1", status: "processing" },
+      });
+    });
+
+    it("skips a delivery that was processed", async () => {
+      await claimAndComplete("d-1", "processed");
+
+      expect(await service.claim(delivery("d-1"))).toMatchObject({
+        duplicate: { deliveryId: "d-1", status: "processed" },
+      });
+    });
+
+    it("processes a failed delivery sent again", async () => {
+      await claimAndComplete("d-1", "failed");
+
+      expect(await service.claim(delivery("d-1"))).toMatchObject({
+        delivery: { deliveryId: "d-1", status: "processing", attempts: 2 },
+      });
+    });
+
+    it("keys a delivery without an ID on the hash of its body", async () => {
+      await claimAndComplete(null, "processed");
+
+      expect(await service.claim(delivery(null))).toMatchObject({
+        duplicate: {
+          deliveryId: `sha256-${service.hashPayload(rawBody)}`,
+          status: "processed",
+        },
+      });
+    });
+  });
+
+  describe("replay detection", () => {
+    it("skips a processed body replayed under another delivery ID", async () => {
+      await claimAndComplete("d-1", "processed");
+
+      expect(await service.claim(delivery("d-2"))).toMatchObject({
+        duplicate: { deliveryId: "d-1", status: "processed" },
+      });
+      expect(client.docs.has("d-2")).toBe(false);
+    });
+
+    it("processes a failed body sent again under another delivery ID", async () => {
+      await claimAndComplete("d-1", "failed");
+
+      expect(await service.claim(delivery("d-2"))).toMatchObject({
+        delivery: { deliveryId: "d-2", status: "processing" },
+      });
+    });
+
+    it("processes another body under another delivery ID", async () => {
+      await claimAndComplete("d-1", "processed");
+      const otherBody = JSON.stringify({ action: "closed", number: 7 });
+
+      expect(await service.claim(delivery("d-2", otherBody))).toMatchObject({
+        delivery: { deliveryId: "d-2" },
+      });
+    });
+  });
+
+  describe("takeover of lost deliveries", () => {
+    const loseDelivery = async (deliveryId) => {
+      await service.claim(delivery(deliveryId));
+      client.docs.get(deliveryId).source.updatedAt = new Date(
+        Date.now() - service.processingTimeoutMs - 1000
+      ).toISOString();
+    };
+
+    it("takes over a delivery processing past the timeout", async () => {
+      await loseDelivery("d-1");
+
+      expect(await service.claim(delivery("d-1"))).toMatchObject({
+        delivery: {
+          status: "processing",
+          attempts: 2,
+          webhookId: "webhook-d-1",
+        },
+      });
+    });
+
+    it("lets only one request take over a lost delivery", async () => {
+      await loseDelivery("d-1");
+
+      const claims = await Promise.all([
+        service.claim(delivery("d-1")),
+        service.claim(delivery("d-1")),
+      ]);
+
+      expect(claims.filter((claim) => claim.delivery)).toHaveLength(1);
+      expect(claims.filter((claim) => claim.duplicate)).toHaveLength(1);
+      expect(stored("d-1").attempts).toBe(2);
+    });
+  });
+
+  describe("complete", () => {
+    it("keeps the payload of a failed delivery only", async () => {
+      await claimAndComplete("d-1", "failed");
+      await claimAndComplete(
+        "d-2",
+        "processed",
+        JSON.stringify({ action: "closed" })
+      );
+
+      expect(stored("d-1")).toMatchObject({
+        status: "failed",
+        error: "OpenSearch unavailable",
+        payload: { action: "opened", pull_request: { number: 7 } },
+      });
+      expect(stored("d-2")).toMatchObject({
+        status: "processed",
+        payload: null,
+      });
+    });
+  });
+
+  describe("redeliver", () => {
+    it("claims a failed delivery with its stored payload", async () => {
+      await claimAndComplete("d-1", "failed");
+
+      expect(await service.redeliver("d-1", "webhook-retry")).toMatchObject({
+        deliveryId: "d-1",
+        status: "processing",
+        attempts: 2,
+        webhookId: "webhook-retry",
+        payload: { action: "opened", pull_request: { number: 7 } },
+      });
+    });
+
+    it.each(["processing", "processed"])(
+      "refuses a delivery that is %s",
+      async (status) => {
+        if (status === "processing") {
+          await service.claim(delivery("d-1"));
+        } else {
+          await claimAndComplete("d-1", status);
+        }
+
+        await expect(
+          service.redeliver("d-1", "webhook-retry")
+        ).rejects.toMatchObject({ statusCode: 409 });
+      }
+    );
+
+    it("refuses an unknown delivery", async () => {
+      await expect(
+        service.redeliver("d-404", "webhook-retry")
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it("refuses a second redelivery running at the same time", async () => {
+      await claimAndComplete("d-1", "failed");
+
+      const results = await Promise.allSettled([
+        service.redeliver("d-1", "webhook-retry-1"),
+        service.redeliver("d-1", "webhook-retry-2"),
+      ]);
+
+      expect(results.map((result) => result.status).sort()).toEqual([
+        "fulfilled",
+        "rejected",
+      ]);
+      expect(
+        results.find((result) => result.status === "rejected").reason
+      ).toMatchObject({ statusCode: 409 });
+    });
+  });
+});
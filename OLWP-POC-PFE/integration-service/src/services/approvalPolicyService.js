@@ -0,0 +1,431 @@
+const fs = require("fs");
+const path = require("path");
+const Joi = require("joi");
+const logger = require("../utils/logger");
+const GiteaService = require("./giteaService");
+const SubmissionService = require("./submissionService");
+const { diffContactVersions } = require("../utils/contactDiff");
+
+// Housekeeping fields every change rewrites
+const UNTRACKED_FIELDS = ["modifiedOn", "modifiedBy"];
+
+// Submission states a policy can still merge from
+const OPEN_STATES = [
+  "submitted",
+  "validating",
+  "in_review",
+  "changes_requested",
+  "approved",
+];
+
+// Conditions a policy's "when" can use; every condition given must hold
+const POLICY_CONDITIONS = {
+  source: (facts, sources) => sources.includes(facts.source),
+  operation: (facts, operations) => operations.includes(facts.operation),
+  submittedBy: (facts, submitters) => submitters.includes(facts.submittedBy),
+  onlyFields: (facts, fields) =>
+    facts.changedFields.every((field) => fields.includes(field)),
+  noDuplicateCandidates: (facts, required) =>
+    !required || facts.duplicateCandidates === 0,
+  maxContacts: (facts, max) => facts.contactCount <= max,
+};
+
+const approvalPolicyConfigSchema = Joi.object({
+  version: Joi.number().integer().min(1).required(),
+  roles: Joi.object()
+    .pattern(Joi.string(), Joi.array().items(Joi.string()))
+    .default({}),
+  policies: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().required(),
+        description: Joi.string().allow("").optional(),
+        when: Joi.object({
+          source: Joi.array().items(Joi.string()),
+          operation: Joi.array().items(Joi.string()),
+          submittedBy: Joi.array().items(Joi.string()),
+          onlyFields: Joi.array().items(Joi.string()),
+          noDuplicateCandidates: Joi.boolean(),
+          maxContacts: Joi.number().integer().min(1),
+        }).default({}),
+        approval: Joi.object({
+          mode: Joi.string().valid("auto_merge", "review", "manual").required(),
+          reviewers: Joi.number().integer().min(1).when("mode", {
+            is: "review",
+            then: Joi.required(),
+            otherwise: Joi.forbidden(),
+          }),
+          role: Joi.string().when("mode", {
+            is: "review",
+            otherwise: Joi.forbidden(),
+          }),
+        }).required(),
+      })
+    )
+    .unique("name")
+    .required(),
+});
+
+// Decides per submission whether it merges on its own once CI passes, or
+// needs approvals, optionally from the members of a role. Policies are read
+// from a versioned JSON file and the first one whose conditions all hold
+// applies; a submission no policy matches is left for a manual merge.
+class ApprovalPolicyService {
+  constructor() {
+    this.giteaService = new GiteaService();
+    this.submissionService = new SubmissionService();
+    this.configFile =
+      process.env.APPROVAL_POLICY_FILE ||
+      path.join(__dirname, "../../config/approval-policies.json");
+
+    this.config = null;
+    try {
+      this.config = this.parseConfig(
+        JSON.parse(fs.readFileSync(this.configFile, "utf8"))
+      );
+      logger.info("Approval policies loaded", {
+        file: this.configFile,
+        version: this.config.version,
+        policies: this.config.policies.length,
+      });
+    } catch (error) {
+      logger.error("Approval policies not loaded, merges stay manual", {
+        file: this.configFile,
+        error: error.message,
+      });
+    }
+  }
+
+  parseConfig(config) {
+    const { error, value } = approvalPolicyConfigSchema.validate(config);
+    if (error) {
+      const validationError = new Error(
+        `Invalid approval policy config: ${error.details
+          .map((d) => d.message)
+          .join(", ")}`
+      );
+      validationError.statusCode = 400;
+      throw validationError;
+    }
+
+    value.policies.forEach((policy) => {
+      const { role, reviewers } = policy.approval;
+      const members = role ? value.roles[role] : null;
+      let roleError = null;
+
+      if (role && !members) {
+        roleError = `Policy ${policy.name} uses unknown role ${role}`;
+      } else if (members && members.length < reviewers) {
+        roleError = `Policy ${policy.name} needs ${reviewers} reviewers but role ${role} has ${members.length} members`;
+      }
+      if (roleError) {
+        const error = new Error(roleError);
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+    return value;
+  }
+
+  getConfig() {
+    if (!this.config) {
+      const error = new Error("Approval policies are not loaded");
+      error.statusCode = 503;
+      throw error;
+    }
+    return this.config;
+  }
+
+  // The policy that applies to the facts, with why each policy before it did
+  // not match
+  evaluate(facts, config = this.getConfig()) {
+    const trace = [];
+
+    for (const policy of config.policies) {
+      const failedConditions = Object.entries(policy.when)
+        .filter(
+          ([condition, value]) => !POLICY_CONDITIONS[condition](facts, value)
+        )
+        .map(([condition]) => condition);
+      trace.push({
+        policy: policy.name,
+        matched: failedConditions.length === 0,
+        failedConditions,
+      });
+
+      if (failedConditions.length === 0) {
+        const { mode, reviewers = 0, role = null } = policy.approval;
+        return {
+          policyVersion: config.version,
+          policy: policy.name,
+          description: policy.description,
+          mode,
+          requiredApprovals: reviewers,
+          role,
+          roleMembers: role ? config.roles[role] : null,
+          trace,
+        };
+      }
+    }
+
+    return {
+      policyVersion: config.version,
+      policy: null,
+      mode: "manual",
+      requiredApprovals: 0,
+      role: null,
+      roleMembers: null,
+      trace,
+    };
+  }
+
+  // What the policies look at: who submitted what, which contact fields the
+  // pull request changes compared with main, and the duplicate candidates
+  // found when it was submitted
+  async getSubmissionFacts(submission) {
+    const pullRequest = {
+      number: submission.pullRequestNumber,
+      head: { sha: submission.headSha },
+    };
+    const files = await this.giteaService.getPullRequestFiles(
+      pullRequest.number
+    );
+    const metadata =
+      (await this.giteaService.getPullRequestSubmission(pullRequest)) || {};
+    const changedFields = new Set();
+
+    for (const file of files) {
+      const contactId = this.giteaService.getContactIdFromPath(file.filename);
+      if (!contactId) {
+        continue;
+      }
+
+      const readContact = async (filePath, ref) => {
+        const fileContent = filePath
+          ? await this.giteaService.getFileContent(filePath, ref)
+          : null;
+        return fileContent ? JSON.parse(fileContent.content) : null;
+      };
+      const previous = await readContact(
+        file.previous_filename || file.filename,
+        "main"
+      );
+      const current = ["deleted", "removed"].includes(file.status)
+        ? null
+        : await readContact(file.filename, submission.headSha);
+
+      diffContactVersions(previous, current).forEach(({ field }) => {
+        if (!UNTRACKED_FIELDS.includes(field)) {
+          changedFields.add(field);
+        }
+      });
+    }
+
+    return {
+      source: submission.source || metadata.source,
+      submittedBy: submission.submittedBy || metadata.submittedBy,
+      operation: submission.operation || metadata.operation,
+      contactCount: (submission.contactIds || []).length,
+      changedFields: [...changedFields].sort(),
+      duplicateCandidates: (metadata.possibleDuplicates || []).length,
+    };
+  }
+
+  // Reviewers whose latest review of the current head is an approval,
+  // counted only from the role's members when the policy names a role
+  getApprovals(submission, decision) {
+    const latestReviews = new Map();
+    (submission.activity || [])
+      .filter(
+        (activity) =>
+          activity.headSha === submission.headSha &&
+          ["review_approved", "changes_requested"].includes(activity.type)
+      )
+      .forEach((activity) => latestReviews.set(activity.actor, activity.type));
+
+    return [...latestReviews]
+      .filter(
+        ([reviewer, type]) =>
+          type === "review_approved" &&
+          (!decision.roleMembers || decision.roleMembers.includes(reviewer))
+      )
+      .map(([reviewer]) => reviewer);
+  }
+
+  // Apply the policies to a submission: merge it when its validation passed
+  // and the policy allows auto-merge or its approvals are in, otherwise ask
+  // the role's members for a review once per head commit
+  async enforce(submission) {
+    if (
+      !this.config ||
+      submission.validation?.state !== "passed" ||
+      !OPEN_STATES.includes(submission.state)
+    ) {
+      return null;
+    }
+
+    const facts = await this.getSubmissionFacts(submission);
+    const decision = this.evaluate(facts);
+    const approvedBy = this.getApprovals(submission, decision);
+    const previous = submission.approval || {};
+    const approval = {
+      policy: decision.policy,
+      policyVersion: decision.policyVersion,
+      mode: decision.mode,
+      requiredApprovals: decision.requiredApprovals,
+      role: decision.role,
+      approvedBy,
+      reviewersRequested: previous.reviewersRequested || [],
+      reviewersRequestedFor: previous.reviewersRequestedFor || null,
+      status: "awaiting_review",
+      error: null,
+      evaluatedAt: new Date().toISOString(),
+    };
+    submission.approval = approval;
+    submission.updatedAt = approval.evaluatedAt;
+
+    const canMerge =
+      decision.mode === "auto_merge" ||
+      (decision.mode === "review" &&
+        approvedBy.length >= decision.requiredApprovals);
+
+    if (decision.mode === "manual") {
+      approval.status = "manual";
+    } else if (canMerge) {
+      return this.mergeSubmission(submission, decision);
+    } else if (approval.reviewersRequestedFor !== submission.headSha) {
+      const reviewers = (decision.roleMembers || []).filter(
+        (member) => !approvedBy.includes(member)
+      );
+      if (reviewers.length > 0) {
+        try {
+          await this.giteaService.requestReviewers(
+            submission.pullRequestNumber,
+            reviewers
+          );
+          approval.reviewersRequested = reviewers;
+          approval.reviewersRequestedFor = submission.headSha;
+        } catch (error) {
+          logger.warn("Failed to request submission reviewers", {
+            submissionId: submission.submissionId,
+            reviewers,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    await this.saveApproval(submission.submissionId, approval);
+    logger.info("Approval policy applied", {
+      submissionId: submission.submissionId,
+      policy: approval.policy,
+      status: approval.status,
+      approvedBy,
+    });
+    return approval;
+  }
+
+  // The submission is saved before merging, as the merge webhook records
+  // the merge on it from then on. An approval arriving while another one is
+  // merging the same head does not merge it again.
+  async mergeSubmission(submission, decision) {
+    const { approval } = submission;
+    approval.status = "merge_requested";
+    let mergeRequested = false;
+
+    await this.submissionService.updateSubmission(
+      submission.submissionId,
+      (current) => {
+        if (
+          current.approval?.status === "merge_requested" &&
+          current.headSha === submission.headSha
+        ) {
+          mergeRequested = true;
+          return false;
+        }
+        this.submissionService.transition(
+          current,
+          "approved",
+          "approval-policy",
+          `Policy ${decision.policy} (v${decision.policyVersion})`
+        );
+        current.approval = approval;
+        current.updatedAt = approval.evaluatedAt;
+      }
+    );
+    if (mergeRequested) {
+      return approval;
+    }
+
+    try {
+      await this.giteaService.mergePullRequest(submission.pullRequestNumber);
+      logger.info("Submission merged by approval policy", {
+        submissionId: submission.submissionId,
+        policy: approval.policy,
+        approvedBy: approval.approvedBy,
+      });
+    } catch (error) {
+      approval.status = "merge_failed";
+      approval.error = error.message;
+      await this.saveApproval(submission.submissionId, approval);
+      logger.error("Approval policy merge failed", {
+        submissionId: submission.submissionId,
+        pullRequestNumber: submission.pullRequestNumber,
+        error: error.message,
+      });
+    }
+    return approval;
+  }
+
+  // Only the approval is written, on the latest version of the submission
+  async saveApproval(submissionId, approval) {
+    await this.submissionService.updateSubmission(submissionId, (current) => {
+      current.approval = approval;
+      current.updatedAt = new Date().toISOString();
+    });
+  }
+
+  // Evaluate the policies, or a candidate config, against a submission or
+  // given facts without changing anything
+  async dryRun({ submissionId, pullRequestNumber, facts, config } = {}) {
+    const policyConfig = config ? this.parseConfig(config) : this.getConfig();
+    let submission = null;
+
+    if (!facts) {
+      submission = submissionId
+        ? await this.submissionService.getSubmission(submissionId)
+        : await this.submissionService.findByPullRequest(pullRequestNumber);
+      if (!submission) {
+        const error = new Error(
+          `Submission ${
+            submissionId || `for pull request #${pullRequestNumber}`
+          } not found`
+        );
+        error.statusCode = 404;
+        throw error;
+      }
+    }
+
+    const submissionFacts =
+      facts || (await this.getSubmissionFacts(submission));
+    const decision = this.evaluate(submissionFacts, policyConfig);
+    const result = { facts: submissionFacts, decision };
+
+    if (submission) {
+      const approvedBy = this.getApprovals(submission, decision);
+      result.submissionId = submission.submissionId;
+      result.state = submission.state;
+      result.validation = submission.validation?.state || "pending";
+      result.approvedBy = approvedBy;
+      result.wouldMerge =
+        result.validation === "passed" &&
+        OPEN_STATES.includes(submission.state) &&
+        (decision.mode === "auto_merge" ||
+          (decision.mode === "review" &&
+            approvedBy.length >= decision.requiredApprovals));
+    }
+    return result;
+  }
+}
+
+module.exports = ApprovalPolicyService;
@@ -0,0 +1,135 @@
+const logger = require("../utils/logger");
+const OpenSearchService = require("./openSearchService");
+const {
+  normalizePhoneNumber,
+  textSimilarity,
+} = require("../utils/contactMatching");
+
+const DUPLICATE_POLICIES = ["reject", "warn", "annotate"];
+
+// Looks up contacts already in OpenSearch that are likely the same person as
+// a submission. The policy decides what a match does to the submission:
+// reject it, only warn in the response, or also list it in the PR body.
+class DuplicateDetectionService {
+  constructor() {
+    this.openSearchService = new OpenSearchService();
+    this.policy = process.env.DUPLICATE_POLICY || "annotate";
+    this.threshold = parseFloat(process.env.DUPLICATE_SCORE_THRESHOLD) || 0.8;
+    this.maxCandidates = 5;
+
+    if (!DUPLICATE_POLICIES.includes(this.policy)) {
+      logger.warn(`Unknown DUPLICATE_POLICY "${this.policy}", using annotate`);
+      this.policy = "annotate";
+    }
+  }
+
+  async check(contact, options = {}) {
+    const candidates = await this.findCandidates(contact, options);
+
+    const result = {
+      policy: this.policy,
+      threshold: this.threshold,
+      action: candidates.length > 0 ? this.policy : "none",
+      candidates,
+    };
+
+    if (candidates.length > 0) {
+      logger.info("Possible duplicate contacts found", {
+        contactId: contact.contactId,
+        action: result.action,
+        candidates: candidates.map((candidate) => candidate.contactId),
+      });
+    }
+    return result;
+  }
+
+  async findCandidates(contact, { excludeContactIds = [] } = {}) {
+    const phoneNormalized = normalizePhoneNumber(contact.phoneNumber);
+    const should = [
+      {
+        term: {
+          emailAddress: { value: contact.emailAddress, case_insensitive: true },
+        },
+      },
+      {
+        match: {
+          fullName: {
+            query: contact.fullName,
+            fuzziness: "AUTO",
+            operator: "and",
+          },
+        },
+      },
+    ];
+    if (phoneNormalized) {
+      should.push({ term: { phoneNormalized } });
+    }
+
+    const response = await this.openSearchService.client.search({
+      index: this.openSearchService.contactsIndex,
+      body: {
+        query: {
+          bool: {
+            should,
+            minimum_should_match: 1,
+            must_not: [
+              { ids: { values: [contact.contactId, ...excludeContactIds] } },
+            ],
+          },
+        },
+        size: 20,
+      },
+    });
+
+    return response.body.hits.hits
+      .map((hit) => this.scoreCandidate(contact, hit._source, phoneNormalized))
+      .filter((candidate) => candidate.score >= this.threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxCandidates);
+  }
+
+  // The candidate score is its strongest signal; every signal is reported
+  scoreCandidate(contact, existing, phoneNormalized) {
+    const matches = [];
+
+    if (
+      contact.emailAddress &&
+      contact.emailAddress.toLowerCase() ===
+        String(existing.emailAddress || "").toLowerCase()
+    ) {
+      matches.push({ field: "emailAddress", score: 1 });
+    }
+
+    if (
+      phoneNormalized &&
+      phoneNormalized === normalizePhoneNumber(existing.phoneNumber)
+    ) {
+      matches.push({ field: "phoneNumber", score: 0.9 });
+    }
+
+    // A name alone is weaker evidence than a name at the same company
+    const nameScore = textSimilarity(contact.fullName, existing.fullName);
+    const nameAndCompanyScore =
+      contact.company && existing.company
+        ? nameScore * 0.7 +
+          textSimilarity(contact.company, existing.company) * 0.3
+        : nameScore * 0.8;
+    if (nameAndCompanyScore >= 0.5) {
+      matches.push({
+        field: "fullName+company",
+        score: Math.round(nameAndCompanyScore * 100) / 100,
+      });
+    }
+
+    return {
+      contactId: existing.contactId,
+      fullName: existing.fullName,
+      emailAddress: existing.emailAddress,
+      company: existing.company,
+      score: Math.max(0, ...matches.map((match) => match.score)),
+      matches,
+    };
+  }
+}
+
+module.exports = DuplicateDetectionService;
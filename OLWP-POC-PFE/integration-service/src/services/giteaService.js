@@ -1,129 +1,59 @@
-const axios = require("axios");
+const crypto = require("crypto");
 const logger = require("../utils/logger");
-const { generateCdmFileStructure } = require("../models/cdmModels");
+const { createGitProvider } = require("../providers");
+const {
+  generateCdmFileStructure,
+  validateCdmContact,
+} = require("../models/cdmModels");
+const { diffContactVersions } = require("../utils/contactDiff");
 
+// Reads and writes CDM data in the data repository, on the git host picked
+// by GIT_PROVIDER (Gitea by default)
 class GiteaService {
   constructor() {
-    this.baseUrl = process.env.GITEA_URL;
-    this.token = process.env.GITEA_TOKEN;
-    this.username = process.env.GITEA_USERNAME || "gitea_admin";
-    this.repoOwner = process.env.GITEA_REPO_OWNER || "gitea_admin";
-    this.repoName = process.env.GITEA_REPO_NAME || "cdm-data";
-    this.apiUrl = `${this.baseUrl}/api/v1`;
-
-    // Configure axios instance
-    this.client = axios.create({
-      baseURL: this.apiUrl,
-      headers: {
-        Authorization: `token ${this.token}`,
-        "Content-Type": "application/json",
-      },
-      timeout: 30000,
-    });
-
-    // Add request/response interceptors for logging
-    this.client.interceptors.request.use(
-      (config) => {
-        logger.info(
-          `Gitea API Request: ${config.method?.toUpperCase()} ${config.url}`
-        );
-        return config;
-      },
-      (error) => {
-        const errorInfo = {
-          message: error.message,
-          code: error.code,
-          config: {
-            url: error.config?.url,
-            method: error.config?.method,
-            headers: error.config?.headers,
-          },
-        };
-        logger.error("Gitea API Request Error:", errorInfo);
-        return Promise.reject(error);
-      }
-    );
-
-    this.client.interceptors.response.use(
-      (response) => {
-        logger.info(
-          `Gitea API Response: ${response.status} ${response.config.url}`
-        );
-        return response;
-      },
-      (error) => {
-        const errorInfo = {
-          status: error.response?.status,
-          statusText: error.response?.statusText,
-          data: error.response?.data,
-          url: error.config?.url,
-          method: error.config?.method,
-        };
-        logger.error("Gitea API Response Error:", errorInfo);
-        return Promise.reject(error);
-      }
-    );
+    // HTTP calls go through the adapter for the configured git host
+    this.provider = createGitProvider();
+    this.username = this.provider.username;
+    this.repoOwner = this.provider.repoOwner;
+    this.repoName = this.provider.repoName;
+    this.authorEmailDomain =
+      process.env.GIT_AUTHOR_EMAIL_DOMAIN || "users.noreply.cdm.local";
   }
 
   async ensureRepository() {
-    try {
-      // Check if repository exists
-      await this.client.get(`/repos/${this.repoOwner}/${this.repoName}`);
+    // Check if repository exists
+    if (await this.provider.getRepository()) {
       logger.info(`Repository ${this.repoOwner}/${this.repoName} exists`);
       return true;
-    } catch (error) {
-      if (error.response?.status === 404) {
-        // Repository doesn't exist, create it
-        logger.info(`Creating repository ${this.repoOwner}/${this.repoName}`);
-        try {
-          await this.client.post("/user/repos", {
-            name: this.repoName,
-            description: "CDM Data Repository for Master Data Management",
-            private: false,
-            auto_init: true,
-            gitignores: "Node",
-            license: "MIT",
-            readme: "Default",
-          });
-          logger.info(
-            `Repository ${this.repoOwner}/${this.repoName} created successfully`
-          );
-          return true;
-        } catch (createError) {
-          logger.error("Failed to create repository:", createError);
-          throw createError;
-        }
-      } else {
-        logger.error("Error checking repository:", error);
-        throw error;
-      }
     }
-  }
 
-  async createBranch(branchName, baseBranch = "main") {
+    // Repository doesn't exist, create it
+    logger.info(`Creating repository ${this.repoOwner}/${this.repoName}`);
     try {
-      // Get base branch reference
-      const baseRef = await this.client.get(
-        `/repos/${this.repoOwner}/${this.repoName}/git/refs/heads/${baseBranch}`
+      await this.provider.createRepository({
+        description: "CDM Data Repository for Master Data Management",
+      });
+      logger.info(
+        `Repository ${this.repoOwner}/${this.repoName} created successfully`
       );
-      logger.info(`Base branch ${baseBranch} data:`, baseRef.data);
+      return true;
+    } catch (createError) {
+      logger.error("Failed to create repository:", createError);
+      throw createError;
+    }
+  }
 
-      const baseSha = baseRef.data[0].object.sha;
+  async createBranch(branchName, baseBranch = "main") {
+    try {
+      const baseSha = await this.provider.getBranchSha(baseBranch);
       logger.info(`Base branch ${baseBranch} SHA: ${baseSha}`);
 
-      // Create new branch
-      await this.client.post(
-        `/repos/${this.repoOwner}/${this.repoName}/branches`,
-        {
-          new_branch_name: `${branchName}`,
-          old_ref_name: baseSha,
-        }
-      );
+      await this.provider.createBranch(branchName, baseSha);
 
       logger.info(`Branch ${branchName} created successfully`);
       return branchName;
     } catch (error) {
-      if (error.response?.status === 422) {
+      if (error.statusCode === 409) {
         logger.warn(`Branch ${branchName} already exists`);
         return branchName;
       }
@@ -134,93 +64,402 @@ class GiteaService {
 
   async getFileContent(filePath, branch = "main") {
     try {
-      const response = await this.client.get(
-        `/repos/${this.repoOwner}/${this.repoName}/contents/${filePath}`,
-        {
-          params: { ref: branch },
-        }
-      );
-
-      if (response.data.status === 404) {
+      const file = await this.provider.getFile(filePath, branch);
+      if (!file) {
         logger.info(`File ${filePath} not found in branch ${branch}`);
-
-        return null;
       }
+      return file;
+    } catch (error) {
+      logger.error(`Failed to get file content for ${filePath}:`, error);
+      throw error;
+    }
+  }
+
+  async getPullRequest(pullNumber) {
+    try {
+      return await this.provider.getPullRequest(pullNumber);
+    } catch (error) {
+      logger.error(`Failed to get pull request #${pullNumber}:`, error);
+      throw error;
+    }
+  }
+
+  async getPullRequestFiles(pullNumber) {
+    try {
+      const files = await this.provider.getPullRequestFiles(pullNumber);
 
-      // Decode base64 content
-      const content = Buffer.from(response.data.content, "base64").toString(
-        "utf8"
+      logger.info(
+        `Pull request #${pullNumber} changes ${files.length} file(s)`
       );
-      return {
-        content,
-        sha: response.data.sha,
-        size: response.data.size,
-      };
+      return files;
     } catch (error) {
-      if (error.response?.status === 404) {
-        return null; // File doesn't exist
-      }
-      logger.error(`Failed to get file content for ${filePath}:`, error);
+      logger.error(
+        `Failed to list files for pull request #${pullNumber}:`,
+        error
+      );
       throw error;
     }
   }
 
-  async commitFile(filePath, content, message, branch = "main") {
+  async listOpenPullRequests() {
+    return this.provider.listPullRequests({ state: "open" });
+  }
+
+  // Contacts changed by open pull requests, mapped to their pull request
+  // numbers; main does not have these changes yet
+  async getContactIdsInReview() {
+    const contactIds = new Map();
+
+    for (const pullRequest of await this.listOpenPullRequests()) {
+      const files = await this.getPullRequestFiles(pullRequest.number);
+      files.forEach((file) => {
+        const contactId = this.getContactIdFromPath(file.filename);
+        if (contactId) {
+          contactIds.set(contactId, [
+            ...(contactIds.get(contactId) || []),
+            pullRequest.number,
+          ]);
+        }
+      });
+    }
+
+    return contactIds;
+  }
+
+  // Commits on a branch that touched a file, newest first
+  async getFileCommits(filePath, { ref = "main", page = 1, limit = 20 } = {}) {
     try {
-      // Check if file exists to get SHA for update
-      const existingFile = await this.getFileContent(filePath, branch);
+      return await this.provider.getFileCommits(filePath, { ref, page, limit });
+    } catch (error) {
+      logger.error(`Failed to list commits for ${filePath}:`, error);
+      throw error;
+    }
+  }
 
-      const commitData = {
-        message,
-        content: Buffer.from(content).toString("base64"),
-        branch,
-      };
-      let response = {};
-      if (existingFile) {
-        commitData.sha = existingFile.sha;
+  // The pull request a commit was merged through, or null for direct pushes
+  async getCommitPullRequest(commit) {
+    const pullRequest = await this.provider.getCommitPullRequest(commit.sha);
+    if (pullRequest) {
+      return pullRequest;
+    }
 
-        response = await this.client.put(
-          `/repos/${this.repoOwner}/${this.repoName}/contents/${filePath}`,
-          commitData
-        );
-        logger.info(
-          `File ${filePath} updated successfully in branch ${branch}`
-        );
-      } else {
-        commitData.branch = branch;
-        response = await this.client.post(
-          `/repos/${this.repoOwner}/${this.repoName}/contents/${filePath}`,
-          commitData
-        );
-        logger.info(
-          `File ${filePath} created successfully in branch ${branch}`
+    // Squash merges reference the pull request in the commit title
+    const match = (commit.commit?.message || "").match(/\(#(\d+)\)/);
+    return match ? this.getPullRequest(parseInt(match[1])) : null;
+  }
+
+  // The submission metadata file a pull request added, if any
+  async getPullRequestSubmission(pullRequest) {
+    const files = await this.getPullRequestFiles(pullRequest.number);
+    const metadataFile = files.find(
+      (file) =>
+        /^metadata\/submissions\/[^/]+\.json$/.test(file.filename) &&
+        file.status === "added"
+    );
+    if (!metadataFile) {
+      return null;
+    }
+
+    const fileContent = await this.getFileContent(
+      metadataFile.filename,
+      pullRequest.merge_commit_sha || pullRequest.head?.sha
+    );
+    return fileContent ? JSON.parse(fileContent.content) : null;
+  }
+
+  // Versions of a contact file on main with who changed it, through which
+  // pull request and submission, and what changed since the version before
+  async getContactHistory(contactId, { page = 1, limit = 20 } = {}) {
+    const filePath = this.getContactFilePath(contactId);
+
+    const pageCommits = await this.getFileCommits(filePath, { page, limit });
+    // The commit right after this page is the base for diffing its last
+    // version; with a limit of 1 the page number is the commit's position
+    const [baseCommit] = await this.getFileCommits(filePath, {
+      page: page * limit + 1,
+      limit: 1,
+    });
+
+    const readVersion = async (commit) => {
+      if (!commit) return null;
+      const fileContent = await this.getFileContent(filePath, commit.sha);
+      return fileContent
+        ? { contact: JSON.parse(fileContent.content), blobSha: fileContent.sha }
+        : { contact: null, blobSha: null };
+    };
+
+    const pullRequestSubmissions = new Map();
+    const versions = [];
+    for (const commit of pageCommits) {
+      const version = await readVersion(commit);
+      const pullRequest = await this.getCommitPullRequest(commit);
+
+      if (pullRequest && !pullRequestSubmissions.has(pullRequest.number)) {
+        pullRequestSubmissions.set(
+          pullRequest.number,
+          await this.getPullRequestSubmission(pullRequest).catch((error) => {
+            logger.warn("Failed to read submission metadata", {
+              pullRequestNumber: pullRequest.number,
+              error: error.message,
+            });
+            return null;
+          })
         );
       }
 
+      versions.push({
+        sha: commit.sha,
+        blobSha: version.blobSha,
+        message: commit.commit?.message?.trim(),
+        author: {
+          name: commit.commit?.author?.name,
+          email: commit.commit?.author?.email,
+          login: commit.author?.login,
+        },
+        timestamp: commit.commit?.author?.date || commit.created,
+        pullRequest: pullRequest
+          ? {
+              number: pullRequest.number,
+              title: pullRequest.title,
+              url: pullRequest.html_url,
+              mergedBy: pullRequest.merged_by?.login,
+              mergedAt: pullRequest.merged_at,
+            }
+          : null,
+        submission: pullRequest
+          ? pullRequestSubmissions.get(pullRequest.number)
+          : null,
+        contact: version.contact,
+      });
+    }
+
+    // Diff each version against the one before it
+    let previous = (await readVersion(baseCommit))?.contact || null;
+    for (let i = versions.length - 1; i >= 0; i--) {
+      const version = versions[i];
+      version.changeType = !version.contact
+        ? "deleted"
+        : previous
+        ? "updated"
+        : "created";
+      version.changes = diffContactVersions(previous, version.contact);
+      previous = version.contact;
+    }
+
+    return {
+      contactId,
+      filePath,
+      versions: versions.map(({ contact, ...version }) => version),
+      page,
+      limit,
+      hasMore: Boolean(baseCommit),
+    };
+  }
+
+  // A contact record exactly as it was stored at a commit
+  async getContactVersion(contactId, ref) {
+    const fileContent = await this.getFileContent(
+      this.getContactFilePath(contactId),
+      ref
+    );
+
+    if (!fileContent) {
+      const error = new Error(
+        `Contact ${contactId} does not exist at version ${ref}`
+      );
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return {
+      contactId,
+      ref,
+      blobSha: fileContent.sha,
+      contact: JSON.parse(fileContent.content),
+    };
+  }
+
+  async getBranchCommitSha(branch = "main") {
+    return this.provider.getBranchSha(branch);
+  }
+
+  async listBranches() {
+    return this.provider.listBranches();
+  }
+
+  // Files directly inside a directory at a ref
+  async listDirectoryFiles(dirPath, ref = "main") {
+    return this.provider.listDirectory(dirPath, ref);
+  }
+
+  async getBlobContent(sha) {
+    return this.provider.getBlob(sha);
+  }
+
+  // Read and validate a contact file listed by listDirectoryFiles, with the
+  // checks the webhook applies to a merged contact file
+  async readContactFile(file) {
+    const contactId = this.getContactIdFromPath(file.path);
+    const content = await this.getBlobContent(file.sha);
+
+    let contact;
+    try {
+      contact = validateCdmContact(JSON.parse(content));
+    } catch (error) {
+      throw new Error(`Invalid contact file: ${error.message}`);
+    }
+
+    if (contact.contactId !== contactId) {
+      throw new Error(
+        `contactId ${contact.contactId} does not match file name ${contactId}`
+      );
+    }
+
+    return { ...contact, gitSha: file.sha };
+  }
+
+  getContactFilePath(contactId) {
+    return `data/contacts/${contactId}.json`;
+  }
+
+  getContactIdFromPath(filePath) {
+    const match = (filePath || "").match(/^data\/contacts\/([^/]+)\.json$/);
+    return match ? match[1] : null;
+  }
+
+  async commitFile(filePath, content, message, branch = "main", sha = null) {
+    try {
+      // Check if file exists to get SHA for update, unless the caller pins one
+      const existingFile = sha
+        ? { sha }
+        : await this.getFileContent(filePath, branch);
+
+      const commit = await this.provider.commitFiles(
+        [
+          {
+            operation: existingFile ? "update" : "create",
+            path: filePath,
+            content,
+            sha: existingFile?.sha,
+          },
+        ],
+        message,
+        { branch }
+      );
+
       logger.info(
         `File ${filePath} committed successfully to branch ${branch}`
       );
-      return response.data;
+      return commit;
     } catch (error) {
       logger.error(`Failed to commit file ${filePath}:`, error);
       throw error;
     }
   }
 
-  async createPullRequest(title, head, base = "main", body = "") {
+  // Write several files in one commit. files are { operation, path, content,
+  // sha } with operation "create", "update" or "delete"; updates and deletes
+  // need the blob SHA they replace. With newBranch the branch is created from
+  // branch by the same commit, so a failed write leaves no branch behind.
+  async commitFiles(
+    files,
+    message,
+    { branch = "main", newBranch = null, author = null } = {}
+  ) {
     try {
-      const response = await this.client.post(
-        `/repos/${this.repoOwner}/${this.repoName}/pulls`,
-        {
-          title,
-          head,
-          base,
-          body,
-        }
+      const commit = await this.provider.commitFiles(files, message, {
+        branch,
+        newBranch,
+        author,
+      });
+
+      logger.info(
+        `${files.length} file(s) committed successfully to branch ${
+          newBranch || branch
+        }`,
+        { commitSha: commit.sha, author: author?.name }
+      );
+      return commit;
+    } catch (error) {
+      logger.error(
+        `Failed to commit ${files.length} file(s) to branch ${
+          newBranch || branch
+        }:`,
+        error
       );
+      throw error;
+    }
+  }
+
+  // Author and committer of a submission's commit: the submitting user's
+  // email when they have an account on the git host, otherwise an address under
+  // GIT_AUTHOR_EMAIL_DOMAIN
+  async getCommitIdentity(submittedBy) {
+    if (!submittedBy) {
+      return null;
+    }
+    if (submittedBy.includes("@")) {
+      return { name: submittedBy.split("@")[0], email: submittedBy };
+    }
 
-      logger.info(`Pull request created: ${response.data.html_url}`);
-      return response.data;
+    try {
+      const user = await this.provider.getUser(submittedBy);
+      if (user?.email) {
+        return { name: user.full_name || submittedBy, email: user.email };
+      }
+    } catch (error) {
+      logger.warn(`Failed to look up user ${submittedBy}`, {
+        error: error.message,
+      });
+    }
+
+    return {
+      name: submittedBy,
+      email: `${submittedBy.replace(/[^A-Za-z0-9._-]/g, "-")}@${
+        this.authorEmailDomain
+      }`,
+    };
+  }
+
+  async deleteFile(filePath, message, branch = "main", sha = null) {
+    try {
+      const existingFile = sha
+        ? { sha }
+        : await this.getFileContent(filePath, branch);
+
+      if (!existingFile) {
+        const error = new Error(
+          `File ${filePath} not found in branch ${branch}`
+        );
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const commit = await this.provider.commitFiles(
+        [{ operation: "delete", path: filePath, sha: existingFile.sha }],
+        message,
+        { branch }
+      );
+
+      logger.info(`File ${filePath} deleted successfully in branch ${branch}`);
+      return commit;
+    } catch (error) {
+      logger.error(`Failed to delete file ${filePath}:`, error);
+      throw error;
+    }
+  }
+
+  async createPullRequest(title, head, base = "main", body = "") {
+    try {
+      const pullRequest = await this.provider.createPullRequest({
+        title,
+        head,
+        base,
+        body,
+      });
+
+      logger.info(`Pull request created: ${pullRequest.html_url}`);
+      return pullRequest;
     } catch (error) {
       logger.error("Failed to create pull request:", error);
       throw error;
@@ -229,26 +468,92 @@ class GiteaService {
 
   async mergePullRequest(pullNumber, mergeMethod = "merge") {
     try {
-      const response = await this.client.post(
-        `/repos/${this.repoOwner}/${this.repoName}/pulls/${pullNumber}/merge`,
-        {
-          Do: mergeMethod,
-        }
+      const result = await this.provider.mergePullRequest(
+        pullNumber,
+        mergeMethod
       );
 
       logger.info(`Pull request #${pullNumber} merged successfully`);
-      return response.data;
+      return result;
     } catch (error) {
       logger.error(`Failed to merge pull request #${pullNumber}:`, error);
       throw error;
     }
   }
 
-  async deleteBranch(branchName) {
+  async commentOnPullRequest(pullNumber, body) {
+    try {
+      return await this.provider.commentOnPullRequest(pullNumber, body);
+    } catch (error) {
+      logger.error(`Failed to comment on pull request #${pullNumber}:`, error);
+      throw error;
+    }
+  }
+
+  // Latest comment on a pull request, by the given user when one is named
+  async getLatestPullRequestComment(pullNumber, author = null) {
+    const comments = (
+      await this.provider.listPullRequestComments(pullNumber)
+    ).filter((comment) => !author || comment.user?.login === author);
+    return comments[comments.length - 1] || null;
+  }
+
+  async requestReviewers(pullNumber, reviewers) {
+    try {
+      const result = await this.provider.requestReviewers(
+        pullNumber,
+        reviewers
+      );
+
+      logger.info(`Reviewers requested for pull request #${pullNumber}`, {
+        reviewers,
+      });
+      return result;
+    } catch (error) {
+      logger.error(
+        `Failed to request reviewers for pull request #${pullNumber}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  async cancelReviewRequests(pullNumber, reviewers) {
     try {
-      await this.client.delete(
-        `/repos/${this.repoOwner}/${this.repoName}/branches/${branchName}`
+      await this.provider.cancelReviewRequests(pullNumber, reviewers);
+
+      logger.info(`Review requests cancelled for pull request #${pullNumber}`, {
+        reviewers,
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to cancel review requests for pull request #${pullNumber}:`,
+        error
       );
+      throw error;
+    }
+  }
+
+  async closePullRequest(pullNumber) {
+    try {
+      const pullRequest = await this.provider.closePullRequest(pullNumber);
+
+      logger.info(`Pull request #${pullNumber} closed`);
+      return pullRequest;
+    } catch (error) {
+      logger.error(`Failed to close pull request #${pullNumber}:`, error);
+      throw error;
+    }
+  }
+
+  // Commit statuses reported for a commit (CI runs report one per job)
+  async getCommitStatuses(sha) {
+    return this.provider.getCommitStatuses(sha);
+  }
+
+  async deleteBranch(branchName) {
+    try {
+      await this.provider.deleteBranch(branchName);
       logger.info(`Branch ${branchName} deleted successfully`);
     } catch (error) {
       logger.error(`Failed to delete branch ${branchName}:`, error);
@@ -256,27 +561,96 @@ class GiteaService {
     }
   }
 
+  // The random suffix keeps concurrent submissions for the same contact
+  // within the same millisecond on separate branches
   generateBranchName(type = "contact", identifier = "") {
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
     const id = identifier || Math.random().toString(36).slice(2, 11);
-    return `${type}-${id}-${timestamp}`.toLowerCase();
+    const suffix = crypto.randomBytes(4).toString("hex");
+    return `${type}-${id}-${timestamp}-${suffix}`.toLowerCase();
+  }
+
+  // When a branch named by generateBranchName was created, or null for other
+  // branches
+  getBranchCreatedAt(branchName) {
+    const match = branchName.match(
+      /(\d{4}-\d{2}-\d{2})t(\d{2})-(\d{2})-(\d{2})-(\d{3})z/
+    );
+    return match
+      ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`)
+      : null;
   }
 
-  async commitCdmData(contactData, metadata = {}) {
+  // Reads the current version of a contact file on main and checks it against
+  // the blob SHA the caller last saw, so concurrent edits are not overwritten
+  async getCurrentContactFile(contactId, expectedSha = null) {
+    const currentFile = await this.getFileContent(
+      this.getContactFilePath(contactId),
+      "main"
+    );
+
+    if (!currentFile) {
+      const error = new Error(`Contact ${contactId} not found in repository`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (expectedSha && expectedSha !== currentFile.sha) {
+      const error = new Error(
+        `Contact ${contactId} has changed since version ${expectedSha}`
+      );
+      error.statusCode = 409;
+      error.currentSha = currentFile.sha;
+      throw error;
+    }
+
+    return {
+      ...currentFile,
+      contact: JSON.parse(currentFile.content),
+    };
+  }
+
+  // operation is one of "create", "update", "delete" or "restore"; all but
+  // create accept the blob SHA of the contact file the change is based on.
+  // A restore may also bring back a contact that was deleted.
+  async commitCdmData(contactData, metadata = {}, options = {}) {
+    const { operation = "create", sha = null } = options;
+    const labels = {
+      create: { verb: "Add", title: "Add Contact" },
+      update: { verb: "Update", title: "Update Contact" },
+      delete: { verb: "Delete", title: "Delete Contact" },
+      restore: { verb: "Restore", title: "Restore Contact" },
+    }[operation];
+
+    if (!labels) {
+      throw new Error(`Unsupported CDM operation: ${operation}`);
+    }
+
+    const currentFile =
+      operation === "create"
+        ? null
+        : await this.getCurrentContactFile(contactData.contactId, sha).catch(
+            (error) => {
+              if (operation === "restore" && error.statusCode === 404) {
+                return null;
+              }
+              throw error;
+            }
+          );
+
     const branchName = this.generateBranchName(
-      "contact",
+      operation === "create" ? "contact" : `contact-${operation}`,
       contactData.contactId?.substr(0, 8)
     );
+    let branchCreated = false;
 
     try {
       // Ensure repository exists
       await this.ensureRepository();
 
-      // Create feature branch
-      await this.createBranch(branchName);
-
       // Generate CDM file structure
       const cdmStructure = generateCdmFileStructure(contactData);
+      const commitMessage = `${labels.verb} contact data: ${contactData.fullName}`;
 
       // Add metadata
       cdmStructure.metadata = {
@@ -285,35 +659,54 @@ class GiteaService {
         submissionId: `${Date.now()}-${Math.random()
           .toString(36)
           .slice(2, 11)}`,
+        operation,
+        previousSha: currentFile?.sha,
         gitBranch: branchName,
         contactId: contactData.contactId,
-        gitCommitMessage: `Add contact data: ${contactData.fullName}`,
+        gitCommitMessage: commitMessage,
         processedAt: new Date().toISOString(),
       };
 
       // File paths
-      const dataFilePath = `data/contacts/${cdmStructure.metadata.contactId}.json`;
-      const metadataFilePath = `metadata/submissions/${cdmStructure.metadata.submissionId}.json`;
-
-      // Commit data file
-      await this.commitFile(
-        dataFilePath,
-        JSON.stringify(cdmStructure.entities.Contact[0], null, 2),
-        `Add contact data: ${contactData.fullName}`,
-        branchName
+      const dataFilePath = this.getContactFilePath(
+        cdmStructure.metadata.contactId
       );
+      const metadataFilePath = `metadata/submissions/${cdmStructure.metadata.submissionId}.json`;
 
-      // Commit metadata file
-      await this.commitFile(
-        metadataFilePath,
-        JSON.stringify(cdmStructure.metadata, null, 2),
-        `Add metadata for submission: ${cdmStructure.metadata.submissionId}`,
-        branchName
+      // Commit the data and metadata files on a new branch in one commit
+      const dataFile =
+        operation === "delete"
+          ? { operation: "delete", path: dataFilePath, sha: currentFile.sha }
+          : {
+              operation: currentFile ? "update" : "create",
+              path: dataFilePath,
+              content: JSON.stringify(
+                cdmStructure.entities.Contact[0],
+                null,
+                2
+              ),
+              sha: currentFile?.sha,
+            };
+      const commit = await this.commitFiles(
+        [
+          dataFile,
+          {
+            operation: "create",
+            path: metadataFilePath,
+            content: JSON.stringify(cdmStructure.metadata, null, 2),
+          },
+        ],
+        commitMessage,
+        {
+          newBranch: branchName,
+          author: await this.getCommitIdentity(metadata.submittedBy),
+        }
       );
+      branchCreated = true;
 
       // Create pull request
       const pullRequest = await this.createPullRequest(
-        `Add Contact: ${contactData.fullName}`,
+        `${labels.title}: ${contactData.fullName}`,
         branchName,
         "main",
         `## Contact Information
@@ -321,6 +714,13 @@ class GiteaService {
 **Name:** ${contactData.fullName}
 **Email:** ${contactData.emailAddress}
 **Company:** ${contactData.company || "N/A"}
+**Operation:** ${operation}${
+          currentFile ? `\n**Previous Version:** ${currentFile.sha}` : ""
+        }${
+          metadata.restoredFromCommit
+            ? `\n**Restored From Commit:** ${metadata.restoredFromCommit}`
+            : ""
+        }
 
 ## CDM Compliance
 - ✅ Schema validation passed
@@ -331,7 +731,7 @@ class GiteaService {
 - **Submission ID:** ${cdmStructure.metadata.submissionId}
 - **Processed At:** ${cdmStructure.metadata.processedAt}
 - **Source:** Grafana Form Submission
-
+${this.formatPossibleDuplicates(metadata.possibleDuplicates)}
 Please review and approve to merge this contact data into the main branch.`
       );
 
@@ -339,6 +739,8 @@ Please review and approve to merge this contact data into the main branch.`
         success: true,
         branchName,
         pullRequest,
+        operation,
+        commitSha: commit.sha,
         submissionId: cdmStructure.metadata.submissionId,
         contactId: cdmStructure.metadata.contactId,
         dataFilePath,
@@ -355,18 +757,342 @@ Please review and approve to merge this contact data into the main branch.`
       };
       logger.error("Failed to commit CDM data:", safeError);
 
-      // Cleanup: try to delete branch if it was created
-      try {
-        await this.deleteBranch(branchName);
-      } catch (cleanupError) {
-        const safeCleanupError = {
-          message: cleanupError.message,
-          code: cleanupError.code,
-          status: cleanupError.response?.status,
-          statusText: cleanupError.response?.statusText,
-          data: cleanupError.response?.data,
-        };
-        logger.error("Failed to cleanup branch:", safeCleanupError);
+      // Gitea rejects a stale SHA when main moved after it was read
+      if (currentFile && [409, 422].includes(error.response?.status)) {
+        error.statusCode = 409;
+      }
+
+      // Cleanup: the branch only exists once its commit went through
+      if (branchCreated) {
+        try {
+          await this.deleteBranch(branchName);
+        } catch (cleanupError) {
+          const safeCleanupError = {
+            message: cleanupError.message,
+            code: cleanupError.code,
+            status: cleanupError.response?.status,
+            statusText: cleanupError.response?.statusText,
+            data: cleanupError.response?.data,
+          };
+          logger.error("Failed to cleanup branch:", safeCleanupError);
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  // Merge duplicates into a survivor in one pull request: the survivor file is
+  // rewritten, the victim files removed, and a lineage record kept under
+  // metadata/lineage. sources are { contact, sha } with the survivor first.
+  async commitCdmMerge(mergedContact, sources, lineage, metadata = {}) {
+    const [survivor, ...victims] = sources;
+    const submissionId = `${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 11)}`;
+    const branchName = this.generateBranchName(
+      "contact-merge",
+      mergedContact.contactId.substr(0, 8)
+    );
+    const lineageFilePath = `metadata/lineage/${lineage.mergeId}.json`;
+    const metadataFilePath = `metadata/submissions/${submissionId}.json`;
+    let branchCreated = false;
+
+    try {
+      await this.ensureRepository();
+
+      const cdmStructure = generateCdmFileStructure(mergedContact);
+      const commitMessage = `Merge contact data: ${victims.length} duplicate(s) into ${mergedContact.fullName}`;
+      const contactIds = sources.map((source) => source.contact.contactId);
+
+      cdmStructure.metadata = {
+        ...cdmStructure.metadata,
+        ...metadata,
+        submissionId,
+        operation: "merge",
+        gitBranch: branchName,
+        contactId: mergedContact.contactId,
+        contactIds,
+        survivorId: mergedContact.contactId,
+        victimIds: contactIds.slice(1),
+        mergeId: lineage.mergeId,
+        lineageFilePath,
+        previousSha: survivor.sha,
+        gitCommitMessage: commitMessage,
+        processedAt: new Date().toISOString(),
+      };
+
+      const commit = await this.commitFiles(
+        [
+          {
+            operation: "update",
+            path: this.getContactFilePath(mergedContact.contactId),
+            content: JSON.stringify(cdmStructure.entities.Contact[0], null, 2),
+            sha: survivor.sha,
+          },
+          ...victims.map((victim) => ({
+            operation: "delete",
+            path: this.getContactFilePath(victim.contact.contactId),
+            sha: victim.sha,
+          })),
+          {
+            operation: "create",
+            path: lineageFilePath,
+            content: JSON.stringify(lineage, null, 2),
+          },
+          {
+            operation: "create",
+            path: metadataFilePath,
+            content: JSON.stringify(cdmStructure.metadata, null, 2),
+          },
+        ],
+        commitMessage,
+        {
+          newBranch: branchName,
+          author: await this.getCommitIdentity(metadata.submittedBy),
+        }
+      );
+      branchCreated = true;
+
+      const victimRows = victims
+        .map(
+          (victim) =>
+            `| ${victim.contact.contactId} | ${victim.contact.fullName} | ${victim.contact.emailAddress} |`
+        )
+        .join("\n");
+      const fieldRows = Object.entries(lineage.fieldSources)
+        .filter(
+          ([, fieldSource]) => fieldSource.source !== survivor.contact.contactId
+        )
+        .map(
+          ([field, fieldSource]) =>
+            `| ${field} | ${fieldSource.rule} | ${fieldSource.source} |`
+        )
+        .join("\n");
+
+      const pullRequest = await this.createPullRequest(
+        `Merge Contacts: ${mergedContact.fullName}`,
+        branchName,
+        "main",
+        `## Contact Merge
+**Survivor:** ${mergedContact.contactId} (${mergedContact.fullName})
+**Email:** ${mergedContact.emailAddress}
+**Operation:** merge
+**Previous Version:** ${survivor.sha}
+
+### Merged Into Survivor
+| Contact ID | Name | Email |
+|---|---|---|
+${victimRows}
+
+### Values Taken From Other Records
+${
+  fieldRows
+    ? `| Field | Rule | Source |\n|---|---|---|\n${fieldRows}`
+    : "_All values kept from the survivor._"
+}
+
+## CDM Compliance
+- ✅ Schema validation passed
+- ✅ Required fields present
+- ✅ Data format validated
+
+## Submission Details
+- **Submission ID:** ${submissionId}
+- **Merge ID:** ${lineage.mergeId}
+- **Lineage:** ${lineageFilePath}
+- **Processed At:** ${cdmStructure.metadata.processedAt}
+
+Please review and approve to merge these contacts in the main branch.`
+      );
+
+      return {
+        success: true,
+        branchName,
+        pullRequest,
+        operation: "merge",
+        commitSha: commit.sha,
+        submissionId,
+        contactId: mergedContact.contactId,
+        contactIds,
+        lineageFilePath,
+        metadataFilePath,
+      };
+    } catch (error) {
+      const safeError = {
+        message: error.message,
+        code: error.code,
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        data: error.response?.data,
+      };
+      logger.error("Failed to commit CDM merge:", safeError);
+
+      // Gitea rejects a stale SHA when main moved after it was read
+      if ([409, 422].includes(error.response?.status)) {
+        error.statusCode = 409;
+      }
+
+      if (branchCreated) {
+        try {
+          await this.deleteBranch(branchName);
+        } catch (cleanupError) {
+          logger.error("Failed to cleanup branch:", {
+            message: cleanupError.message,
+            status: cleanupError.response?.status,
+          });
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  formatPossibleDuplicates(candidates) {
+    if (!candidates || candidates.length === 0) {
+      return "";
+    }
+
+    const rows = candidates
+      .map(
+        (candidate) =>
+          `| ${candidate.contactId} | ${candidate.fullName} | ${
+            candidate.emailAddress
+          } | ${candidate.score} | ${candidate.matches
+            .map((match) => match.field)
+            .join(", ")} |`
+      )
+      .join("\n");
+
+    return `
+## ⚠️ Possible Duplicates
+| Contact ID | Name | Email | Score | Matched On |
+|---|---|---|---|---|
+${rows}
+`;
+  }
+
+  // Commit a batch of new contacts on one branch with a single submission
+  // metadata file listing every contactId, and open one pull request for it
+  async commitCdmBatch(contacts, metadata = {}) {
+    const submissionId = `${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 11)}`;
+    const branchName = this.generateBranchName("contact-import", submissionId);
+    let branchCreated = false;
+
+    try {
+      await this.ensureRepository();
+
+      const cdmStructure = generateCdmFileStructure(contacts);
+      const commitMessage = `Import contact data: ${contacts.length} contacts`;
+      const contactIds = contacts.map((contact) => contact.contactId);
+
+      cdmStructure.metadata = {
+        ...cdmStructure.metadata,
+        ...metadata,
+        submissionId,
+        operation: "import",
+        gitBranch: branchName,
+        contactIds,
+        gitCommitMessage: commitMessage,
+        processedAt: new Date().toISOString(),
+      };
+
+      const metadataFilePath = `metadata/submissions/${submissionId}.json`;
+
+      const commit = await this.commitFiles(
+        [
+          ...cdmStructure.entities.Contact.map((contact) => ({
+            operation: "create",
+            path: this.getContactFilePath(contact.contactId),
+            content: JSON.stringify(contact, null, 2),
+          })),
+          {
+            operation: "create",
+            path: metadataFilePath,
+            content: JSON.stringify(cdmStructure.metadata, null, 2),
+          },
+        ],
+        commitMessage,
+        {
+          newBranch: branchName,
+          author: await this.getCommitIdentity(metadata.submittedBy),
+        }
+      );
+      branchCreated = true;
+
+      const listedContacts = contacts
+        .slice(0, 50)
+        .map(
+          (contact) =>
+            `| ${contact.contactId} | ${contact.fullName} | ${
+              contact.emailAddress
+            } | ${contact.company || "N/A"} |`
+        )
+        .join("\n");
+      const rejectedRows = metadata.rejectedRows || [];
+
+      const pullRequest = await this.createPullRequest(
+        `Import Contacts: ${contacts.length} records`,
+        branchName,
+        "main",
+        `## Contact Import
+**Records:** ${contacts.length}
+**Rejected Rows:** ${rejectedRows.length}
+**Source File:** ${metadata.fileName || "N/A"}
+**Operation:** import
+
+| Contact ID | Name | Email | Company |
+|---|---|---|---|
+${listedContacts}${
+          contacts.length > 50
+            ? `\n\n_…and ${contacts.length - 50} more, see ${metadataFilePath}_`
+            : ""
+        }
+
+## CDM Compliance
+- ✅ Schema validation passed for every imported row
+- ✅ Required fields present
+- ✅ Data format validated
+
+## Submission Details
+- **Submission ID:** ${submissionId}
+- **Processed At:** ${cdmStructure.metadata.processedAt}
+- **Source:** ${metadata.source || "Bulk Import"}
+
+Please review and approve to merge these contacts into the main branch.`
+      );
+
+      return {
+        success: true,
+        branchName,
+        pullRequest,
+        operation: "import",
+        commitSha: commit.sha,
+        submissionId,
+        contactIds,
+        metadataFilePath,
+      };
+    } catch (error) {
+      const safeError = {
+        message: error.message,
+        code: error.code,
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        data: error.response?.data,
+      };
+      logger.error("Failed to commit CDM batch:", safeError);
+
+      if (branchCreated) {
+        try {
+          await this.deleteBranch(branchName);
+        } catch (cleanupError) {
+          logger.error("Failed to cleanup branch:", {
+            message: cleanupError.message,
+            status: cleanupError.response?.status,
+          });
+        }
       }
 
       throw error;
@@ -375,26 +1101,22 @@ Please review and approve to merge this contact data into the main branch.`
 
   async getRepositoryStats() {
     try {
-      const [repoInfo, branches, pulls] = await Promise.all([
-        this.client.get(`/repos/${this.repoOwner}/${this.repoName}`),
-        this.client.get(`/repos/${this.repoOwner}/${this.repoName}/branches`),
-        this.client.get(`/repos/${this.repoOwner}/${this.repoName}/pulls`, {
-          params: { state: "all" },
-        }),
+      const [repoInfo, branches, pullRequests] = await Promise.all([
+        this.provider.getRepository(),
+        this.provider.listBranches(),
+        this.provider.listPullRequests({ state: "all" }),
       ]);
 
-      // Ensure pulls.data is always an array
-      const pullRequests = Array.isArray(pulls.data) ? pulls.data : [];
-
       return {
+        provider: this.provider.name,
         repository: {
-          name: repoInfo.data.name,
-          description: repoInfo.data.description,
-          size: repoInfo.data.size,
-          createdAt: repoInfo.data.created_at,
-          updatedAt: repoInfo.data.updated_at,
+          name: repoInfo?.name,
+          description: repoInfo?.description,
+          size: repoInfo?.size,
+          createdAt: repoInfo?.created_at,
+          updatedAt: repoInfo?.updated_at,
         },
-        branches: branches.data.map((branch) => ({
+        branches: branches.map((branch) => ({
           name: branch.name,
           commit: branch.commit.id.substr(0, 7),
         })),
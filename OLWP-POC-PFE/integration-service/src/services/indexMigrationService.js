@@ -0,0 +1,421 @@
+const logger = require("../utils/logger");
+const OpenSearchService = require("./openSearchService");
+const { getPendingVersions } = require("../models/indexMappings");
+
+// Passes copying the documents changed since the previous one while writes
+// stay open, and the number of changed documents below which the remaining
+// ones are copied with writes blocked
+const MAX_CATCH_UP_PASSES = 5;
+const CATCH_UP_THRESHOLD = 100;
+
+// Page size when looking for documents deleted during the migration
+const DELETED_SCAN_SIZE = 1000;
+
+// Moves a managed index to its latest mapping version. The new
+// <alias>_v<n> index is filled by a server-side reindex (running the
+// transforms of every version skipped over) while reads and writes keep going
+// to the current index through the alias, then caught up by passes that copy
+// only the documents whose version moved since. Once a pass finds few enough
+// of those, writes are blocked on the current index for a last pass, the
+// documents deleted meanwhile are dropped from the new index and the alias is
+// flipped in one step. Writes through the alias fail with a cluster block
+// error only during that last window, which the result reports as
+// writesBlockedMs.
+class IndexMigrationService {
+  constructor() {
+    this.openSearchService = new OpenSearchService();
+    this.pollInterval = 1000;
+    this.running = new Set();
+  }
+
+  async getStatus() {
+    const keys = Object.keys(this.openSearchService.managedIndices);
+    return Promise.all(keys.map((key) => this.getIndexStatus(key)));
+  }
+
+  async getIndexStatus(key) {
+    const state = await this.openSearchService.getManagedIndexState(key);
+    const pending =
+      state.version === null
+        ? []
+        : getPendingVersions(key, state.version).map((entry) => ({
+            version: entry.version,
+            description: entry.description,
+            hasTransform: Boolean(entry.transform),
+          }));
+
+    return {
+      ...state,
+      migrating: this.running.has(key),
+      pendingMigrations: pending,
+    };
+  }
+
+  async migrate(name, { dryRun = false, keepPrevious = false } = {}) {
+    const key = this.openSearchService.getManagedIndexKey(name);
+    if (!key) {
+      const error = new Error(`Unknown index: ${name}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const status = await this.getIndexStatus(key);
+    if (status.version === null) {
+      const error = new Error(`Index ${status.alias} does not exist`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const plan = {
+      key,
+      alias: status.alias,
+      fromVersion: status.version,
+      toVersion: status.latestVersion,
+      sourceIndices: status.indices,
+      targetIndex: this.openSearchService.getVersionedIndexName(
+        key,
+        status.latestVersion
+      ),
+      migrations: status.pendingMigrations,
+    };
+
+    if (plan.migrations.length === 0) {
+      return { ...plan, targetIndex: null, status: "up_to_date" };
+    }
+    if (dryRun) {
+      return { ...plan, status: "dry_run" };
+    }
+
+    if (this.running.has(key)) {
+      const error = new Error(
+        `A migration of ${plan.alias} is already running`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const targetExists = await this.openSearchService.client.indices.exists({
+      index: plan.targetIndex,
+    });
+    if (targetExists.body) {
+      const error = new Error(
+        `${plan.targetIndex} already exists outside the ${plan.alias} alias`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    this.running.add(key);
+    try {
+      return await this.runMigration(plan, { keepPrevious });
+    } finally {
+      this.running.delete(key);
+    }
+  }
+
+  async runMigration(plan, { keepPrevious }) {
+    const { client } = this.openSearchService;
+    const startedAt = new Date().toISOString();
+    const script = this.buildTransformScript(plan.key, plan.fromVersion);
+
+    logger.info("Index migration started", {
+      alias: plan.alias,
+      fromVersion: plan.fromVersion,
+      toVersion: plan.toVersion,
+      targetIndex: plan.targetIndex,
+    });
+
+    await this.openSearchService.createManagedIndex(
+      plan.key,
+      plan.targetIndex,
+      plan.toVersion
+    );
+
+    let writesBlocked = false;
+    let swapped = false;
+    try {
+      const passes = [
+        await this.reindex(plan.sourceIndices, plan.targetIndex, { script }),
+      ];
+      while (
+        passes.length <= MAX_CATCH_UP_PASSES &&
+        this.countCopied(passes[passes.length - 1]) >= CATCH_UP_THRESHOLD
+      ) {
+        passes.push(
+          await this.reindex(plan.sourceIndices, plan.targetIndex, { script })
+        );
+      }
+
+      await this.setWriteBlock(plan.sourceIndices, true);
+      writesBlocked = true;
+      const blockedAt = Date.now();
+
+      const finalPass = await this.reindex(
+        plan.sourceIndices,
+        plan.targetIndex,
+        { script }
+      );
+      passes.push(finalPass);
+      await client.indices.refresh({ index: plan.targetIndex });
+      const removed = await this.checkCounts(plan, passes);
+
+      const previousIndices = await this.openSearchService.swapAlias(
+        plan.alias,
+        plan.targetIndex
+      );
+      swapped = true;
+      const writesBlockedMs = Date.now() - blockedAt;
+
+      // A concrete index under the alias name is dropped by the swap itself
+      if (previousIndices.length > 0) {
+        if (keepPrevious) {
+          await this.setWriteBlock(previousIndices, false);
+        } else {
+          await client.indices.delete({ index: previousIndices.join(",") });
+        }
+      }
+
+      const result = {
+        ...plan,
+        status: "completed",
+        reindexed: passes[0].total,
+        caughtUp: passes
+          .slice(1)
+          .reduce((sum, pass) => sum + this.countCopied(pass), 0),
+        passes: passes.length,
+        removed,
+        writesBlockedMs,
+        previousIndicesDeleted: !keepPrevious || plan.fromVersion === 0,
+        startedAt,
+        completedAt: new Date().toISOString(),
+      };
+      logger.info("Index migration completed", {
+        alias: plan.alias,
+        targetIndex: plan.targetIndex,
+        reindexed: result.reindexed,
+        caughtUp: result.caughtUp,
+        passes: result.passes,
+        removed,
+        writesBlockedMs,
+      });
+      return result;
+    } catch (error) {
+      logger.error("Index migration failed", {
+        alias: plan.alias,
+        targetIndex: plan.targetIndex,
+        swapped,
+        error: error.message,
+      });
+      // Once the alias is flipped the new index is the live one
+      if (!swapped) {
+        await this.rollback(plan, writesBlocked);
+      }
+      throw error;
+    }
+  }
+
+  // Put the current index back in service and drop the partial new one
+  async rollback(plan, writesBlocked) {
+    const { client } = this.openSearchService;
+
+    if (writesBlocked) {
+      await this.setWriteBlock(plan.sourceIndices, false).catch(
+        (unblockError) =>
+          logger.error("Failed to unblock writes after failed migration", {
+            sourceIndices: plan.sourceIndices,
+            error: unblockError.message,
+          })
+      );
+    }
+    await client.indices
+      .delete({ index: plan.targetIndex })
+      .catch((deleteError) =>
+        logger.warn("Failed to delete partial migration index", {
+          targetIndex: plan.targetIndex,
+          error: deleteError.message,
+        })
+      );
+  }
+
+  async setWriteBlock(indices, blocked) {
+    await this.openSearchService.client.indices.putSettings({
+      index: indices.join(","),
+      body: { "index.blocks.write": blocked },
+    });
+  }
+
+  countCopied(pass) {
+    return pass.created + pass.updated;
+  }
+
+  // Check the new index against what the reindex passes reported before the
+  // current one is given up: every document they created must be there, and
+  // the last pass, run with writes blocked, must have read every current
+  // document. Documents deleted from the current index after they were
+  // copied are the only ones left over, and are removed. Returns how many.
+  async checkCounts(plan, passes) {
+    const { client } = this.openSearchService;
+    const finalPass = passes[passes.length - 1];
+    const created = passes.reduce((sum, pass) => sum + pass.created, 0);
+    const [source, target] = await Promise.all([
+      client.count({ index: plan.sourceIndices.join(",") }),
+      client.count({ index: plan.targetIndex }),
+    ]);
+
+    if (target.body.count !== created) {
+      throw this.countMismatch(
+        `${plan.targetIndex} holds ${target.body.count} documents but the reindex created ${created}`
+      );
+    }
+    if (finalPass.total !== source.body.count) {
+      throw this.countMismatch(
+        `The last reindex pass read ${finalPass.total} of the ${source.body.count} documents in ${plan.alias}`
+      );
+    }
+    if (target.body.count === source.body.count) {
+      return 0;
+    }
+
+    const removed = await this.removeDeletedDocuments(plan);
+    if (target.body.count - removed !== source.body.count) {
+      throw this.countMismatch(
+        `${plan.targetIndex} holds ${
+          target.body.count - removed
+        } documents but ${plan.alias} holds ${source.body.count}`
+      );
+    }
+    return removed;
+  }
+
+  countMismatch(message) {
+    const error = new Error(`${message}; run the migration again`);
+    error.statusCode = 409;
+    return error;
+  }
+
+  // Delete from the new index the documents no longer in the current one,
+  // looked up a page of IDs at a time
+  async removeDeletedDocuments(plan) {
+    const { client } = this.openSearchService;
+    const deleted = [];
+    let scrollId = null;
+
+    try {
+      let response = await client.search({
+        index: plan.targetIndex,
+        scroll: "2m",
+        _source: false,
+        body: { size: DELETED_SCAN_SIZE, sort: ["_doc"] },
+      });
+
+      while (response.body.hits.hits.length > 0) {
+        scrollId = response.body._scroll_id;
+        const ids = response.body.hits.hits.map((hit) => hit._id);
+        const found = await client.search({
+          index: plan.sourceIndices.join(","),
+          _source: false,
+          body: { size: ids.length, query: { ids: { values: ids } } },
+        });
+        const remaining = new Set(found.body.hits.hits.map((hit) => hit._id));
+        deleted.push(...ids.filter((id) => !remaining.has(id)));
+
+        response = await client.scroll({
+          body: { scroll_id: scrollId, scroll: "2m" },
+        });
+      }
+      scrollId = response.body._scroll_id;
+    } finally {
+      if (scrollId) {
+        await client
+          .clearScroll({ body: { scroll_id: scrollId } })
+          .catch((error) => {
+            logger.warn("Failed to clear scroll context", {
+              error: error.message,
+            });
+          });
+      }
+    }
+
+    for (let i = 0; i < deleted.length; i += DELETED_SCAN_SIZE) {
+      await client.deleteByQuery({
+        index: plan.targetIndex,
+        refresh: true,
+        body: {
+          query: { ids: { values: deleted.slice(i, i + DELETED_SCAN_SIZE) } },
+        },
+      });
+    }
+
+    if (deleted.length > 0) {
+      logger.info("Removed documents deleted during the index migration", {
+        alias: plan.alias,
+        targetIndex: plan.targetIndex,
+        removed: deleted.length,
+      });
+    }
+    return deleted.length;
+  }
+
+  // Transforms of the versions being skipped over, applied in order
+  buildTransformScript(key, fromVersion) {
+    const transforms = getPendingVersions(key, fromVersion)
+      .filter((entry) => entry.transform)
+      .map((entry) => entry.transform.trim());
+
+    return transforms.length > 0
+      ? { lang: "painless", source: transforms.join("\n") }
+      : null;
+  }
+
+  // Server-side reindex, polled as a task so large indices do not hit the
+  // client request timeout. Copies keep the version of their source
+  // document, so a document already copied at its current version is
+  // skipped as a version conflict.
+  async reindex(sourceIndices, targetIndex, { script = null }) {
+    const { client } = this.openSearchService;
+    const response = await client.reindex({
+      wait_for_completion: false,
+      refresh: true,
+      body: {
+        conflicts: "proceed",
+        source: { index: sourceIndices },
+        dest: { index: targetIndex, version_type: "external" },
+        ...(script && { script }),
+      },
+    });
+
+    const result = await this.waitForTask(response.body.task);
+    if (result.failures && result.failures.length > 0) {
+      const [failure] = result.failures;
+      throw new Error(
+        `Reindex into ${targetIndex} failed for ${
+          result.failures.length
+        } documents: ${failure.cause?.reason || JSON.stringify(failure)}`
+      );
+    }
+    return result;
+  }
+
+  async waitForTask(taskId) {
+    for (;;) {
+      const response = await this.openSearchService.client.tasks.get({
+        task_id: taskId,
+      });
+
+      if (response.body.completed) {
+        if (response.body.error) {
+          throw new Error(
+            `Reindex task ${taskId} failed: ${
+              response.body.error.reason || response.body.error.type
+            }`
+          );
+        }
+        return response.body.response;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+    }
+  }
+}
+
+module.exports = IndexMigrationService;
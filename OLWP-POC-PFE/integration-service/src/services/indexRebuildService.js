@@ -0,0 +1,299 @@
+const logger = require("../utils/logger");
+const OpenSearchService = require("./openSearchService");
+const GiteaService = require("./giteaService");
+const NotificationService = require("./notificationService");
+const { getLatestVersion } = require("../models/indexMappings");
+
+// Rebuilds the contacts index from data/contacts/ on a Git branch. Files are
+// read at one commit, indexed into a fresh index, and the contacts alias is
+// swapped to it once everything is in. Contacts still in review are not on
+// the branch and are left out until their pull request merges.
+class IndexRebuildService {
+  constructor() {
+    this.openSearchService = new OpenSearchService();
+    this.giteaService = new GiteaService();
+    this.notificationService = new NotificationService();
+    this.batchSize = parseInt(process.env.INDEX_REBUILD_BATCH_SIZE) || 200;
+
+    this.jobs = new Map();
+    this.runningJobId = null;
+  }
+
+  start({ ref = "main", dryRun = false, keepPrevious = false } = {}) {
+    if (this.runningJobId) {
+      const error = new Error(
+        `Index rebuild ${this.runningJobId} is already running`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // Built with the latest mapping version, e.g. contacts_v2-<timestamp>
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const version = getLatestVersion("contacts").version;
+    const job = {
+      jobId: `rebuild-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      status: "running",
+      phase: "listing",
+      ref,
+      dryRun,
+      keepPrevious,
+      alias: this.openSearchService.contactsIndex,
+      targetIndex: dryRun
+        ? null
+        : `${this.openSearchService.getVersionedIndexName(
+            "contacts",
+            version
+          )}-${timestamp}`.toLowerCase(),
+      commitSha: null,
+      previousIndices: [],
+      total: 0,
+      processed: 0,
+      indexed: 0,
+      failed: 0,
+      failures: [],
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      error: null,
+    };
+
+    this.jobs.set(job.jobId, job);
+    this.runningJobId = job.jobId;
+
+    // Runs in the background; progress is read through getJob
+    this.run(job)
+      .catch(async (error) => {
+        job.status = "failed";
+        job.error = error.message;
+        logger.error("Index rebuild failed", {
+          jobId: job.jobId,
+          phase: job.phase,
+          error: error.message,
+        });
+        await this.discardTargetIndex(job);
+      })
+      .finally(() => {
+        job.completedAt = new Date().toISOString();
+        this.runningJobId = null;
+        return this.notifyCompletion(job);
+      });
+
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  listJobs() {
+    return [...this.jobs.values()].sort((a, b) =>
+      b.startedAt.localeCompare(a.startedAt)
+    );
+  }
+
+  async run(job) {
+    const startedAt = job.startedAt;
+
+    // Pin every read to one commit so the rebuild is a consistent snapshot
+    job.commitSha = await this.giteaService.getBranchCommitSha(job.ref);
+    const files = (
+      await this.giteaService.listDirectoryFiles("data/contacts", job.commitSha)
+    ).filter((file) => file.path.endsWith(".json"));
+    job.total = files.length;
+
+    logger.info("Index rebuild started", {
+      jobId: job.jobId,
+      commitSha: job.commitSha,
+      files: job.total,
+      targetIndex: job.targetIndex,
+    });
+
+    if (!job.dryRun) {
+      await this.openSearchService.createManagedIndex(
+        "contacts",
+        job.targetIndex
+      );
+    }
+
+    job.phase = "indexing";
+    for (let i = 0; i < files.length; i += this.batchSize) {
+      await this.processBatch(job, files.slice(i, i + this.batchSize));
+    }
+
+    if (job.dryRun) {
+      job.status = "completed";
+      job.phase = "done";
+      return;
+    }
+
+    // Keep changes indexed through the API while the rebuild was running
+    job.phase = "catching_up";
+    await this.copyRecentChanges(job.targetIndex, startedAt);
+
+    job.phase = "swapping";
+    await this.openSearchService.client.indices.refresh({
+      index: job.targetIndex,
+    });
+    job.previousIndices = await this.openSearchService.swapAlias(
+      job.alias,
+      job.targetIndex
+    );
+    job.phase = "cleanup";
+
+    if (!job.keepPrevious && job.previousIndices.length > 0) {
+      await this.openSearchService.client.indices.delete({
+        index: job.previousIndices.join(","),
+      });
+    }
+
+    job.status = job.failed > 0 ? "completed_with_errors" : "completed";
+    job.phase = "done";
+    logger.info("Index rebuild completed", {
+      jobId: job.jobId,
+      indexed: job.indexed,
+      failed: job.failed,
+      targetIndex: job.targetIndex,
+      previousIndices: job.previousIndices,
+    });
+  }
+
+  async processBatch(job, files) {
+    const contacts = [];
+
+    for (const file of files) {
+      try {
+        contacts.push(await this.giteaService.readContactFile(file));
+      } catch (error) {
+        this.recordFailure(job, file.path, error.message);
+      }
+    }
+
+    if (contacts.length > 0) {
+      await this.carryOverSyncFields(contacts);
+    }
+
+    if (!job.dryRun && contacts.length > 0) {
+      const result = await this.openSearchService.bulkIndexContacts(
+        contacts,
+        job.targetIndex
+      );
+      job.indexed += result.indexed;
+      result.failed.forEach((failure) => {
+        this.recordFailure(
+          job,
+          this.giteaService.getContactFilePath(failure.contactId),
+          failure.error
+        );
+      });
+    } else {
+      job.indexed += contacts.length;
+    }
+
+    job.processed += files.length;
+  }
+
+  async carryOverSyncFields(contacts) {
+    try {
+      const response = await this.openSearchService.client.mget({
+        index: this.openSearchService.contactsIndex,
+        body: { ids: contacts.map((contact) => contact.contactId) },
+        _source: this.openSearchService.syncFields,
+      });
+
+      response.body.docs.forEach((doc, index) => {
+        if (doc.found) {
+          Object.assign(contacts[index], doc._source);
+        }
+      });
+    } catch (error) {
+      // A lost index is what a rebuild recovers from
+      if (error.meta?.statusCode !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  async copyRecentChanges(targetIndex, since) {
+    try {
+      await this.openSearchService.client.reindex({
+        refresh: true,
+        body: {
+          source: {
+            index: this.openSearchService.contactsIndex,
+            query: { range: { modifiedOn: { gte: since } } },
+          },
+          dest: { index: targetIndex },
+        },
+      });
+    } catch (error) {
+      if (error.meta?.statusCode !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  // Drop a half-built index; once the alias points to it, it is live
+  async discardTargetIndex(job) {
+    if (!job.targetIndex || ["cleanup", "done"].includes(job.phase)) {
+      return;
+    }
+
+    try {
+      await this.openSearchService.client.indices.delete({
+        index: job.targetIndex,
+      });
+    } catch (error) {
+      logger.warn("Failed to delete partial rebuild index", {
+        jobId: job.jobId,
+        targetIndex: job.targetIndex,
+        error: error.message,
+      });
+    }
+  }
+
+  recordFailure(job, path, error) {
+    job.failed++;
+    job.failures.push({ path, error });
+    logger.warn("Contact file skipped during index rebuild", {
+      jobId: job.jobId,
+      path,
+      error,
+    });
+  }
+
+  async notifyCompletion(job) {
+    try {
+      await this.notificationService.sendNotification({
+        type:
+          job.status === "failed"
+            ? "index_rebuild_failed"
+            : "index_rebuild_completed",
+        title:
+          job.status === "failed"
+            ? "Contacts Index Rebuild Failed"
+            : "Contacts Index Rebuilt",
+        message:
+          job.status === "failed"
+            ? `Rebuilding the contacts index from ${job.ref} failed: ${job.error}`
+            : `Indexed ${job.indexed} of ${job.total} contact files from ${
+                job.ref
+              }${job.failed > 0 ? ` (${job.failed} failed)` : ""}`,
+        metadata: {
+          jobId: job.jobId,
+          commitSha: job.commitSha,
+          targetIndex: job.targetIndex,
+          dryRun: job.dryRun,
+          indexed: job.indexed,
+          failed: job.failed,
+        },
+      });
+    } catch (error) {
+      logger.warn("Failed to send index rebuild notification", {
+        jobId: job.jobId,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = IndexRebuildService;
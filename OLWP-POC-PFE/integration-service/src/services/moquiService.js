@@ -1,6 +1,20 @@
 const axios = require("axios");
 const logger = require("../utils/logger");
 
+// Fields of each contact mechanism type that are written from a CDM contact
+const CONTACT_MECH_FIELDS = {
+  CmtEmailAddress: ["infoString"],
+  CmtTelecomNumber: ["countryCode", "areaCode", "contactNumber"],
+  CmtPostalAddress: [
+    "address1",
+    "address2",
+    "city",
+    "stateProvinceGeoId",
+    "postalCode",
+    "countryGeoId",
+  ],
+};
+
 class MoquiService {
   constructor() {
     this.baseUrl = process.env.MOQUI_URL || "http://host.docker.internal:8080";
@@ -56,6 +70,24 @@ class MoquiService {
 
   async createContact(contactData) {
     try {
+      // Replays must not create a second party for the same CDM contact
+      const existingPartyId = await this.findExistingParty(contactData);
+      if (existingPartyId) {
+        logger.info("Contact already exists in Moqui, updating instead", {
+          contactId: contactData.contactId,
+          moquiPartyId: existingPartyId,
+        });
+
+        const updateResult = await this.updateContact(
+          existingPartyId,
+          contactData
+        );
+        return {
+          ...updateResult,
+          details: { ...updateResult.details, matchedExisting: true },
+        };
+      }
+
       // Transform CDM contact data to Moqui Party format
       const moquiPartyData = this.transformToMoquiParty(contactData);
 
@@ -78,64 +110,30 @@ class MoquiService {
         contactId: contactData.contactId,
       });
 
-      // Add contact information
-      const contactPromises = [];
-
-      // Add email contact
-      if (contactData.emailAddress) {
-        contactPromises.push(
-          this.client.post(`/${partyId}/contactMechs`, {
-            contactMechTypeEnumId: "CmtEmailAddress",
-            infoString: contactData.emailAddress,
-            contactMechPurposeId: "EmailPrimary",
-          })
-        );
-      }
-
-      // Add phone contact
-      if (contactData.phoneNumber) {
-        contactPromises.push(
-          this.client.post(`/${partyId}/contactMechs`, {
-            contactMechTypeEnumId: "CmtTelecomNumber",
-            countryCode: this.extractCountryCode(contactData.phoneNumber),
-            areaCode: "212", // Default area code for Morocco
-            contactNumber: contactData.phoneNumber,
-            contactMechPurposeId: "PhonePrimary",
-          })
-        );
-      }
-
-      // Add postal address
-      if (contactData.addressLine1 || contactData.city) {
-        contactPromises.push(
-          this.client.post(`/${partyId}/contactMechs`, {
-            contactMechTypeEnumId: "CmtPostalAddress",
-            address1: contactData.addressLine1 || "",
-            address2: contactData.addressLine2 || "",
-            city: contactData.city || "",
-            stateProvinceGeoId: this.mapStateToGeoId(
-              contactData.stateProvince,
-              contactData.country
-            ),
-            postalCode: contactData.postalCode || "",
-            countryGeoId: this.mapCountryToGeoId(contactData.country),
-            contactMechPurposeId: "PostalPrimary",
-          })
-        );
-      }
+      // Store the external ID first so a retry after a partial failure finds
+      // this party instead of creating another one
+      await this.setPartyAttribute(
+        partyId,
+        "cdmContactId",
+        contactData.contactId,
+        "CDM Contact ID"
+      );
 
-      // Execute all contact mechanism creations
-      await Promise.all(contactPromises);
+      // Add contact information
+      const contactMechs = this.buildContactMechs(contactData);
+      await Promise.all(
+        contactMechs.map((contactMech) =>
+          this.client.post(`/${partyId}/contactMechs`, contactMech)
+        )
+      );
 
       // Add employment information if available
       if (contactData.company) {
         await this.addEmploymentInfo(partyId, contactData);
       }
 
-      // Add custom attributes
-      if (contactData.customFields || contactData.notes) {
-        await this.addCustomAttributes(partyId, contactData);
-      }
+      // Add custom attributes, the same set updateContact reconciles
+      await this.addCustomAttributes(partyId, contactData);
 
       logger.info("Contact successfully created in Moqui", {
         contactId: contactData.contactId,
@@ -149,7 +147,7 @@ class MoquiService {
         message: "Contact created successfully in Moqui",
         details: {
           partyId,
-          contactMechanisms: contactPromises.length,
+          contactMechanisms: contactMechs.length,
           hasEmployment: !!contactData.company,
         },
       };
@@ -171,6 +169,365 @@ class MoquiService {
     }
   }
 
+  // Resolve the party of a CDM contact, from the moquiId already saved in
+  // OpenSearch or from the cdmContactId party attribute
+  async findExistingParty(contactData) {
+    if (contactData.moquiId) {
+      try {
+        await this.client.get(`/persons/${contactData.moquiId}`);
+        return contactData.moquiId;
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          throw error;
+        }
+        logger.warn("Stored Moqui party not found", {
+          contactId: contactData.contactId,
+          moquiId: contactData.moquiId,
+        });
+      }
+    }
+
+    return this.findPartyByContactId(contactData.contactId);
+  }
+
+  async findPartyByContactId(contactId) {
+    if (!contactId) {
+      return null;
+    }
+
+    const response = await this.client.get("/persons", {
+      params: { cdmContactId: contactId },
+    });
+    const parties = Array.isArray(response.data) ? response.data : [];
+
+    if (parties.length > 1) {
+      logger.warn("Multiple Moqui parties share the same CDM contact ID", {
+        contactId,
+        partyIds: parties.map((party) => party.partyId),
+      });
+    }
+
+    return parties[0]?.partyId || null;
+  }
+
+  async setPartyAttribute(partyId, attrName, attrValue, attrDescription) {
+    await this.client.post(`/${partyId}/attributes`, {
+      partyId,
+      attrName,
+      attrValue,
+      attrDescription,
+    });
+  }
+
+  // Contact mechanisms a CDM contact should have in Moqui, one per purpose
+  buildContactMechs(contactData) {
+    const contactMechs = [];
+
+    // Add email contact
+    if (contactData.emailAddress) {
+      contactMechs.push({
+        contactMechTypeEnumId: "CmtEmailAddress",
+        infoString: contactData.emailAddress,
+        contactMechPurposeId: "EmailPrimary",
+      });
+    }
+
+    // Add phone contact
+    if (contactData.phoneNumber) {
+      contactMechs.push({
+        contactMechTypeEnumId: "CmtTelecomNumber",
+        countryCode: this.extractCountryCode(contactData.phoneNumber),
+        areaCode: "212", // Default area code for Morocco
+        contactNumber: contactData.phoneNumber,
+        contactMechPurposeId: "PhonePrimary",
+      });
+    }
+
+    // Add postal address
+    if (contactData.addressLine1 || contactData.city) {
+      contactMechs.push({
+        contactMechTypeEnumId: "CmtPostalAddress",
+        address1: contactData.addressLine1 || "",
+        address2: contactData.addressLine2 || "",
+        city: contactData.city || "",
+        stateProvinceGeoId: this.mapStateToGeoId(
+          contactData.stateProvince,
+          contactData.country
+        ),
+        postalCode: contactData.postalCode || "",
+        countryGeoId: this.mapCountryToGeoId(contactData.country),
+        contactMechPurposeId: "PostalPrimary",
+      });
+    }
+
+    return contactMechs;
+  }
+
+  isSameContactMech(existing, desired) {
+    return Object.keys(desired).every(
+      (field) => (existing[field] || "") === (desired[field] || "")
+    );
+  }
+
+  // Bring the party's email, phone and postal address in line with the CDM
+  // record: unchanged mechanisms are kept, changed or removed ones expired
+  async reconcileContactMechs(partyId, contactData) {
+    const response = await this.client.get(`/${partyId}/contactMechs`);
+    const activeMechs = (
+      Array.isArray(response.data) ? response.data : []
+    ).filter((contactMech) => !contactMech.thruDate);
+    const desiredMechs = this.buildContactMechs(contactData);
+    const thruDate = new Date().toISOString();
+    const result = { added: 0, expired: 0, unchanged: 0 };
+
+    for (const purposeId of ["EmailPrimary", "PhonePrimary", "PostalPrimary"]) {
+      const desired = desiredMechs.find(
+        (contactMech) => contactMech.contactMechPurposeId === purposeId
+      );
+      const current = activeMechs.filter(
+        (contactMech) => contactMech.contactMechPurposeId === purposeId
+      );
+      const unchanged =
+        desired &&
+        current.find((contactMech) =>
+          this.isSameContactMech(contactMech, desired)
+        );
+
+      for (const contactMech of current) {
+        if (contactMech !== unchanged) {
+          await this.client.put(
+            `/${partyId}/contactMechs/${contactMech.contactMechId}`,
+            { thruDate }
+          );
+          result.expired++;
+        }
+      }
+
+      if (unchanged) {
+        result.unchanged++;
+      } else if (desired) {
+        await this.client.post(`/${partyId}/contactMechs`, desired);
+        result.added++;
+      }
+    }
+
+    logger.info("Contact mechanisms reconciled", { partyId, ...result });
+    return result;
+  }
+
+  // End employment with a previous company and start it with the current one
+  async reconcileEmployment(partyId, contactData) {
+    const response = await this.client.get("/relationships", {
+      params: {
+        fromPartyId: partyId,
+        partyRelationshipTypeEnumId: "PrtEmployee",
+      },
+    });
+    const activeRelationships = (
+      Array.isArray(response.data) ? response.data : []
+    ).filter((relationship) => !relationship.thruDate);
+
+    const organizationId = contactData.company
+      ? await this.findOrCreateOrganization(contactData.company)
+      : null;
+    const comments = this.getEmploymentComments(contactData);
+    const current = activeRelationships.find(
+      (relationship) => relationship.toPartyId === organizationId
+    );
+    const thruDate = new Date().toISOString();
+    const result = { ended: 0, started: 0, updated: 0 };
+
+    for (const relationship of activeRelationships) {
+      if (relationship !== current) {
+        await this.client.put(`/relationships/${relationship.relationshipId}`, {
+          thruDate,
+          statusId: "PrInactive",
+        });
+        result.ended++;
+      }
+    }
+
+    if (current) {
+      if ((current.comments || undefined) !== comments) {
+        await this.client.put(`/relationships/${current.relationshipId}`, {
+          comments,
+        });
+        result.updated++;
+      }
+    } else if (organizationId) {
+      await this.createEmploymentRelationship(
+        partyId,
+        organizationId,
+        contactData
+      );
+      result.started++;
+    }
+
+    logger.info("Employment reconciled", {
+      partyId,
+      organizationId,
+      ...result,
+    });
+    return result;
+  }
+
+  // Write changed attributes and remove the ones the CDM record no longer has
+  async reconcileAttributes(partyId, contactData) {
+    const response = await this.client.get(`/${partyId}/attributes`);
+    const existingAttributes = Array.isArray(response.data)
+      ? response.data
+      : [];
+    const desiredAttributes = [
+      {
+        attrName: "cdmContactId",
+        attrValue: contactData.contactId,
+        attrDescription: "CDM Contact ID",
+      },
+      ...this.buildPartyAttributes(contactData),
+    ];
+    const result = { added: 0, updated: 0, removed: 0 };
+
+    for (const desired of desiredAttributes) {
+      const existing = existingAttributes.find(
+        (attribute) => attribute.attrName === desired.attrName
+      );
+
+      if (!existing) {
+        await this.client.post(`/${partyId}/attributes`, {
+          partyId,
+          ...desired,
+        });
+        result.added++;
+      } else if (existing.attrValue !== desired.attrValue) {
+        await this.client.put(
+          `/${partyId}/attributes/${encodeURIComponent(desired.attrName)}`,
+          {
+            attrValue: desired.attrValue,
+            attrDescription: desired.attrDescription,
+          }
+        );
+        result.updated++;
+      }
+    }
+
+    for (const existing of existingAttributes) {
+      const isDesired = desiredAttributes.some(
+        (desired) => desired.attrName === existing.attrName
+      );
+      if (!isDesired && this.isManagedAttribute(existing.attrName)) {
+        await this.client.delete(
+          `/${partyId}/attributes/${encodeURIComponent(existing.attrName)}`
+        );
+        result.removed++;
+      }
+    }
+
+    logger.info("Party attributes reconciled", { partyId, ...result });
+    return result;
+  }
+
+  // Attributes written from the CDM record; anything else on the party is
+  // left alone
+  isManagedAttribute(attrName) {
+    return (
+      ["notes", "department", "preferredContactMethod", "tags"].includes(
+        attrName
+      ) || attrName.startsWith("custom_")
+    );
+  }
+
+  // Persons linked to a CDM contact through the cdmContactId attribute, with
+  // their attributes; persons created directly in Moqui are left out
+  async listContactParties() {
+    const response = await this.client.get("/persons");
+    const persons = Array.isArray(response.data) ? response.data : [];
+    const parties = [];
+
+    for (const person of persons) {
+      const attributesResponse = await this.client.get(
+        `/${person.partyId}/attributes`
+      );
+      const attributes = Array.isArray(attributesResponse.data)
+        ? attributesResponse.data
+        : [];
+      const contactIdAttribute = attributes.find(
+        (attribute) => attribute.attrName === "cdmContactId"
+      );
+
+      if (contactIdAttribute) {
+        parties.push({
+          partyId: person.partyId,
+          contactId: contactIdAttribute.attrValue,
+          person,
+          attributes,
+        });
+      }
+    }
+
+    return parties;
+  }
+
+  // What a party written from a CDM record looks like, in the same shape as
+  // getPartySnapshot. Employment is not part of it.
+  buildPartySnapshot(contactData) {
+    const { firstName, lastName, statusId } =
+      this.transformToMoquiParty(contactData);
+    const contactMechs = {};
+    this.buildContactMechs(contactData).forEach((contactMech) => {
+      contactMechs[contactMech.contactMechPurposeId] =
+        this.pickContactMechFields(contactMech);
+    });
+    const attributes = {};
+    [
+      { attrName: "cdmContactId", attrValue: contactData.contactId },
+      ...this.buildPartyAttributes(contactData),
+    ].forEach((attribute) => {
+      attributes[attribute.attrName] = attribute.attrValue;
+    });
+
+    return { firstName, lastName, statusId, contactMechs, attributes };
+  }
+
+  // Current state of a party from listContactParties, reduced to what
+  // buildPartySnapshot produces
+  async getPartySnapshot(party) {
+    const response = await this.client.get(`/${party.partyId}/contactMechs`);
+    const contactMechs = {};
+    (Array.isArray(response.data) ? response.data : [])
+      .filter((contactMech) => !contactMech.thruDate)
+      .forEach((contactMech) => {
+        contactMechs[contactMech.contactMechPurposeId] =
+          this.pickContactMechFields(contactMech);
+      });
+    const attributes = {};
+    party.attributes
+      .filter(
+        (attribute) =>
+          attribute.attrName === "cdmContactId" ||
+          this.isManagedAttribute(attribute.attrName)
+      )
+      .forEach((attribute) => {
+        attributes[attribute.attrName] = attribute.attrValue;
+      });
+
+    return {
+      firstName: party.person.firstName,
+      lastName: party.person.lastName,
+      statusId: party.person.statusId,
+      contactMechs,
+      attributes,
+    };
+  }
+
+  pickContactMechFields(contactMech) {
+    const fields = CONTACT_MECH_FIELDS[contactMech.contactMechTypeEnumId] || [];
+    const picked = { contactMechTypeEnumId: contactMech.contactMechTypeEnumId };
+    fields.forEach((field) => {
+      picked[field] = contactMech[field] || "";
+    });
+    return picked;
+  }
+
   transformToMoquiParty(contactData) {
     // Split full name into first and last name
     const nameParts = contactData.fullName.trim().split(" ");
@@ -192,25 +549,11 @@ class MoquiService {
         contactData.company
       );
 
-      // Create employment relationship
-      await this.client.post("/relationships", {
-        fromPartyId: partyId,
-        toPartyId: organizationId,
-        partyRelationshipTypeEnumId: "PrtEmployee",
-        fromDate: new Date().toISOString(),
-        statusId: "PrActive",
-        comments: contactData.jobTitle
-          ? `Job Title: ${contactData.jobTitle}`
-          : undefined,
-      });
-
-      // Add role information
-      if (contactData.jobTitle) {
-        await this.client.post(`/${partyId}/roles`, {
-          roleTypeId: "Employee",
-          fromDate: new Date().toISOString(),
-        });
-      }
+      await this.createEmploymentRelationship(
+        partyId,
+        organizationId,
+        contactData
+      );
 
       logger.info("Employment information added", {
         partyId,
@@ -226,6 +569,32 @@ class MoquiService {
     }
   }
 
+  async createEmploymentRelationship(partyId, organizationId, contactData) {
+    // Create employment relationship
+    await this.client.post("/relationships", {
+      fromPartyId: partyId,
+      toPartyId: organizationId,
+      partyRelationshipTypeEnumId: "PrtEmployee",
+      fromDate: new Date().toISOString(),
+      statusId: "PrActive",
+      comments: this.getEmploymentComments(contactData),
+    });
+
+    // Add role information
+    if (contactData.jobTitle) {
+      await this.client.post(`/${partyId}/roles`, {
+        roleTypeId: "Employee",
+        fromDate: new Date().toISOString(),
+      });
+    }
+  }
+
+  getEmploymentComments(contactData) {
+    return contactData.jobTitle
+      ? `Job Title: ${contactData.jobTitle}`
+      : undefined;
+  }
+
   async findOrCreateOrganization(companyName) {
     try {
       // Search for existing organization
@@ -256,59 +625,11 @@ class MoquiService {
 
   async addCustomAttributes(partyId, contactData) {
     try {
-      const attributes = [];
-
-      if (contactData.notes) {
-        attributes.push({
-          partyId,
-          attrName: "notes",
-          attrValue: contactData.notes,
-          attrDescription: "Contact Notes",
-        });
-      }
-
-      if (contactData.department) {
-        attributes.push({
-          partyId,
-          attrName: "department",
-          attrValue: contactData.department,
-          attrDescription: "Department",
-        });
-      }
-
-      if (contactData.preferredContactMethod) {
-        attributes.push({
-          partyId,
-          attrName: "preferredContactMethod",
-          attrValue: contactData.preferredContactMethod,
-          attrDescription: "Preferred Contact Method",
-        });
-      }
-
-      if (contactData.tags && contactData.tags.length > 0) {
-        attributes.push({
-          partyId,
-          attrName: "tags",
-          attrValue: contactData.tags.join(","),
-          attrDescription: "Contact Tags",
-        });
-      }
-
-      // Add custom fields
-      if (contactData.customFields) {
-        Object.entries(contactData.customFields).forEach(([key, value]) => {
-          attributes.push({
-            partyId,
-            attrName: `custom_${key}`,
-            attrValue: String(value),
-            attrDescription: `Custom Field: ${key}`,
-          });
-        });
-      }
+      const attributes = this.buildPartyAttributes(contactData);
 
       // Create all attributes
       for (const attr of attributes) {
-        await this.client.post(`/${partyId}/attributes`, attr);
+        await this.client.post(`/${partyId}/attributes`, { partyId, ...attr });
       }
 
       logger.info("Custom attributes added", {
@@ -324,6 +645,55 @@ class MoquiService {
     }
   }
 
+  buildPartyAttributes(contactData) {
+    const attributes = [];
+
+    if (contactData.notes) {
+      attributes.push({
+        attrName: "notes",
+        attrValue: contactData.notes,
+        attrDescription: "Contact Notes",
+      });
+    }
+
+    if (contactData.department) {
+      attributes.push({
+        attrName: "department",
+        attrValue: contactData.department,
+        attrDescription: "Department",
+      });
+    }
+
+    if (contactData.preferredContactMethod) {
+      attributes.push({
+        attrName: "preferredContactMethod",
+        attrValue: contactData.preferredContactMethod,
+        attrDescription: "Preferred Contact Method",
+      });
+    }
+
+    if (contactData.tags && contactData.tags.length > 0) {
+      attributes.push({
+        attrName: "tags",
+        attrValue: contactData.tags.join(","),
+        attrDescription: "Contact Tags",
+      });
+    }
+
+    // Add custom fields
+    if (contactData.customFields) {
+      Object.entries(contactData.customFields).forEach(([key, value]) => {
+        attributes.push({
+          attrName: `custom_${key}`,
+          attrValue: String(value),
+          attrDescription: `Custom Field: ${key}`,
+        });
+      });
+    }
+
+    return attributes;
+  }
+
   // Utility methods for phone number parsing
   extractCountryCode(phoneNumber) {
     const match = phoneNumber.match(/^\+(\d{1,3})/);
@@ -384,13 +754,30 @@ class MoquiService {
       const moquiPartyData = this.transformToMoquiParty(contactData);
       await this.client.put(`/persons/${moquiPartyId}`, moquiPartyData);
 
-      // Note: For a complete implementation, you'd also update contact mechanisms
-      // This is a simplified version
+      const contactMechanisms = await this.reconcileContactMechs(
+        moquiPartyId,
+        contactData
+      );
+      const employment = await this.reconcileEmployment(
+        moquiPartyId,
+        contactData
+      );
+      // Also backfills cdmContactId on parties created before it existed
+      const attributes = await this.reconcileAttributes(
+        moquiPartyId,
+        contactData
+      );
 
       return {
         success: true,
         moquiId: moquiPartyId,
         message: "Contact updated successfully in Moqui",
+        details: {
+          partyId: moquiPartyId,
+          contactMechanisms,
+          employment,
+          attributes,
+        },
       };
     } catch (error) {
       logger.error("Failed to update contact in Moqui", {
@@ -432,6 +819,53 @@ class MoquiService {
     }
   }
 
+  // Disable a party whose contact was merged away and link it to the
+  // survivor; the survivor's party is only known once it has been synced
+  async mergeContact(moquiPartyId, survivor) {
+    try {
+      logger.info("Merging contact in Moqui", {
+        moquiPartyId,
+        survivorContactId: survivor.contactId,
+        survivorPartyId: survivor.moquiId,
+      });
+
+      await this.client.put(`/persons/${moquiPartyId}`, {
+        statusId: "PtyDisabled",
+      });
+      await this.setPartyAttribute(
+        moquiPartyId,
+        "mergedIntoContactId",
+        survivor.contactId,
+        "Merged Into CDM Contact ID"
+      );
+      if (survivor.moquiId) {
+        await this.setPartyAttribute(
+          moquiPartyId,
+          "mergedIntoPartyId",
+          survivor.moquiId,
+          "Merged Into Party ID"
+        );
+      }
+
+      return {
+        success: true,
+        moquiId: moquiPartyId,
+        message: "Contact disabled and linked to survivor in Moqui",
+        details: { mergedIntoPartyId: survivor.moquiId },
+      };
+    } catch (error) {
+      logger.error("Failed to merge contact in Moqui", {
+        moquiPartyId,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   async getHealthStatus() {
     try {
       // Simple health check - try to get system info
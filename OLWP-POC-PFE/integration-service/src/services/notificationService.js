@@ -150,6 +150,9 @@ class NotificationService {
       review_requested: "info",
       review_updated: "info",
       validation_failed: "warn",
+      submission_rejected: "warn",
+      review_escalated: "warn",
+      janitor_failed: "error",
       system_alert: "warn",
     };
 
@@ -1,5 +1,10 @@
 const { Client } = require("@opensearch-project/opensearch");
 const logger = require("../utils/logger");
+const { normalizePhoneNumber } = require("../utils/contactMatching");
+const {
+  getLatestVersion,
+  getMappingVersion,
+} = require("../models/indexMappings");
 
 class OpenSearchService {
   constructor() {
@@ -22,6 +27,37 @@ class OpenSearchService {
       process.env.OPENSEARCH_INDEX_REFERENCE || "reference-data";
     this.notificationsIndex =
       process.env.OPENSEARCH_INDEX_NOTIFICATIONS || "notifications";
+    this.syncQueueIndex =
+      process.env.OPENSEARCH_INDEX_SYNC_QUEUE || "sync-queue";
+    this.submissionsIndex =
+      process.env.OPENSEARCH_INDEX_SUBMISSIONS || "submissions";
+    this.webhookDeliveriesIndex =
+      process.env.OPENSEARCH_INDEX_WEBHOOK_DELIVERIES || "webhook-deliveries";
+    this.reviewRotationsIndex =
+      process.env.OPENSEARCH_INDEX_REVIEW_ROTATIONS || "review-rotations";
+
+    // Sync bookkeeping lives only in OpenSearch, so it is kept when a contact
+    // is re-indexed from Git
+    this.syncFields = [
+      "moquiId",
+      "syncStatus",
+      "syncError",
+      "syncAttempts",
+      "syncedAt",
+      "syncAttemptedAt",
+      "lastSyncType",
+    ];
+
+    // Aliases of the indices with versioned mappings (models/indexMappings)
+    this.managedIndices = {
+      contacts: this.contactsIndex,
+      reference: this.referenceIndex,
+      notifications: this.notificationsIndex,
+      syncQueue: this.syncQueueIndex,
+      submissions: this.submissionsIndex,
+      webhookDeliveries: this.webhookDeliveriesIndex,
+      reviewRotations: this.reviewRotationsIndex,
+    };
   }
 
   async initialize() {
@@ -55,153 +91,181 @@ class OpenSearchService {
   }
 
   async ResetReferenceIndices() {
-    // Check if reference data index exists
-    // and delete it if it does
-    const referencesExists = await this.client.indices.exists({
-      index: this.referenceIndex,
-    });
+    await this.deleteManagedIndex(this.referenceIndex);
+  }
 
-    if (referencesExists.body) {
-      await this.client.indices.delete({
-        index: this.referenceIndex,
-      });
-      logger.info(`Deleted reference data index: ${this.referenceIndex}`);
+  async ResetContactIndices() {
+    await this.deleteManagedIndex(this.contactsIndex);
+  }
+
+  // Delete the indices behind an alias, or a concrete index created before
+  // aliases were used
+  async deleteManagedIndex(alias) {
+    const aliasTargets = await this.getAliasTargets(alias);
+    if (aliasTargets.length > 0) {
+      await this.client.indices.delete({ index: aliasTargets.join(",") });
+      logger.info(
+        `Deleted indices behind ${alias}: ${aliasTargets.join(", ")}`
+      );
+      return;
+    }
+
+    const exists = await this.client.indices.exists({ index: alias });
+    if (exists.body) {
+      await this.client.indices.delete({ index: alias });
+      logger.info(`Deleted index: ${alias}`);
     }
   }
 
-  async ResetContactIndices() {
-    // Check if contact data index exists
-    // and delete it if it does
-    const contactsExists = await this.client.indices.exists({
-      index: this.contactsIndex,
-    });
+  getManagedIndexKey(name) {
+    if (this.managedIndices[name]) {
+      return name;
+    }
+    return (
+      Object.keys(this.managedIndices).find(
+        (key) => this.managedIndices[key] === name
+      ) || null
+    );
+  }
 
-    if (contactsExists.body) {
-      await this.client.indices.delete({
-        index: this.contactsIndex,
-      });
-      logger.info(`Deleted contacts data index: ${this.contactsIndex}`);
+  getVersionedIndexName(key, version) {
+    return `${this.managedIndices[key]}_v${version}`;
+  }
+
+  // Mapping version from an index name (contacts_v2, or contacts_v2-<time>
+  // for a rebuild); 0 for indices created before versioning
+  getIndexVersion(indexName) {
+    const match = indexName.match(/_v(\d+)(?:-[\w-]+)?$/);
+    return match ? parseInt(match[1]) : 0;
+  }
+
+  getIndexBody(key, version = getLatestVersion(key).version) {
+    const mappingVersion = getMappingVersion(key, version);
+    if (!mappingVersion) {
+      throw new Error(`Unknown mapping version ${version} for ${key}`);
     }
+    return { mappings: mappingVersion.mappings };
   }
 
-  async ensureIndices() {
+  async createManagedIndex(key, indexName, version) {
+    await this.client.indices.create({
+      index: indexName,
+      body: this.getIndexBody(key, version),
+    });
+  }
+
+  // Indices an alias points to; empty when the name is not an alias
+  async getAliasTargets(alias) {
     try {
-      // Create contacts index if it doesn't exist
-      const contactsExists = await this.client.indices.exists({
-        index: this.contactsIndex,
-      });
+      const response = await this.client.indices.getAlias({ name: alias });
+      return Object.keys(response.body);
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
 
-      if (!contactsExists.body) {
-        await this.client.indices.create({
-          index: this.contactsIndex,
-          body: {
-            mappings: {
-              properties: {
-                contactId: { type: "keyword" },
-                fullName: {
-                  type: "text",
-                  fields: {
-                    keyword: { type: "keyword" },
-                  },
-                },
-                emailAddress: { type: "keyword" },
-                phoneNumber: { type: "keyword" },
-                company: {
-                  type: "text",
-                  fields: {
-                    keyword: { type: "keyword" },
-                  },
-                },
-                city: { type: "keyword" },
-                stateProvince: { type: "keyword" },
-                country: { type: "keyword" },
-                jobTitle: { type: "keyword" },
-                department: { type: "keyword" },
-                preferredContactMethod: { type: "keyword" },
-                isActive: { type: "boolean" },
-                tags: { type: "keyword" },
-                createdOn: { type: "date" },
-                modifiedOn: { type: "date" },
-                createdBy: { type: "keyword" },
-                modifiedBy: { type: "keyword" },
-              },
-            },
-          },
-        });
-        logger.info(`Created contacts index: ${this.contactsIndex}`);
+  // Where a managed index stands: the indices behind its alias and their
+  // mapping version. version is 0 for a concrete index still using the alias
+  // name and null when nothing exists yet.
+  async getManagedIndexState(key) {
+    const alias = this.managedIndices[key];
+    const indices = await this.getAliasTargets(alias);
+    let version = null;
+    let concrete = false;
+
+    if (indices.length > 0) {
+      version = Math.min(
+        ...indices.map((index) => this.getIndexVersion(index))
+      );
+    } else {
+      const exists = await this.client.indices.exists({ index: alias });
+      if (exists.body) {
+        concrete = true;
+        version = 0;
       }
+    }
 
-      // Create reference data index if it doesn't exist
-      const referenceExists = await this.client.indices.exists({
-        index: this.referenceIndex,
-      });
+    return {
+      key,
+      alias,
+      indices: concrete ? [alias] : indices,
+      concrete,
+      version,
+      latestVersion: getLatestVersion(key).version,
+    };
+  }
 
-      if (!referenceExists.body) {
-        await this.client.indices.create({
-          index: this.referenceIndex,
-          body: {
-            mappings: {
-              properties: {
-                type: { type: "keyword" },
-                category: { type: "keyword" },
-                value: { type: "keyword" },
-                label: {
-                  type: "text",
-                  fields: {
-                    keyword: { type: "keyword" },
-                    sort: {
-                      type: "text",
-                      fielddata: true,
-                    },
-                  },
-                },
-                description: { type: "text" },
-                sortOrder: { type: "integer" },
-                isActive: { type: "boolean" },
-                metadata: { type: "object" },
-                createdAt: { type: "date" },
-                updatedAt: { type: "date" },
-              },
-            },
-          },
-        });
-        logger.info(`Created reference data index: ${this.referenceIndex}`);
+  // Point an alias at a new index in one atomic step. A concrete index still
+  // using the alias name is removed in the same step.
+  async swapAlias(alias, newIndex) {
+    const previousIndices = await this.getAliasTargets(alias);
+    const actions = [{ add: { index: newIndex, alias } }];
 
-        // Seed initial reference data
-        await this.seedReferenceData();
+    if (previousIndices.length > 0) {
+      previousIndices.forEach((index) => {
+        actions.push({ remove: { index, alias } });
+      });
+    } else {
+      const concreteExists = await this.client.indices.exists({
+        index: alias,
+      });
+      if (concreteExists.body) {
+        actions.push({ remove_index: { index: alias } });
       }
+    }
 
-      // Create notifications index if it doesn't exist
-      const notificationsExists = await this.client.indices.exists({
-        index: this.notificationsIndex,
+    await this.client.indices.updateAliases({ body: { actions } });
+    logger.info("Alias swapped", {
+      alias,
+      index: newIndex,
+      previousIndices,
+    });
+    return previousIndices;
+  }
+
+  // Create the latest mapping version behind the alias when neither the
+  // alias nor a concrete index exists. Returns true when it was created.
+  async ensureManagedIndex(key) {
+    const state = await this.getManagedIndexState(key);
+
+    if (state.version === null) {
+      const indexName = this.getVersionedIndexName(key, state.latestVersion);
+      await this.client.indices.create({
+        index: indexName,
+        body: {
+          ...this.getIndexBody(key),
+          aliases: { [state.alias]: {} },
+        },
       });
+      logger.info(`Created ${indexName} behind alias ${state.alias}`);
+      return true;
+    }
 
-      if (!notificationsExists.body) {
-        await this.client.indices.create({
-          index: this.notificationsIndex,
-          body: {
-            mappings: {
-              properties: {
-                id: { type: "keyword" },
-                type: { type: "keyword" },
-                title: {
-                  type: "text",
-                  fields: { keyword: { type: "keyword" } },
-                },
-                message: { type: "text" },
-                metadata: { type: "object" },
-                timestamp: { type: "date" },
-                status: { type: "keyword" },
-                read: { type: "boolean" },
-                readAt: { type: "date" },
-                results: { type: "object" },
-                error: { type: "text" },
-              },
-            },
-          },
-        });
-        logger.info(`Created notifications index: ${this.notificationsIndex}`);
+    if (state.version < state.latestVersion) {
+      logger.warn(
+        `${state.alias} is at mapping version ${state.version}, latest is ${state.latestVersion}; run POST /api/data/opensearch/migrations/${key}`
+      );
+    }
+    return false;
+  }
+
+  async ensureIndices() {
+    try {
+      await this.ensureManagedIndex("contacts");
+
+      // Seed reference data when its index is (re)created
+      if (await this.ensureManagedIndex("reference")) {
+        await this.seedReferenceData();
       }
+
+      await this.ensureManagedIndex("notifications");
+      await this.ensureManagedIndex("syncQueue");
+      await this.ensureManagedIndex("submissions");
+      await this.ensureManagedIndex("webhookDeliveries");
+      await this.ensureManagedIndex("reviewRotations");
     } catch (error) {
       const safeError = {
         message: error.message,
@@ -653,12 +717,23 @@ class OpenSearchService {
     }
   }
 
+  // Derived fields stored next to the CDM attributes for matching
+  withSearchFields(contactData) {
+    if (!("phoneNumber" in contactData)) {
+      return contactData;
+    }
+    return {
+      ...contactData,
+      phoneNormalized: normalizePhoneNumber(contactData.phoneNumber),
+    };
+  }
+
   async indexContact(contactData) {
     try {
       const response = await this.client.index({
         index: this.contactsIndex,
         id: contactData.contactId,
-        body: contactData,
+        body: this.withSearchFields(contactData),
       });
 
       logger.info(`Contact indexed: ${contactData.contactId}`);
@@ -676,52 +751,104 @@ class OpenSearchService {
     }
   }
 
-  async searchContacts(query, filters = {}, page = 1, size = 20) {
+  async bulkIndexContacts(contacts, index = this.contactsIndex) {
     try {
-      const searchQuery = {
-        bool: {
-          must: [],
-          filter: [],
-        },
+      const body = contacts.flatMap((contact) => [
+        { index: { _index: index, _id: contact.contactId } },
+        this.withSearchFields(contact),
+      ]);
+      const response = await this.client.bulk({ body, refresh: "wait_for" });
+
+      const failed = response.body.items
+        .map((item) => item.index)
+        .filter((item) => item.error)
+        .map((item) => ({ contactId: item._id, error: item.error.reason }));
+
+      logger.info(`Contacts bulk indexed: ${contacts.length - failed.length}`, {
+        failed: failed.length,
+      });
+      return { indexed: contacts.length - failed.length, failed };
+    } catch (error) {
+      const safeError = {
+        message: error.message,
+        code: error.code,
+        status: error.status,
+        stack: error.stack,
+        meta: error.meta,
       };
+      logger.error("Failed to bulk index contacts:", safeError);
+      throw error;
+    }
+  }
 
-      // Add text search
-      if (query && query.trim()) {
-        searchQuery.bool.must.push({
-          multi_match: {
-            query: query.trim(),
-            fields: [
-              "fullName^3",
-              "emailAddress^2",
-              "company^2",
-              "jobTitle",
-              "department",
-            ],
-            type: "best_fields",
-            fuzziness: "AUTO",
-          },
-        });
-      } else {
-        searchQuery.bool.must.push({ match_all: {} });
-      }
+  // Returns the subset of contactIds that already have a contact document
+  async findExistingContactIds(contactIds) {
+    if (contactIds.length === 0) {
+      return [];
+    }
 
-      // Add filters
-      if (filters.company) {
-        searchQuery.bool.filter.push({
-          term: { "company.keyword": filters.company },
-        });
-      }
-      if (filters.department) {
-        searchQuery.bool.filter.push({
-          term: { department: filters.department },
-        });
-      }
-      if (filters.country) {
-        searchQuery.bool.filter.push({ term: { country: filters.country } });
-      }
-      if (filters.isActive !== undefined) {
-        searchQuery.bool.filter.push({ term: { isActive: filters.isActive } });
-      }
+    const response = await this.client.mget({
+      index: this.contactsIndex,
+      body: { ids: contactIds },
+      _source: false,
+    });
+
+    return response.body.docs.filter((doc) => doc.found).map((doc) => doc._id);
+  }
+
+  // Query shared by search and export so both select the same contacts
+  buildContactQuery(query, filters = {}) {
+    const searchQuery = {
+      bool: {
+        must: [],
+        filter: [],
+      },
+    };
+
+    // Add text search
+    if (query && query.trim()) {
+      searchQuery.bool.must.push({
+        multi_match: {
+          query: query.trim(),
+          fields: [
+            "fullName^3",
+            "emailAddress^2",
+            "company^2",
+            "jobTitle",
+            "department",
+          ],
+          type: "best_fields",
+          fuzziness: "AUTO",
+        },
+      });
+    } else {
+      searchQuery.bool.must.push({ match_all: {} });
+    }
+
+    // Add filters
+    if (filters.company) {
+      searchQuery.bool.filter.push({
+        term: { "company.keyword": filters.company },
+      });
+    }
+    if (filters.department) {
+      searchQuery.bool.filter.push({
+        term: { department: filters.department },
+      });
+    }
+    if (filters.country) {
+      searchQuery.bool.filter.push({ term: { country: filters.country } });
+    }
+    if (filters.isActive !== undefined) {
+      searchQuery.bool.filter.push({ term: { isActive: filters.isActive } });
+    }
+
+    return searchQuery;
+  }
+
+  async searchContacts(query, filters = {}, page = 1, size = 20) {
+    try {
+      const searchQuery = this.buildContactQuery(query, filters);
 
       const response = await this.client.search({
         index: this.contactsIndex,
@@ -768,6 +895,46 @@ class OpenSearchService {
     }
   }
 
+  // Yield every matching contact in batches through a scroll context, which
+  // stays consistent while the export runs and has no from/size window limit
+  async *scrollContacts(query, filters = {}, options = {}) {
+    const { batchSize = 500, fields, keepAlive = "2m" } = options;
+    let scrollId = null;
+
+    try {
+      let response = await this.client.search({
+        index: this.contactsIndex,
+        scroll: keepAlive,
+        _source: fields,
+        body: {
+          query: this.buildContactQuery(query, filters),
+          size: batchSize,
+          sort: ["_doc"],
+        },
+      });
+
+      while (response.body.hits.hits.length > 0) {
+        scrollId = response.body._scroll_id;
+        yield response.body.hits.hits.map((hit) => hit._source);
+
+        response = await this.client.scroll({
+          body: { scroll_id: scrollId, scroll: keepAlive },
+        });
+      }
+      scrollId = response.body._scroll_id;
+    } finally {
+      if (scrollId) {
+        await this.client
+          .clearScroll({ body: { scroll_id: scrollId } })
+          .catch((error) => {
+            logger.warn("Failed to clear scroll context", {
+              error: error.message,
+            });
+          });
+      }
+    }
+  }
+
   async getContactById(contactId) {
     try {
       const response = await this.client.get({
@@ -799,7 +966,7 @@ class OpenSearchService {
         id: contactId,
         body: {
           doc: {
-            ...updateData,
+            ...this.withSearchFields(updateData),
             modifiedOn: new Date().toISOString(),
           },
         },
@@ -851,10 +1018,11 @@ class OpenSearchService {
 
       return {
         cluster: clusterHealth.body,
-        indices: indicesStats.body.filter(
-          (index) =>
-            index.index === this.contactsIndex ||
-            index.index === this.referenceIndex
+        indices: indicesStats.body.filter((index) =>
+          [this.contactsIndex, this.referenceIndex].some(
+            (alias) =>
+              index.index === alias || index.index.startsWith(`${alias}_v`)
+          )
         ),
       };
     } catch (error) {
@@ -0,0 +1,440 @@
+const logger = require("../utils/logger");
+const OpenSearchService = require("./openSearchService");
+const GiteaService = require("./giteaService");
+const MoquiService = require("./moquiService");
+const SyncQueueService = require("./syncQueueService");
+const NotificationService = require("./notificationService");
+const { hashContact, hashValue } = require("../utils/contactHash");
+
+const RECONCILE_STORES = ["opensearch", "moqui"];
+
+// Compares the contacts on a Git branch with the OpenSearch contacts index
+// and the Moqui parties linked through cdmContactId. Git is the source of
+// truth: a store is missing a contact, holds a stale copy, or holds an
+// orphan Git no longer has. Fixes re-index OpenSearch directly and go
+// through the sync queue for Moqui.
+class ReconciliationService {
+  constructor() {
+    this.openSearchService = new OpenSearchService();
+    this.giteaService = new GiteaService();
+    this.moquiService = new MoquiService();
+    this.syncQueueService = new SyncQueueService();
+    this.notificationService = new NotificationService();
+
+    this.intervalMs =
+      (parseInt(process.env.RECONCILE_INTERVAL_MINUTES) || 0) * 60 * 1000;
+    this.autoFix = process.env.RECONCILE_AUTO_FIX === "true";
+    this.maxReports = 20;
+
+    this.reports = [];
+    this.runningReportId = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run({
+        trigger: "scheduled",
+        fix: this.autoFix ? RECONCILE_STORES : [],
+      }).catch((error) => {
+        logger.error("Scheduled reconciliation failed", {
+          error: error.message,
+        });
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    logger.info("Reconciliation scheduled", {
+      intervalMs: this.intervalMs,
+      autoFix: this.autoFix,
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getReport(reportId) {
+    return this.reports.find((report) => report.reportId === reportId) || null;
+  }
+
+  listReports() {
+    return this.reports;
+  }
+
+  async run({
+    ref = "main",
+    stores = RECONCILE_STORES,
+    fix = [],
+    trigger = "manual",
+  } = {}) {
+    if (this.runningReportId) {
+      const error = new Error(
+        `Reconciliation ${this.runningReportId} is already running`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const report = {
+      reportId: `reconcile-${Date.now()}-${Math.random()
+        .toString(36)
+        .substr(2, 9)}`,
+      trigger,
+      ref,
+      commitSha: null,
+      stores,
+      fix,
+      status: "running",
+      counts: { git: 0 },
+      invalidFiles: [],
+      inReview: [],
+      drift: {},
+      fixes: {},
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      error: null,
+    };
+    this.runningReportId = report.reportId;
+
+    try {
+      const gitContacts = await this.loadGitContacts(report);
+      const indexedContacts = await this.loadIndexedContacts();
+
+      if (stores.includes("opensearch")) {
+        report.counts.opensearch = indexedContacts.size;
+        report.drift.opensearch = await this.compareOpenSearch(
+          report,
+          gitContacts,
+          indexedContacts
+        );
+        if (fix.includes("opensearch")) {
+          report.fixes.opensearch = await this.fixOpenSearch(
+            report.drift.opensearch,
+            gitContacts,
+            indexedContacts
+          );
+        }
+      }
+
+      if (stores.includes("moqui")) {
+        const { drift, partyCount } = await this.compareMoqui(
+          gitContacts,
+          indexedContacts
+        );
+        report.counts.moqui = partyCount;
+        report.drift.moqui = drift;
+        if (fix.includes("moqui")) {
+          report.fixes.moqui = await this.fixMoqui(drift, gitContacts);
+        }
+      }
+
+      report.status = "completed";
+      report.driftCount = Object.values(report.drift).reduce(
+        (total, drift) =>
+          total +
+          drift.missing.length +
+          drift.stale.length +
+          drift.orphaned.length,
+        0
+      );
+      logger.info("Reconciliation completed", {
+        reportId: report.reportId,
+        commitSha: report.commitSha,
+        driftCount: report.driftCount,
+      });
+      return report;
+    } catch (error) {
+      report.status = "failed";
+      report.error = error.message;
+      logger.error("Reconciliation failed", {
+        reportId: report.reportId,
+        error: error.message,
+      });
+      throw error;
+    } finally {
+      report.completedAt = new Date().toISOString();
+      this.runningReportId = null;
+      this.reports = [report, ...this.reports].slice(0, this.maxReports);
+      await this.notifyDrift(report);
+    }
+  }
+
+  // Contacts on the branch by contactId, read at one commit
+  async loadGitContacts(report) {
+    report.commitSha = await this.giteaService.getBranchCommitSha(report.ref);
+    const files = (
+      await this.giteaService.listDirectoryFiles(
+        "data/contacts",
+        report.commitSha
+      )
+    ).filter((file) => file.path.endsWith(".json"));
+    const contacts = new Map();
+
+    for (const file of files) {
+      try {
+        const contact = await this.giteaService.readContactFile(file);
+        contacts.set(contact.contactId, contact);
+      } catch (error) {
+        report.invalidFiles.push({ path: file.path, error: error.message });
+      }
+    }
+
+    report.counts.git = contacts.size;
+    return contacts;
+  }
+
+  async loadIndexedContacts() {
+    const contacts = new Map();
+
+    for await (const batch of this.openSearchService.scrollContacts("")) {
+      batch.forEach((contact) => contacts.set(contact.contactId, contact));
+    }
+    return contacts;
+  }
+
+  // Submissions are indexed before their pull request merges, so contacts
+  // changed by open pull requests are expected to differ from the branch
+  async compareOpenSearch(report, gitContacts, indexedContacts) {
+    const inReview = await this.giteaService.getContactIdsInReview();
+    const drift = { missing: [], stale: [], orphaned: [] };
+
+    inReview.forEach((pullRequests, contactId) => {
+      report.inReview.push({ contactId, pullRequests });
+    });
+
+    gitContacts.forEach((contact, contactId) => {
+      if (inReview.has(contactId)) {
+        return;
+      }
+
+      const indexed = indexedContacts.get(contactId);
+      if (!indexed) {
+        drift.missing.push({ contactId, gitSha: contact.gitSha });
+        return;
+      }
+
+      const contentChanged = hashContact(contact) !== hashContact(indexed);
+      if (contentChanged || indexed.gitSha !== contact.gitSha) {
+        drift.stale.push({
+          contactId,
+          gitSha: contact.gitSha,
+          indexedGitSha: indexed.gitSha || null,
+          contentChanged,
+        });
+      }
+    });
+
+    indexedContacts.forEach((indexed, contactId) => {
+      if (!gitContacts.has(contactId) && !inReview.has(contactId)) {
+        drift.orphaned.push({
+          contactId,
+          indexedGitSha: indexed.gitSha || null,
+        });
+      }
+    });
+
+    return drift;
+  }
+
+  async compareMoqui(gitContacts, indexedContacts) {
+    const parties = await this.moquiService.listContactParties();
+    const partiesByContactId = new Map();
+    parties.forEach((party) => {
+      partiesByContactId.set(party.contactId, [
+        ...(partiesByContactId.get(party.contactId) || []),
+        party,
+      ]);
+    });
+    const drift = { missing: [], stale: [], orphaned: [] };
+
+    for (const [contactId, contact] of gitContacts) {
+      const candidates = partiesByContactId.get(contactId) || [];
+      if (candidates.length === 0) {
+        drift.missing.push({ contactId });
+        continue;
+      }
+
+      // Prefer the party the index knows, then an enabled one
+      const moquiId = indexedContacts.get(contactId)?.moquiId;
+      const party =
+        candidates.find((candidate) => candidate.partyId === moquiId) ||
+        candidates.find(
+          (candidate) => candidate.person.statusId !== "PtyDisabled"
+        ) ||
+        candidates[0];
+
+      const expected = this.moquiService.buildPartySnapshot(contact);
+      const actual = await this.moquiService.getPartySnapshot(party);
+      if (hashValue(expected) !== hashValue(actual)) {
+        drift.stale.push({
+          contactId,
+          partyId: party.partyId,
+          fields: this.diffPartySnapshots(expected, actual),
+        });
+      }
+
+      // Another party claiming the same contact is reported, never disabled
+      candidates
+        .filter(
+          (candidate) =>
+            candidate !== party && candidate.person.statusId !== "PtyDisabled"
+        )
+        .forEach((candidate) => {
+          drift.orphaned.push({
+            contactId,
+            partyId: candidate.partyId,
+            reason: "duplicate_party",
+          });
+        });
+    }
+
+    // Deleted and merged contacts leave a disabled party behind on purpose
+    parties
+      .filter(
+        (party) =>
+          !gitContacts.has(party.contactId) &&
+          party.person.statusId !== "PtyDisabled"
+      )
+      .forEach((party) => {
+        drift.orphaned.push({
+          contactId: party.contactId,
+          partyId: party.partyId,
+          reason: "not_in_git",
+        });
+      });
+
+    return { drift, partyCount: parties.length };
+  }
+
+  // Snapshot fields that differ, e.g. "firstName" or "contactMechs.EmailPrimary"
+  diffPartySnapshots(expected, actual) {
+    const fields = [];
+
+    ["firstName", "lastName", "statusId"].forEach((field) => {
+      if (expected[field] !== actual[field]) {
+        fields.push(field);
+      }
+    });
+    ["contactMechs", "attributes"].forEach((group) => {
+      const keys = new Set([
+        ...Object.keys(expected[group]),
+        ...Object.keys(actual[group]),
+      ]);
+      keys.forEach((key) => {
+        if (hashValue(expected[group][key]) !== hashValue(actual[group][key])) {
+          fields.push(`${group}.${key}`);
+        }
+      });
+    });
+
+    return fields;
+  }
+
+  async fixOpenSearch(drift, gitContacts, indexedContacts) {
+    const result = { indexed: 0, deleted: 0, failed: [] };
+    const contacts = [...drift.missing, ...drift.stale].map(({ contactId }) => {
+      const syncFields = {};
+      const indexed = indexedContacts.get(contactId) || {};
+      this.openSearchService.syncFields.forEach((field) => {
+        if (indexed[field] !== undefined) {
+          syncFields[field] = indexed[field];
+        }
+      });
+      return { ...syncFields, ...gitContacts.get(contactId) };
+    });
+
+    if (contacts.length > 0) {
+      const indexResult = await this.openSearchService.bulkIndexContacts(
+        contacts
+      );
+      result.indexed = indexResult.indexed;
+      result.failed.push(...indexResult.failed);
+    }
+
+    for (const { contactId } of drift.orphaned) {
+      try {
+        await this.openSearchService.deleteContact(contactId);
+        result.deleted++;
+      } catch (error) {
+        result.failed.push({ contactId, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  async fixMoqui(drift, gitContacts) {
+    const result = { queued: 0, failed: [] };
+    const jobs = [
+      ...[...drift.missing, ...drift.stale].map(({ contactId }) => ({
+        contactId,
+        operation: "upsert",
+        contactData: gitContacts.get(contactId),
+      })),
+      ...drift.orphaned
+        .filter((orphan) => orphan.reason === "not_in_git")
+        .map(({ contactId, partyId }) => ({
+          contactId,
+          operation: "delete",
+          moquiId: partyId,
+        })),
+    ];
+
+    for (const job of jobs) {
+      try {
+        await this.syncQueueService.enqueue({ ...job, source: "reconcile" });
+        result.queued++;
+      } catch (error) {
+        result.failed.push({ contactId: job.contactId, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  async notifyDrift(report) {
+    if (report.status === "completed" && !report.driftCount) {
+      return;
+    }
+
+    try {
+      await this.notificationService.sendNotification({
+        type:
+          report.status === "failed"
+            ? "reconciliation_failed"
+            : "reconciliation_drift",
+        title:
+          report.status === "failed"
+            ? "Reconciliation Failed"
+            : "Contact Stores Out of Sync",
+        message:
+          report.status === "failed"
+            ? `Reconciliation against ${report.ref} failed: ${report.error}`
+            : `${report.driftCount} contact(s) differ from ${report.ref}${
+                report.fix.length > 0
+                  ? `, fixes applied to ${report.fix.join(", ")}`
+                  : ""
+              }`,
+        metadata: {
+          reportId: report.reportId,
+          trigger: report.trigger,
+          commitSha: report.commitSha,
+          driftCount: report.driftCount,
+        },
+      });
+    } catch (error) {
+      logger.warn("Failed to send reconciliation notification", {
+        reportId: report.reportId,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = ReconciliationService;
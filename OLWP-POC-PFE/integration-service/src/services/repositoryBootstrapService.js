@@ -0,0 +1,352 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const GiteaService = require("./giteaService");
+
+// Directories the service writes to, kept in the repository with an empty
+// .gitkeep until they hold files
+const DATA_DIRECTORIES = [
+  "data/contacts",
+  "metadata/submissions",
+  "metadata/lineage",
+];
+
+// Template files under this are kept identical to the template; the others
+// are only added when missing, so the repository can change them
+const MANAGED_PREFIX = ".gitea/";
+
+// Events the webhook controller handles, in Gitea's names. Gitea expands
+// pull_request and pull_request_review into their sub-events when listing a
+// hook, so those are matched by prefix.
+const WEBHOOK_EVENTS = [
+  "delete",
+  "repository",
+  "pull_request",
+  "pull_request_review",
+  "pull_request_comment",
+  "issue_comment",
+  "status",
+];
+
+// Brings the CDM data repository to the state the rest of the service
+// expects, from the cdm-data-example template: the repository itself, the
+// validation workflow and scripts, the data and metadata directories, branch
+// protection on main requiring the CDM Data Validation check, and the
+// webhook to this service. Each step reports what it found (unchanged,
+// missing or drifted) and whether it fixed it; a dry run only reports.
+class RepositoryBootstrapService {
+  constructor() {
+    this.giteaService = new GiteaService();
+    this.provider = this.giteaService.provider;
+    this.templateDir =
+      process.env.CDM_TEMPLATE_DIR ||
+      path.join(__dirname, "../../../cdm-data-example");
+    this.baseBranch = "main";
+    this.webhookUrl = `${(
+      process.env.INTEGRATION_SERVICE_URL || "http://integration-service:3001"
+    ).replace(/\/+$/, "")}/api/webhooks/gitea`;
+    this.bootstrapOnStart = process.env.REPO_BOOTSTRAP_ON_START === "true";
+
+    // Gitea matches required contexts as globs; the check reports one
+    // context per job, e.g. "CDM Data Validation / validate-cdm
+    // (pull_request)"
+    this.requiredCheck = `${
+      process.env.VALIDATION_STATUS_CONTEXT || "CDM Data Validation"
+    }*`;
+
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  // Bootstrap once at startup when REPO_BOOTSTRAP_ON_START is set; a
+  // failure is logged and left for the bootstrap endpoint to retry
+  start() {
+    if (!this.bootstrapOnStart) {
+      return;
+    }
+
+    this.bootstrap().catch((error) => {
+      logger.error("Repository bootstrap failed", { error: error.message });
+    });
+  }
+
+  getLastReport() {
+    return this.lastReport;
+  }
+
+  async bootstrap({ dryRun = false } = {}) {
+    if (this.provider.name !== "gitea") {
+      const error = new Error(
+        `Repository bootstrap needs Gitea, the template workflow runs on Gitea Actions (git provider is ${this.provider.name})`
+      );
+      error.statusCode = 501;
+      throw error;
+    }
+    if (this.running && !dryRun) {
+      const error = new Error("Repository bootstrap is already running");
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const report = {
+      repository: `${this.giteaService.repoOwner}/${this.giteaService.repoName}`,
+      dryRun,
+      status: "running",
+      steps: {},
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      error: null,
+    };
+    if (!dryRun) {
+      this.running = true;
+    }
+
+    try {
+      report.steps.repository = await this.checkRepository(dryRun);
+      if (report.steps.repository.state === "missing" && dryRun) {
+        // Nothing else can be read before the repository exists
+        report.steps.branchProtection = { state: "missing", fixed: false };
+        report.steps.files = { state: "missing", fixed: false, files: [] };
+        report.steps.webhook = { state: "missing", fixed: false };
+      } else {
+        // Protection first, so the push allowlist lets the template commit
+        // through a rule that drifted
+        report.steps.branchProtection = await this.checkBranchProtection(
+          dryRun
+        );
+        report.steps.files = await this.checkFiles(dryRun);
+        report.steps.webhook = await this.checkWebhook(dryRun);
+      }
+
+      report.status = "completed";
+      report.inSync = Object.values(report.steps).every(
+        (step) => step.state === "unchanged" || step.fixed
+      );
+      logger.info("Repository bootstrap completed", {
+        repository: report.repository,
+        dryRun,
+        steps: Object.fromEntries(
+          Object.entries(report.steps).map(([name, step]) => [name, step.state])
+        ),
+      });
+      return report;
+    } catch (error) {
+      report.status = "failed";
+      report.error = error.message;
+      logger.error("Repository bootstrap failed", {
+        repository: report.repository,
+        error: error.message,
+      });
+      throw error;
+    } finally {
+      report.completedAt = new Date().toISOString();
+      if (!dryRun) {
+        this.running = false;
+        this.lastReport = report;
+      }
+    }
+  }
+
+  async checkRepository(dryRun) {
+    if (await this.provider.getRepository()) {
+      return { state: "unchanged", fixed: false };
+    }
+    if (!dryRun) {
+      await this.giteaService.ensureRepository();
+    }
+    return { state: "missing", fixed: !dryRun };
+  }
+
+  // The required check is added to the rule's own checks, and the service
+  // account to its push allowlist when the rule has one
+  async checkBranchProtection(dryRun) {
+    const protection = await this.provider.getBranchProtection(this.baseBranch);
+    const username = this.giteaService.username;
+
+    let state = "unchanged";
+    let wanted = protection;
+    if (!protection) {
+      state = "missing";
+      wanted = {
+        requiredChecks: [this.requiredCheck],
+        pushAllowlist: [username],
+      };
+    } else if (
+      !protection.requiredChecks.includes(this.requiredCheck) ||
+      (protection.pushAllowlist && !protection.pushAllowlist.includes(username))
+    ) {
+      state = "drifted";
+      wanted = {
+        requiredChecks: [
+          ...protection.requiredChecks.filter(
+            (check) => check !== this.requiredCheck
+          ),
+          this.requiredCheck,
+        ],
+        pushAllowlist: protection.pushAllowlist && [
+          ...protection.pushAllowlist.filter((user) => user !== username),
+          username,
+        ],
+      };
+    }
+
+    if (state !== "unchanged" && !dryRun) {
+      await this.provider.setBranchProtection(this.baseBranch, wanted);
+    }
+    return {
+      state,
+      fixed: state !== "unchanged" && !dryRun,
+      branch: this.baseBranch,
+      requiredChecks: wanted.requiredChecks,
+      pushAllowlist: wanted.pushAllowlist,
+    };
+  }
+
+  // Every missing or drifted file goes in one commit on main
+  async checkFiles(dryRun) {
+    const changes = [];
+
+    for (const file of this.readTemplate()) {
+      const current = await this.giteaService.getFileContent(
+        file.path,
+        this.baseBranch
+      );
+      if (!current) {
+        changes.push({ ...file, operation: "create", state: "missing" });
+      } else if (
+        file.path.startsWith(MANAGED_PREFIX) &&
+        current.content !== file.content
+      ) {
+        changes.push({
+          ...file,
+          operation: "update",
+          sha: current.sha,
+          state: "drifted",
+        });
+      }
+    }
+
+    for (const directory of DATA_DIRECTORIES) {
+      const files = await this.giteaService.listDirectoryFiles(
+        directory,
+        this.baseBranch
+      );
+      if (files.length === 0) {
+        changes.push({
+          path: `${directory}/.gitkeep`,
+          content: "",
+          operation: "create",
+          state: "missing",
+        });
+      }
+    }
+
+    let commitSha = null;
+    if (changes.length > 0 && !dryRun) {
+      const commit = await this.giteaService.commitFiles(
+        changes.map(({ operation, path: filePath, content, sha }) => ({
+          operation,
+          path: filePath,
+          content,
+          sha,
+        })),
+        `Bootstrap CDM data repository from template\n\n${changes
+          .map((change) => `- ${change.state}: ${change.path}`)
+          .join("\n")}`,
+        { branch: this.baseBranch }
+      );
+      commitSha = commit.sha;
+    }
+
+    let state = "unchanged";
+    if (changes.some((change) => change.state === "drifted")) {
+      state = "drifted";
+    } else if (changes.length > 0) {
+      state = "missing";
+    }
+    return {
+      state,
+      fixed: changes.length > 0 && !dryRun,
+      commitSha,
+      files: changes.map((change) => ({
+        path: change.path,
+        state: change.state,
+      })),
+    };
+  }
+
+  // The hook is found by its URL. Gitea does not return the secret, so it is
+  // only sent again when the hook is created or repaired.
+  async checkWebhook(dryRun) {
+    const hooks = await this.provider.listWebhooks();
+    const hook = hooks.find((candidate) => candidate.url === this.webhookUrl);
+    const missingEvents = hook
+      ? WEBHOOK_EVENTS.filter(
+          (event) =>
+            !hook.events.some(
+              (hookEvent) =>
+                hookEvent === event || hookEvent.startsWith(`${event}_`)
+            )
+        )
+      : WEBHOOK_EVENTS;
+
+    let state = "unchanged";
+    if (!hook) {
+      state = "missing";
+    } else if (
+      !hook.active ||
+      hook.contentType !== "json" ||
+      missingEvents.length > 0
+    ) {
+      state = "drifted";
+    }
+
+    let hookId = hook?.id || null;
+    if (state !== "unchanged" && !dryRun) {
+      const settings = {
+        url: this.webhookUrl,
+        secret: this.provider.webhookSecret,
+        events: WEBHOOK_EVENTS,
+      };
+      if (hook) {
+        await this.provider.updateWebhook(hook.id, settings);
+      } else {
+        hookId = (await this.provider.createWebhook(settings)).id;
+      }
+    }
+
+    return {
+      state,
+      fixed: state !== "unchanged" && !dryRun,
+      hookId,
+      url: this.webhookUrl,
+      missingEvents: hook ? missingEvents : [],
+    };
+  }
+
+  // Template files as { path, content }, with paths relative to the
+  // template directory
+  readTemplate(dir = this.templateDir) {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.name !== "node_modules")
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .flatMap((entry) => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          return this.readTemplate(entryPath);
+        }
+        return [
+          {
+            path: path
+              .relative(this.templateDir, entryPath)
+              .split(path.sep)
+              .join("/"),
+            content: fs.readFileSync(entryPath, "utf8"),
+          },
+        ];
+      });
+  }
+}
+
+module.exports = RepositoryBootstrapService;
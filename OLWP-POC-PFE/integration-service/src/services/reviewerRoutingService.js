@@ -0,0 +1,499 @@
+const fs = require("fs");
+const path = require("path");
+const Joi = require("joi");
+const logger = require("../utils/logger");
+const OpenSearchService = require("./openSearchService");
+const GiteaService = require("./giteaService");
+const SubmissionService = require("./submissionService");
+const NotificationService = require("./notificationService");
+
+// Contact fields a rule's "when" can match, case-insensitively; tags match
+// when the contact has any of the listed tags
+const ROUTING_FIELDS = ["country", "company", "department", "tags"];
+
+// Submission states in which a review is still awaited from the reviewers
+const AWAITING_REVIEW_STATES = ["submitted", "validating", "in_review"];
+
+// Activity that counts as a reviewer answering
+const REVIEW_ACTIVITY_TYPES = [
+  "review_approved",
+  "changes_requested",
+  "review_comment",
+  "comment",
+  "command",
+];
+
+// Times a team's turn is re-read when another routing moved it first
+const MAX_ROTATION_ATTEMPTS = 5;
+
+const valueList = Joi.array().items(Joi.string()).min(1);
+
+const reviewerRoutingConfigSchema = Joi.object({
+  version: Joi.number().integer().min(1).required(),
+  reviewersPerSubmission: Joi.number().integer().min(1).default(1),
+  teams: Joi.object()
+    .pattern(Joi.string(), Joi.array().items(Joi.string()).min(1))
+    .required(),
+  rules: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().required(),
+        description: Joi.string().allow("").optional(),
+        when: Joi.object(
+          Object.fromEntries(ROUTING_FIELDS.map((field) => [field, valueList]))
+        )
+          .min(1)
+          .required(),
+        team: Joi.string(),
+        reviewers: Joi.array().items(Joi.string()).min(1),
+      }).xor("team", "reviewers")
+    )
+    .unique("name")
+    .default([]),
+  defaultTeam: Joi.string().required(),
+  sla: Joi.object({
+    reviewHours: Joi.number().positive().required(),
+    maxReassignments: Joi.number().integer().min(0).default(1),
+    escalationTeam: Joi.string().required(),
+  }).required(),
+});
+
+// Picks the reviewers of a new submission from its contacts: the first rule
+// matching one of the contacts names a team or fixed reviewers, and team
+// members take turns. A review left unanswered past the SLA is reassigned to
+// the next members of the team, then escalated.
+class ReviewerRoutingService {
+  constructor() {
+    this.openSearchService = new OpenSearchService();
+    this.giteaService = new GiteaService();
+    this.submissionService = new SubmissionService();
+    this.notificationService = new NotificationService();
+    this.configFile =
+      process.env.REVIEWER_ROUTING_FILE ||
+      path.join(__dirname, "../../config/reviewer-routing.json");
+    this.intervalMs =
+      (parseInt(process.env.REVIEW_SLA_CHECK_INTERVAL_MINUTES) || 0) *
+      60 *
+      1000;
+    this.timer = null;
+
+    this.config = null;
+    try {
+      this.config = this.parseConfig(
+        JSON.parse(fs.readFileSync(this.configFile, "utf8"))
+      );
+    } catch (error) {
+      logger.error("Reviewer routing not loaded, reviewers stay manual", {
+        file: this.configFile,
+        error: error.message,
+      });
+    }
+  }
+
+  parseConfig(config) {
+    const { error, value } = reviewerRoutingConfigSchema.validate(config);
+    if (error) {
+      throw new Error(
+        `Invalid reviewer routing config: ${error.details
+          .map((d) => d.message)
+          .join(", ")}`
+      );
+    }
+
+    const teams = [
+      value.defaultTeam,
+      value.sla.escalationTeam,
+      ...value.rules.map((rule) => rule.team).filter(Boolean),
+    ];
+    teams.forEach((team) => {
+      if (!value.teams[team]) {
+        throw new Error(`Reviewer routing uses unknown team ${team}`);
+      }
+    });
+    return value;
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs || !this.config) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.checkSla().catch((error) => {
+        logger.error("Review SLA check failed", { error: error.message });
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    logger.info("Review SLA checks scheduled", {
+      intervalMs: this.intervalMs,
+      reviewHours: this.config.sla.reviewHours,
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // The first rule one of the contacts matches, or the default team
+  route(contacts) {
+    const rule = this.config.rules.find((candidate) =>
+      contacts.some((contact) => this.matchesRule(candidate, contact))
+    );
+
+    return rule
+      ? { rule: rule.name, team: rule.team || null, reviewers: rule.reviewers }
+      : { rule: null, team: this.config.defaultTeam, reviewers: null };
+  }
+
+  matchesRule(rule, contact) {
+    return Object.entries(rule.when).every(([field, values]) => {
+      const wanted = values.map((value) => value.toLowerCase());
+      const actual = (
+        Array.isArray(contact[field]) ? contact[field] : [contact[field]]
+      )
+        .filter(Boolean)
+        .map((value) => String(value).toLowerCase());
+      return actual.some((value) => wanted.includes(value));
+    });
+  }
+
+  // The next members of a team after the last one picked, skipping the
+  // excluded ones. The turn is kept in one document per team, moved with a
+  // sequence number check so submissions routed at the same time get the
+  // following members rather than the same ones.
+  async nextTeamMembers(team, count, exclude = []) {
+    const members = this.config.teams[team];
+
+    for (let attempt = 1; attempt <= MAX_ROTATION_ATTEMPTS; attempt++) {
+      const rotation = await this.getRotation(team);
+      // A reviewer since removed from the team starts the turns over
+      const lastIndex = members.indexOf(rotation?.lastReviewer);
+
+      const picked = [];
+      for (let step = 1; step <= members.length; step++) {
+        const member = members[(lastIndex + step) % members.length];
+        if (!exclude.includes(member) && picked.length < count) {
+          picked.push(member);
+        }
+      }
+      if (picked.length === 0) {
+        return picked;
+      }
+
+      try {
+        await this.openSearchService.client.index({
+          index: this.openSearchService.reviewRotationsIndex,
+          id: team,
+          body: {
+            team,
+            lastReviewer: picked[picked.length - 1],
+            updatedAt: new Date().toISOString(),
+          },
+          ...(rotation
+            ? {
+                if_seq_no: rotation.seqNo,
+                if_primary_term: rotation.primaryTerm,
+              }
+            : { op_type: "create" }),
+        });
+        return picked;
+      } catch (error) {
+        if (error.meta?.statusCode !== 409) {
+          throw error;
+        }
+      }
+    }
+
+    const error = new Error(
+      `Review rotation of team ${team} kept changing, try again`
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  async getRotation(team) {
+    try {
+      const response = await this.openSearchService.client.get({
+        index: this.openSearchService.reviewRotationsIndex,
+        id: team,
+      });
+      return {
+        ...response.body._source,
+        seqNo: response.body._seq_no,
+        primaryTerm: response.body._primary_term,
+      };
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Pick and request the reviewers of a new submission. Returns the
+  // assignment recorded on the submission, or null without routing config.
+  async assign(submission, contacts) {
+    if (!this.config || submission.review) {
+      return submission.review || null;
+    }
+
+    const route = this.route(contacts);
+    const reviewers =
+      route.reviewers ||
+      (await this.nextTeamMembers(
+        route.team,
+        this.config.reviewersPerSubmission,
+        [submission.submittedBy]
+      ));
+    const assignedAt = new Date();
+    const review = {
+      routingVersion: this.config.version,
+      rule: route.rule,
+      team: route.team,
+      reviewers,
+      assignedAt: assignedAt.toISOString(),
+      dueAt: this.getDueAt(assignedAt),
+      respondedAt: null,
+      reassignments: 0,
+      escalated: false,
+      escalatedAt: null,
+    };
+
+    // Reviewers assigned meanwhile by another webhook of the submission stay
+    let assigned = true;
+    const saved = await this.submissionService.updateSubmission(
+      submission.submissionId,
+      (current) => {
+        if (current.review) {
+          assigned = false;
+          return false;
+        }
+        current.review = review;
+        current.updatedAt = assignedAt.toISOString();
+      }
+    );
+    submission.review = saved?.review || review;
+    if (!assigned) {
+      return submission.review;
+    }
+
+    await this.requestReviews(submission, reviewers);
+
+    logger.info("Submission reviewers assigned", {
+      submissionId: submission.submissionId,
+      rule: route.rule,
+      team: route.team,
+      reviewers,
+    });
+    return submission.review;
+  }
+
+  getDueAt(from) {
+    return new Date(
+      from.getTime() + this.config.sla.reviewHours * 60 * 60 * 1000
+    ).toISOString();
+  }
+
+  async requestReviews(submission, reviewers) {
+    if (reviewers.length === 0) {
+      return;
+    }
+
+    try {
+      await this.giteaService.requestReviewers(
+        submission.pullRequestNumber,
+        reviewers
+      );
+    } catch (error) {
+      logger.warn("Failed to request submission reviewers", {
+        submissionId: submission.submissionId,
+        reviewers,
+        error: error.message,
+      });
+    }
+  }
+
+  // Reassign or escalate every review past its due time that none of its
+  // reviewers answered
+  async checkSla() {
+    if (!this.config) {
+      return { checked: 0, answered: 0, reassigned: 0, escalated: 0 };
+    }
+
+    const now = new Date();
+    const response = await this.openSearchService.client.search({
+      index: this.submissionService.submissionsIndex,
+      body: {
+        query: {
+          bool: {
+            filter: [
+              { terms: { state: AWAITING_REVIEW_STATES } },
+              { range: { "review.dueAt": { lte: now.toISOString() } } },
+              { term: { "review.escalated": false } },
+            ],
+            must_not: [{ exists: { field: "review.respondedAt" } }],
+          },
+        },
+        size: 100,
+      },
+    });
+    const result = { checked: 0, answered: 0, reassigned: 0, escalated: 0 };
+
+    for (const hit of response.body.hits.hits) {
+      const submission = hit._source;
+      result.checked++;
+
+      try {
+        const answer = this.findReviewerAnswer(submission);
+        if (answer) {
+          submission.review.respondedAt = answer.at;
+          result.answered++;
+        } else if (
+          submission.review.reassignments < this.config.sla.maxReassignments
+        ) {
+          await this.reassign(submission, now);
+          result.reassigned++;
+        } else {
+          await this.escalate(submission, now);
+          result.escalated++;
+        }
+        // Only the review is written, on the latest version of the
+        // submission
+        await this.submissionService.updateSubmission(
+          submission.submissionId,
+          (current) => {
+            current.review = submission.review;
+            current.updatedAt = submission.updatedAt;
+          }
+        );
+      } catch (error) {
+        logger.error("Failed to apply review SLA", {
+          submissionId: submission.submissionId,
+          error: error.message,
+        });
+      }
+    }
+
+    if (result.checked > 0) {
+      logger.info("Review SLA checked", result);
+    }
+    return result;
+  }
+
+  findReviewerAnswer(submission) {
+    const { reviewers, assignedAt } = submission.review;
+    return (
+      (submission.activity || []).find(
+        (activity) =>
+          REVIEW_ACTIVITY_TYPES.includes(activity.type) &&
+          reviewers.includes(activity.actor) &&
+          activity.at >= assignedAt
+      ) || null
+    );
+  }
+
+  // Hand the review to the next team members; fixed reviewers have no one
+  // to hand over to and are escalated instead
+  async reassign(submission, now) {
+    const { review } = submission;
+    if (!review.team) {
+      return this.escalate(submission, now);
+    }
+
+    const previousReviewers = review.reviewers;
+    const reviewers = await this.nextTeamMembers(
+      review.team,
+      previousReviewers.length,
+      [...previousReviewers, submission.submittedBy]
+    );
+    if (reviewers.length === 0) {
+      return this.escalate(submission, now);
+    }
+
+    Object.assign(review, {
+      reviewers,
+      assignedAt: now.toISOString(),
+      dueAt: this.getDueAt(now),
+      reassignments: review.reassignments + 1,
+    });
+    submission.updatedAt = now.toISOString();
+
+    await this.giteaService
+      .cancelReviewRequests(submission.pullRequestNumber, previousReviewers)
+      .catch((error) =>
+        logger.warn("Failed to cancel review requests", {
+          submissionId: submission.submissionId,
+          reviewers: previousReviewers,
+          error: error.message,
+        })
+      );
+    await this.requestReviews(submission, reviewers);
+
+    await this.notifyReview(submission, {
+      type: "review_reassigned",
+      title: "Review Reassigned",
+      message: `Pull request #${
+        submission.pullRequestNumber
+      } was not reviewed within ${
+        this.config.sla.reviewHours
+      } hours and is now assigned to ${reviewers.join(", ")}`,
+      previousReviewers,
+    });
+  }
+
+  async escalate(submission, now) {
+    const { review } = submission;
+    const escalationTeam = this.config.sla.escalationTeam;
+    const reviewers = this.config.teams[escalationTeam].filter(
+      (member) => !review.reviewers.includes(member)
+    );
+
+    Object.assign(review, {
+      escalated: true,
+      escalatedAt: now.toISOString(),
+      escalatedTo: escalationTeam,
+    });
+    submission.updatedAt = now.toISOString();
+
+    await this.requestReviews(submission, reviewers);
+    await this.notifyReview(submission, {
+      type: "review_escalated",
+      title: "Review Escalated",
+      message: `Pull request #${
+        submission.pullRequestNumber
+      } is still waiting for a review from ${review.reviewers.join(
+        ", "
+      )} and was escalated to ${escalationTeam}`,
+      escalatedTo: reviewers,
+    });
+  }
+
+  async notifyReview(submission, { type, title, message, ...metadata }) {
+    try {
+      await this.notificationService.sendNotification({
+        type,
+        title,
+        message,
+        metadata: {
+          submissionId: submission.submissionId,
+          pullRequestNumber: submission.pullRequestNumber,
+          reviewers: submission.review.reviewers,
+          team: submission.review.team,
+          dueAt: submission.review.dueAt,
+          reviewUrl: submission.pullRequestUrl,
+          ...metadata,
+        },
+      });
+    } catch (error) {
+      logger.warn("Failed to send review notification", {
+        submissionId: submission.submissionId,
+        type,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = ReviewerRoutingService;
@@ -0,0 +1,338 @@
+const logger = require("../utils/logger");
+const GiteaService = require("./giteaService");
+const SubmissionService = require("./submissionService");
+const NotificationService = require("./notificationService");
+
+// Every submission branch starts with this, see GiteaService.commitCdmData
+const SUBMISSION_BRANCH_PREFIX = "contact-";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cleans up after submissions nobody finished. A submission pull request
+// without activity for longer than the idle limit is closed with a comment,
+// and a submission branch older than the age limit without an open pull
+// request, e.g. from a submission whose pull request was never opened, is
+// deleted. Their submissions are marked abandoned. A dry run reports what
+// would be cleaned up without changing anything.
+class SubmissionJanitorService {
+  constructor() {
+    this.giteaService = new GiteaService();
+    this.submissionService = new SubmissionService();
+    this.notificationService = new NotificationService();
+
+    this.branchMaxAgeDays =
+      parseInt(process.env.JANITOR_BRANCH_MAX_AGE_DAYS) || 14;
+    this.pullRequestIdleDays = parseInt(process.env.JANITOR_PR_IDLE_DAYS) || 30;
+    this.intervalMs =
+      (parseInt(process.env.JANITOR_INTERVAL_HOURS) || 0) * 60 * 60 * 1000;
+    this.maxReports = 20;
+
+    this.reports = [];
+    this.runningReportId = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run({ trigger: "scheduled" }).catch((error) => {
+        logger.error("Scheduled submission cleanup failed", {
+          error: error.message,
+        });
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    logger.info("Submission cleanup scheduled", {
+      intervalMs: this.intervalMs,
+      branchMaxAgeDays: this.branchMaxAgeDays,
+      pullRequestIdleDays: this.pullRequestIdleDays,
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  listReports() {
+    return this.reports;
+  }
+
+  async run({ dryRun = false, trigger = "manual" } = {}) {
+    if (this.runningReportId && !dryRun) {
+      const error = new Error(
+        `Submission cleanup ${this.runningReportId} is already running`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const now = new Date();
+    const report = {
+      reportId: `janitor-${Date.now()}-${Math.random()
+        .toString(36)
+        .substr(2, 9)}`,
+      trigger,
+      dryRun,
+      status: "running",
+      branchMaxAgeDays: this.branchMaxAgeDays,
+      pullRequestIdleDays: this.pullRequestIdleDays,
+      pullRequests: [],
+      branches: [],
+      startedAt: now.toISOString(),
+      completedAt: null,
+      error: null,
+    };
+    if (!dryRun) {
+      this.runningReportId = report.reportId;
+    }
+
+    try {
+      await this.findCandidates(report, now);
+
+      if (!dryRun) {
+        for (const candidate of report.pullRequests) {
+          await this.apply(candidate, () => this.closePullRequest(candidate));
+        }
+        for (const candidate of report.branches) {
+          await this.apply(candidate, () => this.deleteBranch(candidate));
+        }
+      }
+
+      report.status = "completed";
+      logger.info("Submission cleanup completed", {
+        reportId: report.reportId,
+        dryRun,
+        pullRequests: report.pullRequests.length,
+        branches: report.branches.length,
+      });
+      return report;
+    } catch (error) {
+      report.status = "failed";
+      report.error = error.message;
+      logger.error("Submission cleanup failed", {
+        reportId: report.reportId,
+        error: error.message,
+      });
+      throw error;
+    } finally {
+      report.completedAt = new Date().toISOString();
+      if (!dryRun) {
+        this.runningReportId = null;
+        this.reports = [report, ...this.reports].slice(0, this.maxReports);
+        await this.notifySummary(report);
+      }
+    }
+  }
+
+  // Idle submission pull requests, then stale submission branches. A branch
+  // with an open pull request is only cleaned up with its pull request.
+  async findCandidates(report, now) {
+    const [branches, pullRequests] = await Promise.all([
+      this.giteaService.listBranches(),
+      this.giteaService.listOpenPullRequests(),
+    ]);
+    const openBranches = new Set(
+      pullRequests.map((pullRequest) => pullRequest.head?.ref)
+    );
+
+    for (const pullRequest of pullRequests) {
+      const branchName = pullRequest.head?.ref || "";
+      if (!branchName.startsWith(SUBMISSION_BRANCH_PREFIX)) {
+        continue;
+      }
+
+      const submission = await this.submissionService.findByPullRequest(
+        pullRequest.number
+      );
+      const lastActivityAt = this.latest([
+        pullRequest.updated_at,
+        pullRequest.created_at,
+        submission?.updatedAt,
+      ]);
+      const idleDays = this.daysSince(lastActivityAt, now);
+
+      if (idleDays !== null && idleDays >= this.pullRequestIdleDays) {
+        report.pullRequests.push({
+          pullRequestNumber: pullRequest.number,
+          pullRequestUrl: pullRequest.html_url,
+          branchName,
+          submissionId: submission?.submissionId || null,
+          submittedBy: submission?.submittedBy || null,
+          lastActivityAt: lastActivityAt.toISOString(),
+          idleDays,
+          action: "close",
+          result: null,
+          error: null,
+        });
+      }
+    }
+
+    for (const branch of branches) {
+      if (
+        !branch.name.startsWith(SUBMISSION_BRANCH_PREFIX) ||
+        openBranches.has(branch.name)
+      ) {
+        continue;
+      }
+
+      const lastCommitAt = this.latest([
+        branch.commit?.timestamp,
+        this.giteaService.getBranchCreatedAt(branch.name),
+      ]);
+      const ageDays = this.daysSince(lastCommitAt, now);
+
+      if (ageDays !== null && ageDays >= this.branchMaxAgeDays) {
+        const submission = await this.submissionService.findByBranch(
+          branch.name
+        );
+        report.branches.push({
+          branchName: branch.name,
+          commitSha: branch.commit?.id || null,
+          submissionId: submission?.submissionId || null,
+          submissionState: submission?.state || null,
+          lastCommitAt: lastCommitAt.toISOString(),
+          ageDays,
+          action: "delete",
+          result: null,
+          error: null,
+        });
+      }
+    }
+  }
+
+  // Run one cleanup, recording its failure on the candidate so the others
+  // still run
+  async apply(candidate, cleanup) {
+    try {
+      await cleanup();
+      candidate.result = "done";
+    } catch (error) {
+      candidate.result = "failed";
+      candidate.error = error.message;
+      logger.error("Submission cleanup step failed", {
+        action: candidate.action,
+        pullRequestNumber: candidate.pullRequestNumber,
+        branchName: candidate.branchName,
+        error: error.message,
+      });
+    }
+  }
+
+  // The submission is marked abandoned before the pull request closes, so
+  // the close webhook does not record it as rejected
+  async closePullRequest(candidate) {
+    const reason = `No activity for ${candidate.idleDays} days`;
+    await this.abandonSubmission(candidate.submissionId, reason);
+
+    await this.giteaService.commentOnPullRequest(
+      candidate.pullRequestNumber,
+      `Closing this submission automatically: it has had no activity for ${candidate.idleDays} days (limit ${this.pullRequestIdleDays}). Submit the change again if it is still needed.`
+    );
+    await this.giteaService.closePullRequest(candidate.pullRequestNumber);
+    await this.removeBranch(candidate.branchName);
+  }
+
+  async deleteBranch(candidate) {
+    await this.abandonSubmission(
+      candidate.submissionId,
+      `Branch ${candidate.branchName} left without an open pull request for ${candidate.ageDays} days`
+    );
+    await this.removeBranch(candidate.branchName);
+  }
+
+  async abandonSubmission(submissionId, reason) {
+    const submission =
+      submissionId &&
+      (await this.submissionService.getSubmission(submissionId));
+    if (
+      submission &&
+      this.submissionService.canTransition(submission, "abandoned")
+    ) {
+      await this.submissionService.recordAbandonment(submission, reason);
+    }
+  }
+
+  // The close webhook may already have deleted the branch
+  async removeBranch(branchName) {
+    try {
+      await this.giteaService.deleteBranch(branchName);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  latest(dates) {
+    const times = dates
+      .filter(Boolean)
+      .map((date) => new Date(date).getTime())
+      .filter((time) => !Number.isNaN(time));
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  // Whole days since a date, or null when the date is unknown
+  daysSince(date, now) {
+    return date ? Math.floor((now.getTime() - date.getTime()) / DAY_MS) : null;
+  }
+
+  async notifySummary(report) {
+    const failed = [...report.pullRequests, ...report.branches].filter(
+      (candidate) => candidate.result === "failed"
+    );
+    if (
+      report.status === "completed" &&
+      report.pullRequests.length === 0 &&
+      report.branches.length === 0
+    ) {
+      return;
+    }
+
+    const closed = report.pullRequests.filter(
+      (candidate) => candidate.result === "done"
+    ).length;
+    const deleted = report.branches.filter(
+      (candidate) => candidate.result === "done"
+    ).length;
+
+    try {
+      await this.notificationService.sendNotification({
+        type: report.status === "failed" ? "janitor_failed" : "janitor_summary",
+        title:
+          report.status === "failed"
+            ? "Submission Cleanup Failed"
+            : "Abandoned Submissions Cleaned Up",
+        message:
+          report.status === "failed"
+            ? `Submission cleanup failed: ${report.error}`
+            : `Closed ${closed} idle pull request(s) and deleted ${deleted} stale branch(es)${
+                failed.length > 0 ? `, ${failed.length} cleanup(s) failed` : ""
+              }`,
+        metadata: {
+          reportId: report.reportId,
+          trigger: report.trigger,
+          pullRequestNumbers: report.pullRequests.map(
+            (candidate) => candidate.pullRequestNumber
+          ),
+          branchNames: report.branches.map((candidate) => candidate.branchName),
+          submissionIds: [...report.pullRequests, ...report.branches]
+            .map((candidate) => candidate.submissionId)
+            .filter(Boolean),
+          failed: failed.length,
+        },
+      });
+    } catch (error) {
+      logger.warn("Failed to send submission cleanup notification", {
+        reportId: report.reportId,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = SubmissionJanitorService;
@@ -0,0 +1,717 @@
+const logger = require("../utils/logger");
+const OpenSearchService = require("./openSearchService");
+const GiteaService = require("./giteaService");
+
+// Contact validationStatus for each validation state
+const CONTACT_VALIDATION_STATUS = {
+  pending: "pending",
+  passed: "validated",
+  failed: "failed",
+};
+
+// Submission state for each validation state
+const VALIDATION_SUBMISSION_STATE = {
+  pending: "validating",
+  passed: "in_review",
+  failed: "validation_failed",
+};
+
+// States a submission can move to from each state. A pull request can be
+// merged from any open state, as the API merges without a review, and left
+// abandoned from any open state by the janitor.
+const SUBMISSION_TRANSITIONS = {
+  submitted: [
+    "validating",
+    "validation_failed",
+    "in_review",
+    "rejected",
+    "merged",
+    "abandoned",
+  ],
+  validating: [
+    "validation_failed",
+    "in_review",
+    "rejected",
+    "merged",
+    "abandoned",
+  ],
+  validation_failed: ["validating", "rejected", "merged", "abandoned"],
+  in_review: [
+    "validating",
+    "changes_requested",
+    "approved",
+    "rejected",
+    "merged",
+    "abandoned",
+  ],
+  changes_requested: [
+    "validating",
+    "approved",
+    "rejected",
+    "merged",
+    "abandoned",
+  ],
+  approved: [
+    "validating",
+    "changes_requested",
+    "rejected",
+    "merged",
+    "abandoned",
+  ],
+  merged: ["synced", "sync_failed"],
+  sync_failed: ["synced"],
+  synced: [],
+  rejected: [],
+  abandoned: [],
+};
+
+// Sync queue job statuses that leave a contact out of Moqui
+const FAILED_SYNC_STATUSES = ["failed", "retrying", "dead"];
+
+// Times a change is applied again to a submission saved meanwhile by
+// another webhook
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Keeps one document per submission pull request in the submissions index,
+// with the CI validation of its current head commit and the state of the
+// submission. The validation report is built from the commit statuses Gitea
+// Actions sets on the pull request head; every state change is kept in
+// transitions with its time and actor.
+class SubmissionService {
+  constructor() {
+    this.openSearchService = new OpenSearchService();
+    this.giteaService = new GiteaService();
+    this.submissionsIndex = this.openSearchService.submissionsIndex;
+
+    // Statuses whose context starts with this decide the validation outcome,
+    // e.g. "CDM Data Validation / validate-cdm (pull_request)"
+    this.validationContext =
+      process.env.VALIDATION_STATUS_CONTEXT || "CDM Data Validation";
+  }
+
+  async getSubmission(submissionId) {
+    try {
+      const response = await this.openSearchService.client.get({
+        index: this.submissionsIndex,
+        id: submissionId,
+      });
+      return response.body._source;
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async findByPullRequest(pullNumber) {
+    const response = await this.openSearchService.client.search({
+      index: this.submissionsIndex,
+      body: {
+        query: { term: { pullRequestNumber: pullNumber } },
+        size: 1,
+      },
+    });
+    return response.body.hits.hits[0]?._source || null;
+  }
+
+  async findByBranch(branchName) {
+    const response = await this.openSearchService.client.search({
+      index: this.submissionsIndex,
+      body: {
+        query: { term: { branchName } },
+        size: 1,
+      },
+    });
+    return response.body.hits.hits[0]?._source || null;
+  }
+
+  async findByHeadSha(sha) {
+    const response = await this.openSearchService.client.search({
+      index: this.submissionsIndex,
+      body: {
+        query: { term: { headSha: sha } },
+        size: 1,
+      },
+    });
+    return response.body.hits.hits[0]?._source || null;
+  }
+
+  // Record the pull request of a submission from its metadata file. A new
+  // head commit has not been validated yet, so validation goes back to
+  // pending.
+  async recordPullRequest(pullRequest, { metadata = null, actor = null } = {}) {
+    const existing = await this.findByPullRequest(pullRequest.number);
+    const submissionMetadata =
+      metadata ||
+      (existing
+        ? null
+        : await this.giteaService.getPullRequestSubmission(pullRequest));
+
+    if (!existing && !submissionMetadata?.submissionId) {
+      logger.info("Pull request has no submission metadata", {
+        pullRequestNumber: pullRequest.number,
+      });
+      return null;
+    }
+
+    const headSha = pullRequest.head?.sha;
+    let headChanged = false;
+    const applyPullRequest = (submission) => {
+      const now = new Date().toISOString();
+      headChanged = submission.headSha !== headSha;
+
+      if (!submission.state) {
+        this.transition(
+          submission,
+          "submitted",
+          actor || submission.submittedBy || pullRequest.user?.login
+        );
+      } else if (headChanged) {
+        // New commits are validated again by CI
+        this.transition(
+          submission,
+          "validating",
+          actor || pullRequest.user?.login,
+          "Pull request updated"
+        );
+      }
+
+      Object.assign(submission, {
+        pullRequestNumber: pullRequest.number,
+        pullRequestUrl: pullRequest.html_url,
+        branchName: pullRequest.head?.ref,
+        headSha,
+        updatedAt: now,
+      });
+      if (headChanged) {
+        submission.validation = {
+          state: "pending",
+          headSha,
+          description: "Waiting for CI validation",
+          targetUrl: null,
+          checks: [],
+          updatedAt: now,
+        };
+      }
+    };
+
+    const submission = existing
+      ? await this.updateSubmission(existing.submissionId, applyPullRequest)
+      : await this.createSubmission(
+          {
+            submissionId: submissionMetadata.submissionId,
+            operation: submissionMetadata.operation || "create",
+            contactIds: (
+              submissionMetadata.contactIds || [submissionMetadata.contactId]
+            ).filter(Boolean),
+            submittedBy: submissionMetadata.submittedBy,
+            source: submissionMetadata.source,
+            createdAt:
+              submissionMetadata.processedAt || new Date().toISOString(),
+            transitions: [],
+          },
+          applyPullRequest
+        );
+
+    if (submission && headChanged) {
+      await this.updateContactValidationStatus(submission, "pending");
+    }
+    return submission;
+  }
+
+  // Apply a Gitea commit status event. Returns the submission with its
+  // validation and the previous validation state, or null when the commit is
+  // not the head of a submission pull request.
+  async recordCommitStatus(statusEvent) {
+    const { sha } = statusEvent;
+    let found = await this.findByHeadSha(sha);
+
+    if (!found) {
+      const pullRequest = (await this.giteaService.listOpenPullRequests()).find(
+        (candidate) => candidate.head?.sha === sha
+      );
+      if (!pullRequest) {
+        return null;
+      }
+      found = await this.recordPullRequest(pullRequest);
+      if (!found) {
+        return null;
+      }
+    }
+
+    const statuses = await this.giteaService.getCommitStatuses(sha);
+    const validation = this.buildValidationReport(sha, statuses);
+    let previousState = "pending";
+
+    const submission = await this.updateSubmission(
+      found.submissionId,
+      (current) => {
+        previousState = current.validation?.state || "pending";
+        current.validation = validation;
+        current.updatedAt = new Date().toISOString();
+
+        // A status for an older head than the one recorded changes nothing
+        if (current.headSha === sha) {
+          this.transition(
+            current,
+            VALIDATION_SUBMISSION_STATE[validation.state],
+            statusEvent.sender?.login || "ci",
+            validation.description
+          );
+        }
+      }
+    );
+    if (!submission) {
+      return null;
+    }
+
+    if (validation.state !== previousState) {
+      await this.updateContactValidationStatus(submission, validation.state);
+    }
+
+    logger.info("Submission validation updated", {
+      submissionId: submission.submissionId,
+      pullRequestNumber: submission.pullRequestNumber,
+      state: validation.state,
+      previousState,
+    });
+    return { submission, previousState };
+  }
+
+  // Latest status per context; failed when a validation check failed or
+  // errored, passed once every validation check succeeded
+  buildValidationReport(sha, statuses) {
+    const checks = [];
+    statuses
+      .slice()
+      .sort(
+        (a, b) =>
+          new Date(b.updated_at || b.created_at) -
+          new Date(a.updated_at || a.created_at)
+      )
+      .forEach((status) => {
+        if (!checks.some((check) => check.context === status.context)) {
+          checks.push({
+            context: status.context,
+            state: status.status || status.state,
+            description: status.description,
+            targetUrl: status.target_url,
+            updatedAt: status.updated_at || status.created_at,
+          });
+        }
+      });
+
+    const validationChecks = checks.filter((check) =>
+      check.context.startsWith(this.validationContext)
+    );
+    let state = "pending";
+    if (
+      validationChecks.some((check) =>
+        ["failure", "error"].includes(check.state)
+      )
+    ) {
+      state = "failed";
+    } else if (
+      validationChecks.length > 0 &&
+      validationChecks.every((check) => check.state === "success")
+    ) {
+      state = "passed";
+    }
+
+    const decisive =
+      validationChecks.find((check) =>
+        ["failure", "error"].includes(check.state)
+      ) || validationChecks[0];
+
+    return {
+      state,
+      headSha: sha,
+      description: decisive?.description || "Waiting for CI validation",
+      targetUrl: decisive?.targetUrl || null,
+      checks,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  // Record reviewer activity on a submission pull request: a review, a
+  // comment or a slash command. A review can also move the submission, e.g.
+  // to approved or changes_requested.
+  async recordActivity(pullRequestNumber, activity, state = null) {
+    let transitioned = false;
+    const submission = await this.updateByPullRequest(
+      pullRequestNumber,
+      (current) => {
+        const now = new Date().toISOString();
+        current.activity = [
+          ...(current.activity || []),
+          { ...activity, at: activity.at || now },
+        ];
+        transitioned = state
+          ? this.transition(
+              current,
+              state,
+              activity.actor,
+              activity.body || null
+            )
+          : false;
+        current.updatedAt = now;
+      }
+    );
+
+    return submission ? { submission, transitioned } : null;
+  }
+
+  // /approve-sync: approve the current head of the submission for syncing
+  // to Moqui. The approval counts like a review approval, so the approval
+  // policy decides whether it is enough to merge.
+  async approveSync(submission, actor) {
+    return this.updateSubmission(submission.submissionId, (current) => {
+      this.requireTransition(current, "approved", actor, "/approve-sync");
+      const now = new Date().toISOString();
+      current.activity = [
+        ...(current.activity || []),
+        {
+          type: "review_approved",
+          actor,
+          body: "/approve-sync",
+          command: "approve-sync",
+          headSha: current.headSha,
+          at: now,
+        },
+      ];
+      current.skipMoqui = false;
+      current.updatedAt = now;
+    });
+  }
+
+  // /skip-moqui: keep the contacts of the submission out of Moqui when it
+  // merges; they are still stored in OpenSearch
+  async skipMoquiSync(submission) {
+    return this.updateSubmission(submission.submissionId, (current) => {
+      current.skipMoqui = true;
+      current.updatedAt = new Date().toISOString();
+    });
+  }
+
+  // Record a submission pull request closed without merging, with who closed
+  // it and their closing comment
+  async recordRejection(pullRequest, actor = null, comment = null) {
+    return this.updateByPullRequest(pullRequest.number, (current) => {
+      this.transition(current, "rejected", actor, comment);
+      current.updatedAt = new Date().toISOString();
+    });
+  }
+
+  // Record a submission the janitor cleaned up after it was left idle
+  async recordAbandonment(submission, reason) {
+    return this.updateSubmission(submission.submissionId, (current) => {
+      this.transition(current, "abandoned", "janitor", reason);
+      current.updatedAt = new Date().toISOString();
+    });
+  }
+
+  // Record the merge of a submission pull request. Its contacts are then
+  // synced to Moqui one by one through recordContactSync.
+  async recordMerge(pullRequest, actor = null) {
+    return this.updateByPullRequest(pullRequest.number, (current) => {
+      this.transition(
+        current,
+        "merged",
+        actor || pullRequest.merged_by?.login,
+        pullRequest.merge_commit_sha
+          ? `Merged as ${pullRequest.merge_commit_sha}`
+          : null
+      );
+      current.mergeCommitSha = pullRequest.merge_commit_sha || null;
+      current.sync = [];
+      current.updatedAt = new Date().toISOString();
+    });
+  }
+
+  // Close a merged submission with nothing to sync to Moqui, as its
+  // contacts were kept out with /skip-moqui or it changed no contact file
+  async recordSyncSkipped(pullRequestNumber, reason) {
+    return this.updateByPullRequest(pullRequestNumber, (current) => {
+      if (current.state !== "merged") {
+        return false;
+      }
+      this.transition(current, "synced", null, reason);
+      current.updatedAt = new Date().toISOString();
+    });
+  }
+
+  // Record the Moqui sync of one contact of a merged submission. The
+  // submission is synced once every contact is, and sync_failed while any
+  // contact failed.
+  async recordContactSync(
+    pullRequestNumber,
+    contactId,
+    status,
+    error = null,
+    actor = "sync-queue"
+  ) {
+    let recorded = false;
+    const submission = await this.updateByPullRequest(
+      pullRequestNumber,
+      (current) => {
+        if (!["merged", "sync_failed"].includes(current.state)) {
+          return false;
+        }
+        recorded = true;
+
+        const now = new Date().toISOString();
+        current.sync = [
+          ...(current.sync || []).filter(
+            (entry) => entry.contactId !== contactId
+          ),
+          { contactId, status, error, updatedAt: now },
+        ];
+        current.updatedAt = now;
+
+        const failed = current.sync.filter((entry) =>
+          FAILED_SYNC_STATUSES.includes(entry.status)
+        );
+        const synced = new Set(
+          current.sync
+            .filter((entry) => entry.status === "synced")
+            .map((entry) => entry.contactId)
+        );
+
+        if (failed.length > 0) {
+          this.transition(
+            current,
+            "sync_failed",
+            actor,
+            failed
+              .map(
+                (entry) => `${entry.contactId}: ${entry.error || entry.status}`
+              )
+              .join("; ")
+          );
+        } else if (
+          current.contactIds.every((id) => synced.has(id)) &&
+          current.sync.every((entry) => entry.status === "synced")
+        ) {
+          this.transition(current, "synced", actor);
+        }
+      }
+    );
+    return recorded ? submission : null;
+  }
+
+  // Whether a submission can move to a state from its current one
+  canTransition(submission, state) {
+    return (
+      !submission.state ||
+      SUBMISSION_TRANSITIONS[submission.state].includes(state)
+    );
+  }
+
+  // Move a submission to another state, recording when and by whom. Returns
+  // false when the submission is already there or cannot move there from its
+  // current state, e.g. for a webhook delivered out of order.
+  transition(submission, state, actor, reason = null) {
+    const from = submission.state || null;
+    if (from === state) {
+      return false;
+    }
+    if (from && !SUBMISSION_TRANSITIONS[from].includes(state)) {
+      logger.warn("Ignoring submission state transition", {
+        submissionId: submission.submissionId,
+        from,
+        to: state,
+      });
+      return false;
+    }
+
+    const at = new Date().toISOString();
+    submission.state = state;
+    submission.stateChangedAt = at;
+    submission.transitions = [
+      ...(submission.transitions || []),
+      { from, to: state, actor: actor || "system", reason, at },
+    ];
+    return true;
+  }
+
+  // Move a submission to a state a user asked for. A move its current state
+  // does not allow is refused rather than ignored, as the user acted on a
+  // state the submission has since left.
+  requireTransition(submission, state, actor, reason = null) {
+    if (submission.state !== state && !this.canTransition(submission, state)) {
+      const error = new Error(
+        `Submission ${submission.submissionId} is ${submission.state} and cannot move to ${state}`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+    return this.transition(submission, state, actor, reason);
+  }
+
+  async listSubmissions({
+    state,
+    submittedBy,
+    contactId,
+    source,
+    operation,
+    pullRequestNumber,
+    from,
+    to,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const filter = [];
+    if (state) {
+      filter.push({ terms: { state: state.split(",") } });
+    }
+    if (submittedBy) {
+      filter.push({ term: { submittedBy } });
+    }
+    if (contactId) {
+      filter.push({ term: { contactIds: contactId } });
+    }
+    if (source) {
+      filter.push({ term: { source } });
+    }
+    if (operation) {
+      filter.push({ terms: { operation: operation.split(",") } });
+    }
+    if (pullRequestNumber) {
+      filter.push({ term: { pullRequestNumber } });
+    }
+    if (from || to) {
+      filter.push({
+        range: {
+          createdAt: { ...(from && { gte: from }), ...(to && { lte: to }) },
+        },
+      });
+    }
+
+    const response = await this.openSearchService.client.search({
+      index: this.submissionsIndex,
+      body: {
+        query: { bool: { filter } },
+        sort: [{ updatedAt: { order: "desc" } }],
+        from: offset,
+        size: limit,
+        aggs: {
+          byState: { terms: { field: "state", size: 20 } },
+        },
+      },
+    });
+
+    const byState = {};
+    (response.body.aggregations?.byState?.buckets || []).forEach((bucket) => {
+      byState[bucket.key] = bucket.doc_count;
+    });
+
+    return {
+      submissions: response.body.hits.hits.map((hit) => hit._source),
+      total: response.body.hits.total.value,
+      byState,
+    };
+  }
+
+  // Save a submission recorded for the first time. Another webhook may have
+  // recorded it meanwhile, then the change is applied to that one instead.
+  async createSubmission(submission, apply) {
+    apply(submission);
+    try {
+      await this.openSearchService.client.index({
+        index: this.submissionsIndex,
+        id: submission.submissionId,
+        body: submission,
+        op_type: "create",
+        refresh: "wait_for",
+      });
+      return submission;
+    } catch (error) {
+      if (error.meta?.statusCode !== 409) {
+        throw error;
+      }
+    }
+    return this.updateSubmission(submission.submissionId, apply);
+  }
+
+  async updateByPullRequest(pullRequestNumber, apply) {
+    const submission = await this.findByPullRequest(pullRequestNumber);
+    return submission
+      ? this.updateSubmission(submission.submissionId, apply)
+      : null;
+  }
+
+  // Apply a change to the latest version of a submission and save it.
+  // Status, review, comment and merge webhooks of a pull request often
+  // arrive together, so a submission saved by another one since it was
+  // read is read again and the change applied again. apply changes the
+  // submission in place, or returns false to leave it as it is. Returns the
+  // submission, or null when it does not exist.
+  async updateSubmission(submissionId, apply) {
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      try {
+        response = await this.openSearchService.client.get({
+          index: this.submissionsIndex,
+          id: submissionId,
+        });
+      } catch (error) {
+        if (error.meta?.statusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+
+      const submission = response.body._source;
+      if (apply(submission) === false) {
+        return submission;
+      }
+
+      try {
+        await this.openSearchService.client.index({
+          index: this.submissionsIndex,
+          id: submissionId,
+          body: submission,
+          if_seq_no: response.body._seq_no,
+          if_primary_term: response.body._primary_term,
+          refresh: "wait_for",
+        });
+        return submission;
+      } catch (error) {
+        if (error.meta?.statusCode !== 409 || attempt >= MAX_UPDATE_ATTEMPTS) {
+          throw error;
+        }
+        logger.info("Submission changed while updating, retrying", {
+          submissionId,
+          attempt,
+        });
+      }
+    }
+  }
+
+  // A status-only change, so modifiedOn is left alone. Contacts still being
+  // created may not be indexed yet, and deleted ones may already be gone.
+  async updateContactValidationStatus(submission, state) {
+    const validationStatus = CONTACT_VALIDATION_STATUS[state];
+
+    for (const contactId of submission.contactIds || []) {
+      try {
+        await this.openSearchService.client.update({
+          index: this.openSearchService.contactsIndex,
+          id: contactId,
+          body: { doc: { validationStatus } },
+        });
+      } catch (error) {
+        if (error.meta?.statusCode !== 404) {
+          logger.warn("Failed to update contact validation status", {
+            contactId,
+            submissionId: submission.submissionId,
+            error: error.message,
+          });
+        }
+      }
+    }
+  }
+}
+
+module.exports = SubmissionService;
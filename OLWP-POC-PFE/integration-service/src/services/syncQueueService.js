@@ -0,0 +1,616 @@
+const logger = require("../utils/logger");
+const OpenSearchService = require("./openSearchService");
+const MoquiService = require("./moquiService");
+const NotificationService = require("./notificationService");
+const SubmissionService = require("./submissionService");
+
+// Times a job is written again when it changed since it was read
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Durable outbox for the Moqui sync phase. Jobs live in an OpenSearch index
+// keyed by contactId, so a newer change to a contact replaces a queued one.
+class SyncQueueService {
+  constructor() {
+    this.openSearchService = new OpenSearchService();
+    this.moquiService = new MoquiService();
+    this.notificationService = new NotificationService();
+    this.submissionService = new SubmissionService();
+    this.queueIndex = this.openSearchService.syncQueueIndex;
+
+    this.maxAttempts = parseInt(process.env.SYNC_QUEUE_MAX_ATTEMPTS) || 5;
+    this.baseDelayMs =
+      parseInt(process.env.SYNC_QUEUE_BASE_DELAY_MS) || 30 * 1000;
+    this.maxDelayMs =
+      parseInt(process.env.SYNC_QUEUE_MAX_DELAY_MS) || 60 * 60 * 1000;
+    this.pollIntervalMs =
+      parseInt(process.env.SYNC_QUEUE_POLL_INTERVAL_MS) || 30 * 1000;
+    this.lockDurationMs = 5 * 60 * 1000;
+
+    this.timer = null;
+    this.processing = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processDueJobs().catch((error) => {
+        logger.error("Sync queue polling failed", { error: error.message });
+      });
+    }, this.pollIntervalMs);
+    this.timer.unref();
+
+    logger.info("Sync queue worker started", {
+      pollIntervalMs: this.pollIntervalMs,
+      maxAttempts: this.maxAttempts,
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // operation is "upsert" (create or update the Moqui party), "delete", or
+  // "merge" (disable the party and link it to the mergedInto contact)
+  async enqueue({
+    contactId,
+    operation = "upsert",
+    contactData = null,
+    moquiId = null,
+    mergedInto = null,
+    source = "webhook",
+    pullRequestNumber = null,
+  }) {
+    const now = new Date().toISOString();
+    const job = {
+      jobId: contactId,
+      contactId,
+      operation,
+      payload: contactData,
+      moquiId,
+      mergedInto,
+      status: "pending",
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: now,
+      lockedUntil: null,
+      lastError: null,
+      source,
+      pullRequestNumber,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+    };
+
+    // A job being attempted keeps its lock, so the new change is not sent to
+    // Moqui alongside it; it runs once that attempt finishes
+    for (let attempt = 1; ; attempt++) {
+      const existing = await this.getJobVersion(job.jobId);
+      const body =
+        existing && this.isLocked(existing.job)
+          ? { ...job, lockedUntil: existing.job.lockedUntil }
+          : job;
+
+      try {
+        await this.openSearchService.client.index({
+          index: this.queueIndex,
+          id: job.jobId,
+          body,
+          ...(existing
+            ? {
+                if_seq_no: existing.seqNo,
+                if_primary_term: existing.primaryTerm,
+              }
+            : { op_type: "create" }),
+          refresh: "wait_for",
+        });
+        break;
+      } catch (error) {
+        if (error.meta?.statusCode !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+
+    if (operation === "upsert") {
+      await this.updateContactSyncStatus(contactId, {
+        syncStatus: "pending",
+        lastSyncType: source,
+      });
+    }
+
+    logger.info("Sync job queued", { jobId: job.jobId, operation, source });
+    return job;
+  }
+
+  // The job with the sequence number it was read at
+  async getJobVersion(jobId) {
+    try {
+      const response = await this.openSearchService.client.get({
+        index: this.queueIndex,
+        id: jobId,
+      });
+      return {
+        job: response.body._source,
+        seqNo: response.body._seq_no,
+        primaryTerm: response.body._primary_term,
+      };
+    } catch (error) {
+      if (error.body?.found === false || error.meta?.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  isLocked(job) {
+    return Boolean(job.lockedUntil && new Date(job.lockedUntil) > new Date());
+  }
+
+  async getJob(jobId) {
+    try {
+      const response = await this.openSearchService.client.get({
+        index: this.queueIndex,
+        id: jobId,
+      });
+      return response.body._source;
+    } catch (error) {
+      if (error.body?.found === false) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async listJobs({ status, contactId, limit = 50 } = {}) {
+    const filter = [];
+    if (status) {
+      filter.push({ terms: { status: status.split(",") } });
+    }
+    if (contactId) {
+      filter.push({ term: { contactId } });
+    }
+
+    const response = await this.openSearchService.client.search({
+      index: this.queueIndex,
+      body: {
+        query: { bool: { filter } },
+        sort: [{ updatedAt: { order: "desc" } }],
+        size: limit,
+      },
+    });
+
+    const jobs = response.body.hits.hits.map((hit) => hit._source);
+    const byStatus = {};
+    jobs.forEach((job) => {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    });
+
+    return {
+      jobs,
+      total: response.body.hits.total.value,
+      byStatus,
+    };
+  }
+
+  // Claim a job so the poller and an inline attempt never run it twice.
+  // Returns the job with the sequence number of the claim, which tells when
+  // the attempt ends whether the job was queued again meanwhile.
+  async claimJob(jobId) {
+    const existing = await this.getJobVersion(jobId);
+    if (!existing) {
+      return null;
+    }
+
+    const { job } = existing;
+    if (!["pending", "retrying"].includes(job.status) || this.isLocked(job)) {
+      return null;
+    }
+
+    const lockedUntil = new Date(
+      Date.now() + this.lockDurationMs
+    ).toISOString();
+
+    let response;
+    try {
+      response = await this.openSearchService.client.update({
+        index: this.queueIndex,
+        id: jobId,
+        if_seq_no: existing.seqNo,
+        if_primary_term: existing.primaryTerm,
+        body: { doc: { lockedUntil } },
+      });
+    } catch (error) {
+      if (error.meta?.statusCode === 409) {
+        return null;
+      }
+      throw error;
+    }
+
+    return {
+      job: { ...job, lockedUntil },
+      seqNo: response.body._seq_no,
+      primaryTerm: response.body._primary_term,
+    };
+  }
+
+  async runJob(jobId) {
+    const claim = await this.claimJob(jobId);
+    if (!claim) {
+      return {
+        success: false,
+        skipped: true,
+        jobId,
+        error: "Job is not pending or is being processed",
+      };
+    }
+
+    return this.processJob(claim.job, claim);
+  }
+
+  async processJob(job, claim) {
+    const attempts = job.attempts + 1;
+    let result;
+
+    try {
+      if (job.operation === "delete") {
+        result = await this.syncDeletion(job);
+      } else if (job.operation === "merge") {
+        result = await this.syncMerge(job);
+      } else {
+        result = await this.syncUpsert(job);
+      }
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      return this.markSynced(job, attempts, result, claim);
+    }
+    return this.markFailed(job, attempts, result.error, claim);
+  }
+
+  async syncUpsert(job) {
+    const contact = await this.openSearchService.getContactById(job.contactId);
+
+    return contact?.moquiId
+      ? this.moquiService.updateContact(contact.moquiId, job.payload)
+      : this.moquiService.createContact(job.payload);
+  }
+
+  async syncDeletion(job) {
+    // A contact that never reached Moqui has nothing to disable
+    if (!job.moquiId) {
+      return { success: true, moquiId: null };
+    }
+    return this.moquiService.deleteContact(job.moquiId);
+  }
+
+  async syncMerge(job) {
+    if (!job.moquiId) {
+      return { success: true, moquiId: null };
+    }
+
+    // Wait for the survivor's own sync so the link names its Moqui party
+    const survivor = await this.openSearchService.getContactById(
+      job.mergedInto
+    );
+    if (survivor && !survivor.moquiId) {
+      return {
+        success: false,
+        error: `Survivor ${job.mergedInto} is not synced to Moqui yet`,
+      };
+    }
+
+    return this.moquiService.mergeContact(job.moquiId, {
+      contactId: job.mergedInto,
+      moquiId: survivor?.moquiId,
+    });
+  }
+
+  async markSynced(job, attempts, result, claim) {
+    const now = new Date().toISOString();
+    const update = {
+      status: "synced",
+      attempts,
+      moquiId: result.moquiId,
+      lastError: null,
+      lockedUntil: null,
+      updatedAt: now,
+      completedAt: now,
+    };
+    if (!(await this.finishAttempt(job, update, claim))) {
+      // The newer job reports the contact's sync; the party created here is
+      // still linked so that job updates it instead of creating another
+      if (job.operation === "upsert" && result.moquiId) {
+        await this.updateContactSyncStatus(job.contactId, {
+          moquiId: result.moquiId,
+        });
+      }
+      return {
+        ...job,
+        attempts,
+        moquiId: result.moquiId,
+        success: true,
+        superseded: true,
+        details: result.details,
+      };
+    }
+
+    if (job.operation === "upsert") {
+      await this.updateContactSyncStatus(job.contactId, {
+        moquiId: result.moquiId,
+        syncStatus: "synced",
+        syncError: null,
+        syncAttempts: attempts,
+        syncedAt: now,
+        lastSyncType: job.source,
+      });
+
+      await this.notificationService.sendNotification({
+        type: "contact_synced",
+        title: "Contact Successfully Synced to Moqui",
+        message: `Contact ${
+          job.payload?.fullName || job.contactId
+        } has been successfully synced to Moqui framework`,
+        metadata: {
+          contactId: job.contactId,
+          moquiId: result.moquiId,
+          attempts,
+          pullRequestNumber: job.pullRequestNumber,
+        },
+      });
+    }
+
+    await this.recordSubmissionSync(job, "synced");
+
+    logger.info("Sync job completed", {
+      jobId: job.jobId,
+      operation: job.operation,
+      moquiId: result.moquiId,
+      attempts,
+    });
+
+    return { ...job, ...update, success: true, details: result.details };
+  }
+
+  async markFailed(job, attempts, errorMessage, claim) {
+    const now = new Date();
+    const isDead = attempts >= job.maxAttempts;
+    const update = {
+      status: isDead ? "dead" : "retrying",
+      attempts,
+      lastError: errorMessage,
+      lockedUntil: null,
+      nextAttemptAt: isDead
+        ? null
+        : new Date(
+            now.getTime() + this.getBackoffDelay(attempts)
+          ).toISOString(),
+      updatedAt: now.toISOString(),
+    };
+    if (!(await this.finishAttempt(job, update, claim))) {
+      return {
+        ...job,
+        attempts,
+        success: false,
+        superseded: true,
+        error: errorMessage,
+      };
+    }
+
+    if (job.operation === "upsert") {
+      await this.updateContactSyncStatus(job.contactId, {
+        syncStatus: update.status,
+        syncError: errorMessage,
+        syncAttempts: attempts,
+        syncAttemptedAt: now.toISOString(),
+        lastSyncType: job.source,
+      });
+    }
+
+    await this.recordSubmissionSync(job, update.status, errorMessage);
+
+    logger.warn("Sync job attempt failed", {
+      jobId: job.jobId,
+      attempts,
+      status: update.status,
+      nextAttemptAt: update.nextAttemptAt,
+      error: errorMessage,
+    });
+
+    if (isDead) {
+      await this.notificationService.sendNotification({
+        type: "sync_failed",
+        title: "Contact Sync to Moqui Failed",
+        message: `Failed to sync contact ${job.contactId} to Moqui framework after ${attempts} attempts: ${errorMessage}`,
+        metadata: {
+          contactId: job.contactId,
+          jobId: job.jobId,
+          operation: job.operation,
+          pullRequestNumber: job.pullRequestNumber,
+          error: errorMessage,
+        },
+      });
+    }
+
+    return { ...job, ...update, success: false, error: errorMessage };
+  }
+
+  // Jobs from a merged pull request advance its submission
+  async recordSubmissionSync(job, status, errorMessage = null) {
+    if (!job.pullRequestNumber) {
+      return;
+    }
+
+    try {
+      await this.submissionService.recordContactSync(
+        job.pullRequestNumber,
+        job.contactId,
+        status,
+        errorMessage
+      );
+    } catch (error) {
+      logger.warn("Failed to record submission sync", {
+        jobId: job.jobId,
+        pullRequestNumber: job.pullRequestNumber,
+        error: error.message,
+      });
+    }
+  }
+
+  getBackoffDelay(attempts) {
+    return Math.min(
+      this.baseDelayMs * Math.pow(2, attempts - 1),
+      this.maxDelayMs
+    );
+  }
+
+  async processDueJobs() {
+    if (this.processing) {
+      return [];
+    }
+    this.processing = true;
+
+    try {
+      const now = new Date().toISOString();
+      const response = await this.openSearchService.client.search({
+        index: this.queueIndex,
+        body: {
+          query: {
+            bool: {
+              filter: [
+                { terms: { status: ["pending", "retrying"] } },
+                { range: { nextAttemptAt: { lte: now } } },
+              ],
+              must_not: [{ range: { lockedUntil: { gt: now } } }],
+            },
+          },
+          sort: [{ nextAttemptAt: { order: "asc" } }],
+          size: 50,
+        },
+      });
+
+      const results = [];
+      for (const hit of response.body.hits.hits) {
+        results.push(await this.runJob(hit._source.jobId));
+      }
+
+      if (results.length > 0) {
+        logger.info("Sync queue processed due jobs", {
+          processed: results.length,
+          synced: results.filter((result) => result.success).length,
+        });
+      }
+      return results;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async retryJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      const error = new Error(`Sync job ${jobId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (job.status === "synced") {
+      const error = new Error(`Sync job ${jobId} is already synced`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // A manual retry starts a fresh series of attempts
+    await this.updateJob(jobId, {
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      lockedUntil: null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    return this.runJob(jobId);
+  }
+
+  async discardJob(jobId, discardedBy = "api-user") {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      const error = new Error(`Sync job ${jobId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (job.status === "synced") {
+      const error = new Error(`Sync job ${jobId} is already synced`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const update = {
+      status: "discarded",
+      nextAttemptAt: null,
+      lockedUntil: null,
+      discardedBy,
+      updatedAt: new Date().toISOString(),
+    };
+    await this.updateJob(jobId, update);
+
+    logger.info("Sync job discarded", { jobId, discardedBy });
+    return { ...job, ...update };
+  }
+
+  // Record the outcome of an attempt on the job it claimed. A job queued
+  // again during the attempt is left for its own attempt, only released
+  // from the lock it inherited, and false is returned: the outcome is no
+  // longer the contact's.
+  async finishAttempt(job, update, claim) {
+    try {
+      await this.openSearchService.client.update({
+        index: this.queueIndex,
+        id: job.jobId,
+        if_seq_no: claim.seqNo,
+        if_primary_term: claim.primaryTerm,
+        body: { doc: update },
+        refresh: "wait_for",
+      });
+    } catch (error) {
+      if (error.meta?.statusCode !== 409) {
+        throw error;
+      }
+      logger.info("Sync job queued again during its attempt", {
+        jobId: job.jobId,
+        status: update.status,
+      });
+      await this.updateJob(job.jobId, { lockedUntil: null });
+      return false;
+    }
+    return true;
+  }
+
+  async updateJob(jobId, doc) {
+    await this.openSearchService.client.update({
+      index: this.queueIndex,
+      id: jobId,
+      body: { doc },
+      refresh: "wait_for",
+    });
+  }
+
+  // The contact may be gone (deleted or index reset), which is not a failure
+  async updateContactSyncStatus(contactId, syncFields) {
+    try {
+      await this.openSearchService.updateContact(contactId, syncFields);
+    } catch (error) {
+      logger.warn("Failed to update contact sync status", {
+        contactId,
+        syncStatus: syncFields.syncStatus,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = SyncQueueService;
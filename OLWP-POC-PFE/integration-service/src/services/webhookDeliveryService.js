@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const OpenSearchService = require("./openSearchService");
+
+// Statuses of a delivery seen before that block processing it again
+const SETTLED_STATUSES = ["processing", "processed"];
+
+// Log of the webhook deliveries received from the git provider, one document
+// per delivery ID. A delivery is claimed before it is processed, so the same
+// delivery sent again is not processed twice. A signed body replayed under
+// another delivery ID is caught by the hash of the body once the first
+// delivery was processed; until then it may be the provider redelivering a
+// delivery that is failing. Failed deliveries keep their payload so they can
+// be processed again.
+class WebhookDeliveryService {
+  constructor() {
+    this.openSearchService = new OpenSearchService();
+    this.deliveriesIndex = this.openSearchService.webhookDeliveriesIndex;
+
+    // A delivery still processing after this is taken as lost in a crash
+    // and can be claimed again
+    this.processingTimeoutMs =
+      parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS) || 5 * 60 * 1000;
+  }
+
+  hashPayload(rawBody) {
+    return crypto
+      .createHash("sha256")
+      .update(rawBody || "")
+      .digest("hex");
+  }
+
+  // Claim a delivery for processing. Returns { delivery } to process, or
+  // { duplicate } with the delivery already processed or being processed.
+  // Providers that send no delivery ID are deduplicated on the body alone.
+  async claim({ deliveryId, provider, event, payload, rawBody, webhookId }) {
+    const payloadHash = this.hashPayload(rawBody);
+    const id = deliveryId || `sha256-${payloadHash}`;
+
+    const replayed = await this.findByPayloadHash(payloadHash, id);
+    if (replayed) {
+      return { duplicate: replayed };
+    }
+
+    const now = new Date().toISOString();
+    const delivery = {
+      deliveryId: id,
+      provider,
+      event,
+      action: payload.action || null,
+      repository: payload.repository?.name || null,
+      pullRequestNumber:
+        payload.pull_request?.number || payload.issue?.number || null,
+      payloadHash,
+      payload,
+      status: "processing",
+      attempts: 1,
+      webhookId,
+      error: null,
+      receivedAt: now,
+      updatedAt: now,
+      completedAt: null,
+    };
+
+    try {
+      await this.openSearchService.client.index({
+        index: this.deliveriesIndex,
+        id,
+        body: delivery,
+        op_type: "create",
+        refresh: "wait_for",
+      });
+      return { delivery };
+    } catch (error) {
+      if (error.meta?.statusCode !== 409) {
+        throw error;
+      }
+    }
+
+    return this.reclaim(id, webhookId);
+  }
+
+  // Take over a delivery seen before when it failed or was lost while
+  // processing; the sequence number check keeps two requests from both
+  // taking it
+  async reclaim(deliveryId, webhookId) {
+    const response = await this.openSearchService.client.get({
+      index: this.deliveriesIndex,
+      id: deliveryId,
+    });
+    const existing = response.body._source;
+    const lost =
+      existing.status === "processing" &&
+      Date.now() - new Date(existing.updatedAt).getTime() >
+        this.processingTimeoutMs;
+
+    if (SETTLED_STATUSES.includes(existing.status) && !lost) {
+      return { duplicate: existing };
+    }
+
+    const update = {
+      status: "processing",
+      attempts: (existing.attempts || 0) + 1,
+      webhookId,
+      error: null,
+      updatedAt: new Date().toISOString(),
+      completedAt: null,
+    };
+    try {
+      await this.openSearchService.client.update({
+        index: this.deliveriesIndex,
+        id: deliveryId,
+        if_seq_no: response.body._seq_no,
+        if_primary_term: response.body._primary_term,
+        body: { doc: update },
+        refresh: "wait_for",
+      });
+    } catch (error) {
+      if (error.meta?.statusCode === 409) {
+        return { duplicate: { ...existing, status: "processing" } };
+      }
+      throw error;
+    }
+
+    return { delivery: { ...existing, ...update } };
+  }
+
+  // Another delivery of the same body that was processed
+  async findByPayloadHash(payloadHash, deliveryId) {
+    const response = await this.openSearchService.client.search({
+      index: this.deliveriesIndex,
+      body: {
+        query: {
+          bool: {
+            filter: [
+              { term: { payloadHash } },
+              { term: { status: "processed" } },
+            ],
+            must_not: [{ term: { deliveryId } }],
+          },
+        },
+        _source: { excludes: ["payload"] },
+        size: 1,
+      },
+    });
+    return response.body.hits.hits[0]?._source || null;
+  }
+
+  // Record the outcome of processing a delivery. Only failed deliveries
+  // keep their payload, for redelivery.
+  async complete(delivery, { status, error = null }) {
+    const update = {
+      status,
+      error,
+      payload: status === "failed" ? delivery.payload : null,
+      updatedAt: new Date().toISOString(),
+      completedAt: new Date().toISOString(),
+    };
+
+    await this.openSearchService.client.update({
+      index: this.deliveriesIndex,
+      id: delivery.deliveryId,
+      body: { doc: update },
+      refresh: "wait_for",
+    });
+    return { ...delivery, ...update };
+  }
+
+  // Claim a failed delivery to process its stored payload again
+  async redeliver(deliveryId, webhookId) {
+    const delivery = await this.getDelivery(deliveryId);
+    if (!delivery) {
+      const error = new Error(`Webhook delivery ${deliveryId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (delivery.status !== "failed") {
+      const error = new Error(
+        `Webhook delivery ${deliveryId} is ${delivery.status}, only failed deliveries can be redelivered`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const claim = await this.reclaim(deliveryId, webhookId);
+    if (claim.duplicate) {
+      const error = new Error(
+        `Webhook delivery ${deliveryId} is already being redelivered`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+    return claim.delivery;
+  }
+
+  async getDelivery(deliveryId) {
+    try {
+      const response = await this.openSearchService.client.get({
+        index: this.deliveriesIndex,
+        id: deliveryId,
+      });
+      return response.body._source;
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async listDeliveries({
+    status,
+    event,
+    pullRequestNumber,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const filter = [];
+    if (status) {
+      filter.push({ terms: { status: status.split(",") } });
+    }
+    if (event) {
+      filter.push({ terms: { event: event.split(",") } });
+    }
+    if (pullRequestNumber) {
+      filter.push({ term: { pullRequestNumber } });
+    }
+
+    const response = await this.openSearchService.client.search({
+      index: this.deliveriesIndex,
+      body: {
+        query: { bool: { filter } },
+        sort: [{ receivedAt: { order: "desc" } }],
+        _source: { excludes: ["payload"] },
+        from: offset,
+        size: limit,
+        aggs: {
+          byStatus: { terms: { field: "status", size: 10 } },
+        },
+      },
+    });
+
+    const byStatus = {};
+    (response.body.aggregations?.byStatus?.buckets || []).forEach((bucket) => {
+      byStatus[bucket.key] = bucket.doc_count;
+    });
+
+    return {
+      deliveries: response.body.hits.hits.map((hit) => hit._source),
+      total: response.body.hits.total.value,
+      byStatus,
+    };
+  }
+}
+
+module.exports = WebhookDeliveryService;
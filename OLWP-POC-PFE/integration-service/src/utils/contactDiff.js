@@ -0,0 +1,19 @@
+const { isEqual } = require("lodash");
+
+// Field-level differences between two versions of a contact record; a
+// missing version (before creation, after deletion) counts as empty
+const diffContactVersions = (previous, current) => {
+  const before = previous || {};
+  const after = current || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter((field) => !isEqual(before[field], after[field]))
+    .map((field) => ({
+      field,
+      from: before[field] === undefined ? null : before[field],
+      to: after[field] === undefined ? null : after[field],
+    }));
+};
+
+module.exports = { diffContactVersions };
@@ -0,0 +1,166 @@
+const { cdmEntityMetadata } = require("../models/cdmModels");
+
+const exportColumns = cdmEntityMetadata.attributes.map(
+  (attribute) => attribute.name
+);
+
+// CDM data formats for the dataType values used in cdmEntityMetadata; arrays
+// and objects are written as text
+const CDM_DATA_FORMATS = {
+  string: "String",
+  boolean: "Boolean",
+  dateTime: "DateTime",
+  array: "String",
+  object: "String",
+};
+
+const escapeCsvValue = (value, delimiter) => {
+  const text = String(value);
+  if (
+    text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes("\n") ||
+    text.includes("\r")
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Tags use the importer's default separator so an export can be re-imported
+const formatCsvValue = (name, value) => {
+  if (value === undefined || value === null) return "";
+  if (name === "tags" && Array.isArray(value)) return value.join(";");
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+const toCsvHeader = (delimiter = ",") => `${exportColumns.join(delimiter)}\r\n`;
+
+const toCsvRecord = (contact, delimiter = ",") =>
+  `${exportColumns
+    .map((name) =>
+      escapeCsvValue(formatCsvValue(name, contact[name]), delimiter)
+    )
+    .join(delimiter)}\r\n`;
+
+const toNdjsonRecord = (contact) => {
+  const record = {};
+  exportColumns.forEach((name) => {
+    if (contact[name] !== undefined) {
+      record[name] = contact[name];
+    }
+  });
+  return `${JSON.stringify(record)}\n`;
+};
+
+// Entity definition document (Contact.cdm.json)
+const buildCdmEntityDefinition = () => ({
+  jsonSchemaSemanticVersion: "1.0.0",
+  imports: [{ corpusPath: "cdm:/foundations.cdm.json" }],
+  definitions: [
+    {
+      entityName: cdmEntityMetadata.entityName,
+      description: cdmEntityMetadata.entityDescription,
+      exhibitsTraits: [
+        {
+          traitReference: "is.CDM.entityVersion",
+          arguments: [
+            { name: "versionNumber", value: cdmEntityMetadata.version },
+          ],
+        },
+      ],
+      hasAttributes: cdmEntityMetadata.attributes.map((attribute) => ({
+        name: attribute.name,
+        dataFormat: CDM_DATA_FORMATS[attribute.dataType] || "String",
+        description: attribute.description,
+        isNullable: !attribute.isRequired,
+        ...(attribute.maxLength && { maximumLength: attribute.maxLength }),
+        ...(attribute.isPrimaryKey && { purpose: "identifiedBy" }),
+      })),
+    },
+  ],
+});
+
+// Root manifest (default.manifest.cdm.json) listing the CSV data partitions
+const buildCdmManifest = (partitions) => {
+  const { entityName } = cdmEntityMetadata;
+
+  return {
+    jsonSchemaSemanticVersion: "1.0.0",
+    imports: [{ corpusPath: "cdm:/foundations.cdm.json" }],
+    manifestName: "default",
+    explanation: `${cdmEntityMetadata.namespace} contact export`,
+    lastFileModifiedTime: new Date().toISOString(),
+    entities: [
+      {
+        type: "LocalEntity",
+        entityName,
+        entityPath: `${entityName}.cdm.json/${entityName}`,
+        dataPartitions: partitions.map((partition) => ({
+          name: partition.name,
+          location: partition.location,
+          exhibitsTraits: [
+            {
+              traitReference: "is.partition.format.CSV",
+              arguments: [
+                { name: "columnHeaders", value: "true" },
+                { name: "delimiter", value: "," },
+              ],
+            },
+          ],
+        })),
+      },
+    ],
+  };
+};
+
+const writeTarField = (header, value, offset, length) => {
+  header.write(value, offset, length, "utf8");
+};
+
+const writeTarOctal = (header, value, offset, length) => {
+  writeTarField(
+    header,
+    `${value.toString(8).padStart(length - 1, "0")}\0`,
+    offset,
+    length
+  );
+};
+
+// One ustar entry (header plus content padded to 512-byte blocks), so the CDM
+// folder can be streamed without an archive dependency
+const createTarEntry = (name, content) => {
+  const data = Buffer.from(content, "utf8");
+  const header = Buffer.alloc(512);
+
+  writeTarField(header, name, 0, 100);
+  writeTarOctal(header, 0o644, 100, 8);
+  writeTarOctal(header, 0, 108, 8);
+  writeTarOctal(header, 0, 116, 8);
+  writeTarOctal(header, data.length, 124, 12);
+  writeTarOctal(header, Math.floor(Date.now() / 1000), 136, 12);
+  header.fill(" ", 148, 156);
+  writeTarField(header, "0", 156, 1);
+  writeTarField(header, "ustar\0", 257, 6);
+  writeTarField(header, "00", 263, 2);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeTarField(header, `${checksum.toString(8).padStart(6, "0")}\0 `, 148, 8);
+
+  const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+  return Buffer.concat([header, data, padding]);
+};
+
+const TAR_END = Buffer.alloc(1024);
+
+module.exports = {
+  exportColumns,
+  toCsvHeader,
+  toCsvRecord,
+  toNdjsonRecord,
+  buildCdmEntityDefinition,
+  buildCdmManifest,
+  createTarEntry,
+  TAR_END,
+};
@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+const { cdmEntityMetadata } = require("../models/cdmModels");
+
+// modifiedOn is rewritten whenever OpenSearch updates a contact, so it cannot
+// tell two copies of a contact apart
+const UNHASHED_ATTRIBUTES = ["modifiedOn"];
+
+// Sort object keys so equal values always serialize the same way
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((result, key) => {
+        result[key] = canonicalize(value[key]);
+        return result;
+      }, {});
+  }
+  return value;
+};
+
+const hashValue = (value) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(canonicalize(value)))
+    .digest("hex");
+
+// Hash of a contact's CDM attributes. Empty values are left out and dates
+// normalized, so a Git file and its indexed document hash the same.
+const hashContact = (contact) => {
+  const record = {};
+
+  cdmEntityMetadata.attributes.forEach(({ name, dataType }) => {
+    const value = contact[name];
+    if (
+      UNHASHED_ATTRIBUTES.includes(name) ||
+      value === undefined ||
+      value === null ||
+      value === ""
+    ) {
+      return;
+    }
+    record[name] =
+      dataType === "dateTime" ? new Date(value).toISOString() : value;
+  });
+
+  return hashValue(record);
+};
+
+module.exports = {
+  hashValue,
+  hashContact,
+};
@@ -0,0 +1,261 @@
+const { cdmEntityMetadata } = require("../models/cdmModels");
+
+// Attributes the importer sets itself rather than reading from the file
+const NON_IMPORTABLE_ATTRIBUTES = ["modifiedOn", "modifiedBy"];
+
+const importableAttributes = cdmEntityMetadata.attributes
+  .map((attribute) => attribute.name)
+  .filter((name) => !NON_IMPORTABLE_ATTRIBUTES.includes(name));
+
+const createImportError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// RFC 4180 parser: quoted fields may contain the delimiter, doubled quotes and
+// line breaks. Each record keeps the line it starts on for error reporting.
+const parseCsv = (content, delimiter = ",") => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    // Blank lines carry no data
+    if (record.length > 1 || record[0] !== "") {
+      records.push({ line: recordLine, values: record });
+    }
+    record = [];
+  };
+
+  const text = content.replace(/^﻿/, "");
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw createImportError(
+      `Unterminated quoted field starting on line ${recordLine}`
+    );
+  }
+  if (field !== "" || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+// columnMapping maps source columns to CDM attribute names, or to
+// "customFields.<key>"; without one, columns named after an attribute are used
+const resolveColumnMapping = (columns, columnMapping) => {
+  const mapping = {};
+
+  if (columnMapping) {
+    Object.entries(columnMapping).forEach(([column, target]) => {
+      const isCustomField = /^customFields\.[^.]+$/.test(target);
+      if (!isCustomField && !importableAttributes.includes(target)) {
+        throw createImportError(
+          `Column "${column}" maps to unknown CDM attribute "${target}"`
+        );
+      }
+      if (!columns.includes(column)) {
+        throw createImportError(`Mapped column "${column}" is not in the file`);
+      }
+      mapping[column] = target;
+    });
+  } else {
+    columns
+      .filter((column) => importableAttributes.includes(column))
+      .forEach((column) => {
+        mapping[column] = column;
+      });
+  }
+
+  return {
+    mapping,
+    unmappedColumns: columns.filter((column) => !mapping[column]),
+  };
+};
+
+const convertCsvValue = (target, value, tagSeparator) => {
+  if (target === "tags") {
+    return value
+      .split(tagSeparator)
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+  if (target === "customFields") {
+    return JSON.parse(value);
+  }
+  return value;
+};
+
+// Build the form data for one source record from the resolved mapping
+const applyColumnMapping = (source, mapping, tagSeparator) => {
+  const formData = {};
+
+  Object.entries(mapping).forEach(([column, target]) => {
+    const value = source[column];
+    if (value === undefined || value === null || value === "") {
+      return;
+    }
+
+    if (target.startsWith("customFields.")) {
+      formData.customFields = {
+        ...formData.customFields,
+        [target.slice("customFields.".length)]: value,
+      };
+      return;
+    }
+
+    formData[target] =
+      typeof value === "string"
+        ? convertCsvValue(target, value.trim(), tagSeparator)
+        : value;
+  });
+
+  return formData;
+};
+
+const parseCsvImport = (content, options) => {
+  const [header, ...records] = parseCsv(content, options.delimiter);
+  if (!header) {
+    throw createImportError("CSV file has no header row");
+  }
+
+  const columns = header.values.map((column) => column.trim());
+  const { mapping, unmappedColumns } = resolveColumnMapping(
+    columns,
+    options.columnMapping
+  );
+
+  const rows = records.map((record) => {
+    const row = { row: record.line };
+    if (record.values.length !== columns.length) {
+      return {
+        ...row,
+        errors: [
+          `Expected ${columns.length} columns but found ${record.values.length}`,
+        ],
+      };
+    }
+
+    const source = {};
+    columns.forEach((column, index) => {
+      source[column] = record.values[index];
+    });
+
+    try {
+      return {
+        ...row,
+        data: applyColumnMapping(source, mapping, options.tagSeparator),
+      };
+    } catch (error) {
+      return { ...row, errors: [`Invalid value: ${error.message}`] };
+    }
+  });
+
+  return { rows, columns, unmappedColumns };
+};
+
+const parseNdjsonImport = (content, options) => {
+  const rows = [];
+
+  content.split(/\r?\n/).forEach((text, index) => {
+    if (!text.trim()) {
+      return;
+    }
+
+    const row = { row: index + 1 };
+    try {
+      const record = JSON.parse(text);
+      if (!record || typeof record !== "object" || Array.isArray(record)) {
+        throw new Error("each line must be a JSON object");
+      }
+
+      // A mapping renames keys; unmapped keys are passed through
+      if (options.columnMapping) {
+        const { mapping } = resolveColumnMapping(
+          Object.keys(options.columnMapping).filter((key) => key in record),
+          options.columnMapping
+        );
+        const renamed = { ...record };
+        Object.keys(mapping).forEach((key) => delete renamed[key]);
+        rows.push({
+          ...row,
+          data: {
+            ...renamed,
+            ...applyColumnMapping(record, mapping, options.tagSeparator),
+          },
+        });
+      } else {
+        rows.push({ ...row, data: record });
+      }
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      rows.push({ ...row, errors: [`Invalid JSON: ${error.message}`] });
+    }
+  });
+
+  return { rows, columns: [], unmappedColumns: [] };
+};
+
+// Parse an import file into rows of form data ready for transformToCdmContact.
+// Rows that cannot be read carry their own errors instead of failing the file.
+const parseContactImport = (content, options = {}) => {
+  const settings = {
+    format: "csv",
+    delimiter: ",",
+    tagSeparator: ";",
+    columnMapping: null,
+    ...options,
+  };
+
+  switch (settings.format) {
+    case "csv":
+      return parseCsvImport(content, settings);
+    case "ndjson":
+      return parseNdjsonImport(content, settings);
+    default:
+      throw createImportError(`Unsupported import format: ${settings.format}`);
+  }
+};
+
+module.exports = {
+  importableAttributes,
+  parseCsv,
+  parseContactImport,
+};
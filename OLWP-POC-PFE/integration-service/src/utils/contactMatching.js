@@ -0,0 +1,50 @@
+// Compare phone numbers on their last nine digits, which drops country codes
+// and trunk prefixes ("+212 6 00 11 22 33" and "0600112233" match)
+const normalizePhoneNumber = (phoneNumber) => {
+  const digits = String(phoneNumber || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-9) : null;
+};
+
+const normalizeText = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const levenshteinDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// 1 for identical text, 0 for nothing in common; word order is ignored
+const textSimilarity = (a, b) => {
+  const left = normalizeText(a).split(" ").sort().join(" ");
+  const right = normalizeText(b).split(" ").sort().join(" ");
+  if (!left || !right) {
+    return 0;
+  }
+
+  const length = Math.max(left.length, right.length);
+  return 1 - levenshteinDistance(left, right) / length;
+};
+
+module.exports = {
+  normalizePhoneNumber,
+  normalizeText,
+  textSimilarity,
+};
@@ -0,0 +1,125 @@
+const { isEqual } = require("lodash");
+const { cdmEntityMetadata } = require("../models/cdmModels");
+
+const SURVIVORSHIP_RULES = ["most_recent", "most_complete", "manual"];
+
+// Identity and audit attributes are derived by the merge, not chosen
+const NON_MERGEABLE_ATTRIBUTES = [
+  "contactId",
+  "createdOn",
+  "createdBy",
+  "modifiedOn",
+  "modifiedBy",
+];
+
+const mergeableAttributes = cdmEntityMetadata.attributes
+  .map((attribute) => attribute.name)
+  .filter((name) => !NON_MERGEABLE_ATTRIBUTES.includes(name));
+
+const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === "object" && Object.keys(value).length === 0);
+
+const completeness = (value) => {
+  if (Array.isArray(value)) return value.length;
+  if (typeof value === "object") return Object.keys(value).length;
+  if (typeof value === "boolean") return 1;
+  return String(value).trim().length;
+};
+
+const createMergeError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Pick one field value. Returns the value and the contactId it came from,
+// or "manual" for a value given in the request.
+const pickFieldValue = (field, rule, records, recordsByRecency) => {
+  if (typeof rule === "object") {
+    if ("value" in rule) {
+      return { value: rule.value, source: "manual" };
+    }
+    const record = records.find(
+      (candidate) => candidate.contactId === rule.contactId
+    );
+    if (!record) {
+      throw createMergeError(
+        `Rule for ${field} picks ${rule.contactId}, which is not part of the merge`
+      );
+    }
+    return { value: record[field], source: record.contactId };
+  }
+
+  const withValue = recordsByRecency.filter(
+    (record) => !isEmptyValue(record[field])
+  );
+  if (withValue.length === 0) {
+    return { value: records[0][field], source: records[0].contactId };
+  }
+
+  // Ties on completeness go to the most recent record
+  const picked =
+    rule === "most_complete"
+      ? withValue.reduce((best, record) =>
+          completeness(record[field]) > completeness(best[field])
+            ? record
+            : best
+        )
+      : withValue[0];
+  return { value: picked[field], source: picked.contactId };
+};
+
+// Build the golden record from the survivor (first) and the victims. rules
+// maps attributes to "most_recent", "most_complete" or a manual pick of
+// { rule: "manual", contactId } or { rule: "manual", value }.
+const mergeContactRecords = (
+  records,
+  rules = {},
+  defaultRule = "most_recent"
+) => {
+  const [survivor] = records;
+  const recordsByRecency = [...records].sort(
+    (a, b) => new Date(b.modifiedOn || 0) - new Date(a.modifiedOn || 0)
+  );
+  const earliest = [...records].sort(
+    (a, b) => new Date(a.createdOn || 0) - new Date(b.createdOn || 0)
+  )[0];
+
+  const merged = {
+    contactId: survivor.contactId,
+    createdOn: earliest.createdOn,
+    createdBy: earliest.createdBy,
+  };
+  const fieldSources = {};
+
+  mergeableAttributes.forEach((field) => {
+    const rule = rules[field] || defaultRule;
+    const { value, source } = pickFieldValue(
+      field,
+      rule,
+      records,
+      recordsByRecency
+    );
+
+    if (value !== undefined) {
+      merged[field] = value;
+    }
+    // Credit the survivor when it already holds the chosen value
+    fieldSources[field] = {
+      rule: typeof rule === "object" ? "manual" : rule,
+      source: isEqual(value, survivor[field]) ? survivor.contactId : source,
+    };
+  });
+
+  return { merged, fieldSources };
+};
+
+module.exports = {
+  SURVIVORSHIP_RULES,
+  mergeableAttributes,
+  mergeContactRecords,
+};
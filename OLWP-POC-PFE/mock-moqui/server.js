@@ -11,6 +11,7 @@ const parties = new Map();
 const contactMechs = new Map();
 const relationships = new Map();
 const organizations = new Map();
+const attributes = new Map();
 
 // Middleware
 app.use(cors());
@@ -65,11 +66,12 @@ app.post('/rest/s1/mantle/party/persons', (req, res) => {
 // Get People
 
 app.get('/rest/s1/mantle/party/persons', (req, res) => {
-  const { firstName, lastName } = req.query;  
+  const { firstName, lastName, cdmContactId } = req.query;  
   const matchingParties = Array.from(parties.values())
     .filter(p => p.partyTypeEnumId === 'PtyPerson')
     .filter(p => !firstName || p.firstName.toLowerCase().includes(firstName.toLowerCase()))
-    .filter(p => !lastName || p.lastName.toLowerCase().includes(lastName.toLowerCase()));
+    .filter(p => !lastName || p.lastName.toLowerCase().includes(lastName.toLowerCase()))
+    .filter(p => !cdmContactId || attributes.get(`${p.partyId}:cdmContactId`)?.attrValue === cdmContactId);
   
   res.json(matchingParties);
 });
@@ -147,6 +149,46 @@ app.get('/rest/s1/mantle/party/:partyId/contactMechs', (req, res) => {
   res.json(partyContactMechs);
 });
 
+// Update Contact Mechanism (set thruDate to expire it)
+app.put('/rest/s1/mantle/party/:partyId/contactMechs/:contactMechId', (req, res) => {
+  const { partyId, contactMechId } = req.params;
+  const contactMech = contactMechs.get(contactMechId);
+  
+  if (!contactMech || contactMech.partyId !== partyId) {
+    return res.status(404).json({ error: 'Contact mechanism not found' });
+  }
+  
+  const updatedContactMech = {
+    ...contactMech,
+    ...req.body,
+    contactMechId,
+    partyId,
+    lastUpdatedStamp: new Date().toISOString()
+  };
+  
+  contactMechs.set(contactMechId, updatedContactMech);
+  
+  console.log(`Updated contact mechanism: ${contactMechId} for ${partyId}`);
+  
+  res.json(updatedContactMech);
+});
+
+// Delete Contact Mechanism
+app.delete('/rest/s1/mantle/party/:partyId/contactMechs/:contactMechId', (req, res) => {
+  const { partyId, contactMechId } = req.params;
+  const contactMech = contactMechs.get(contactMechId);
+  
+  if (!contactMech || contactMech.partyId !== partyId) {
+    return res.status(404).json({ error: 'Contact mechanism not found' });
+  }
+  
+  contactMechs.delete(contactMechId);
+  
+  console.log(`Deleted contact mechanism: ${contactMechId} for ${partyId}`);
+  
+  res.status(204).send();
+});
+
 // Create Organization
 app.post('/rest/s1/mantle/party/organizations', (req, res) => {
   const { organizationName, partyTypeEnumId, statusId } = req.body;
@@ -205,6 +247,54 @@ app.post('/rest/s1/mantle/party/relationships', (req, res) => {
   });
 });
 
+// Search Party Relationships
+app.get('/rest/s1/mantle/party/relationships', (req, res) => {
+  const { fromPartyId, toPartyId, partyRelationshipTypeEnumId } = req.query;
+  
+  const matchingRelationships = Array.from(relationships.values())
+    .filter(rel => !fromPartyId || rel.fromPartyId === fromPartyId)
+    .filter(rel => !toPartyId || rel.toPartyId === toPartyId)
+    .filter(rel => !partyRelationshipTypeEnumId || rel.partyRelationshipTypeEnumId === partyRelationshipTypeEnumId);
+  
+  res.json(matchingRelationships);
+});
+
+// Update Party Relationship (set thruDate to end it)
+app.put('/rest/s1/mantle/party/relationships/:relationshipId', (req, res) => {
+  const { relationshipId } = req.params;
+  const relationship = relationships.get(relationshipId);
+  
+  if (!relationship) {
+    return res.status(404).json({ error: 'Relationship not found' });
+  }
+  
+  const updatedRelationship = {
+    ...relationship,
+    ...req.body,
+    relationshipId,
+    lastUpdatedStamp: new Date().toISOString()
+  };
+  
+  relationships.set(relationshipId, updatedRelationship);
+  
+  console.log(`Updated relationship: ${relationshipId}`);
+  
+  res.json(updatedRelationship);
+});
+
+// Delete Party Relationship
+app.delete('/rest/s1/mantle/party/relationships/:relationshipId', (req, res) => {
+  const { relationshipId } = req.params;
+  
+  if (!relationships.delete(relationshipId)) {
+    return res.status(404).json({ error: 'Relationship not found' });
+  }
+  
+  console.log(`Deleted relationship: ${relationshipId}`);
+  
+  res.status(204).send();
+});
+
 // Create Party Role
 app.post('/rest/s1/mantle/party/:partyId/roles', (req, res) => {
   const { partyId } = req.params;
@@ -232,7 +322,7 @@ app.post('/rest/s1/mantle/party/:partyId/roles', (req, res) => {
   });
 });
 
-// Create Party Attribute
+// Create Party Attribute (partyId + attrName is the key, so this replaces an existing value)
 app.post('/rest/s1/mantle/party/:partyId/attributes', (req, res) => {
   const { partyId } = req.params;
   const person = parties.get(partyId);
@@ -241,24 +331,76 @@ app.post('/rest/s1/mantle/party/:partyId/attributes', (req, res) => {
     return res.status(404).json({ error: 'Person not found' });
   }
   
-  const attributeId = `ATTR_${uuidv4().replace(/-/g, '').substr(0, 10).toUpperCase()}`;
+  const key = `${partyId}:${req.body.attrName}`;
+  const existing = attributes.get(key);
+  const attributeId = existing?.attributeId || `ATTR_${uuidv4().replace(/-/g, '').substr(0, 10).toUpperCase()}`;
   
   const attribute = {
     attributeId,
-    partyId,
     ...req.body,
-    createdDate: new Date().toISOString(),
+    partyId,
+    createdDate: existing?.createdDate || new Date().toISOString(),
     lastUpdatedStamp: new Date().toISOString()
   };
   
-  console.log(`Created attribute: ${req.body.attrName} = ${req.body.attrValue} for ${partyId}`);
+  attributes.set(key, attribute);
   
-  res.status(201).json({
+  console.log(`${existing ? 'Updated' : 'Created'} attribute: ${req.body.attrName} = ${req.body.attrValue} for ${partyId}`);
+  
+  res.status(existing ? 200 : 201).json({
     attributeId,
     ...attribute
   });
 });
 
+// Get Party Attributes
+app.get('/rest/s1/mantle/party/:partyId/attributes', (req, res) => {
+  const { partyId } = req.params;
+  
+  const partyAttributes = Array.from(attributes.values())
+    .filter(attr => attr.partyId === partyId);
+  
+  res.json(partyAttributes);
+});
+
+// Update Party Attribute
+app.put('/rest/s1/mantle/party/:partyId/attributes/:attrName', (req, res) => {
+  const { partyId, attrName } = req.params;
+  const key = `${partyId}:${attrName}`;
+  const attribute = attributes.get(key);
+  
+  if (!attribute) {
+    return res.status(404).json({ error: 'Attribute not found' });
+  }
+  
+  const updatedAttribute = {
+    ...attribute,
+    ...req.body,
+    partyId,
+    attrName,
+    lastUpdatedStamp: new Date().toISOString()
+  };
+  
+  attributes.set(key, updatedAttribute);
+  
+  console.log(`Updated attribute: ${attrName} = ${updatedAttribute.attrValue} for ${partyId}`);
+  
+  res.json(updatedAttribute);
+});
+
+// Delete Party Attribute
+app.delete('/rest/s1/mantle/party/:partyId/attributes/:attrName', (req, res) => {
+  const { partyId, attrName } = req.params;
+  
+  if (!attributes.delete(`${partyId}:${attrName}`)) {
+    return res.status(404).json({ error: 'Attribute not found' });
+  }
+  
+  console.log(`Deleted attribute: ${attrName} for ${partyId}`);
+  
+  res.status(204).send();
+});
+
 // System status endpoint
 app.get('/rest/s1/mantle/party/status', (req, res) => {
   res.json({
@@ -270,7 +412,8 @@ app.get('/rest/s1/mantle/party/status', (req, res) => {
       parties: parties.size,
       contactMechanisms: contactMechs.size,
       relationships: relationships.size,
-      organizations: organizations.size
+      organizations: organizations.size,
+      attributes: attributes.size
     }
   });
 });
@@ -280,7 +423,8 @@ app.get('/rest/s1/mantle/party/debug/parties', (req, res) => {
   res.json({
     parties: Array.from(parties.values()),
     contactMechanisms: Array.from(contactMechs.values()),
-    relationships: Array.from(relationships.values())
+    relationships: Array.from(relationships.values()),
+    attributes: Array.from(attributes.values())
   });
 });
 
@@ -292,15 +436,24 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: [
       'POST /rest/s1/mantle/party/persons',
+      'GET /rest/s1/mantle/party/persons?cdmContactId=',
       'GET /rest/s1/mantle/party/persons/:partyId',
       'PUT /rest/s1/mantle/party/persons/:partyId',
       'POST /rest/s1/mantle/party/:partyId/contactMechs',
       'GET /rest/s1/mantle/party/:partyId/contactMechs',
+      'PUT /rest/s1/mantle/party/:partyId/contactMechs/:contactMechId',
+      'DELETE /rest/s1/mantle/party/:partyId/contactMechs/:contactMechId',
       'POST /rest/s1/mantle/party/organizations',
       'GET /rest/s1/mantle/party/organizations',
       'POST /rest/s1/mantle/party/relationships',
+      'GET /rest/s1/mantle/party/relationships',
+      'PUT /rest/s1/mantle/party/relationships/:relationshipId',
+      'DELETE /rest/s1/mantle/party/relationships/:relationshipId',
       'POST /rest/s1/mantle/party/:partyId/roles',
       'POST /rest/s1/mantle/party/:partyId/attributes',
+      'GET /rest/s1/mantle/party/:partyId/attributes',
+      'PUT /rest/s1/mantle/party/:partyId/attributes/:attrName',
+      'DELETE /rest/s1/mantle/party/:partyId/attributes/:attrName',
       'GET /rest/s1/mantle/party/status'
     ],
     authentication: 'Basic Auth (admin/admin)',